@@ -0,0 +1,127 @@
+/**
+ * Back-off sets and drop sets after a top set
+ *
+ * Everything works from the top set's e1RM, so back-off weights follow the
+ * same curve and rounding as the working set:
+ * - 'percent': the top set weight minus a percentage (total weight, base included)
+ * - 'rpe': the weight for given reps at a given RPE
+ * - 'dropset': the top set followed by repeated percentage drops with no
+ *   rest, until a total rep count is reached
+ *
+ * In a drop set the reps already done carry over: after n total reps, the
+ * next weight allows only its reps at the target RPE minus n more. Drop-set
+ * reps are rounded down so no drop goes past the target RPE.
+ */
+
+import { getRepsFromPct, getRPEFromPct } from './calc.js';
+import { roundToTenth, getWeightForReps, getRepsAtWeight, evaluateWeight, getRepsRounding, roundExactWeight } from './engine.js';
+import { roundToEquipment } from './utils.js';
+
+/**
+ * Available back-off types keyed by id
+ */
+export const BACKOFF_TYPES = {
+  'percent': 'Percent drop',
+  'rpe': 'Reps at RPE',
+  'dropset': 'Drop set'
+};
+
+/**
+ * Maximum number of drops after the top set in a drop set
+ */
+export const MAX_DROPS = 10;
+
+/**
+ * Round a back-off weight like the working set and evaluate it
+ */
+function roundBackoffWeight(exactWeight, exactReps, rpe, topTotal, options) {
+  const { e1RM, equipment, roundingMode, formula } = options;
+  const baseWeight = equipment.baseWeight || 0;
+  const exact = { weight: roundToTenth(exactWeight), reps: roundToTenth(exactReps), rpe };
+  const weight = roundExactWeight(exact, equipment, roundingMode, e1RM, formula);
+  const set = evaluateWeight(e1RM, weight, rpe, baseWeight, formula, getRepsRounding(roundingMode));
+  return {
+    weight: roundToTenth(weight),
+    reps: set.reps,
+    rpe: roundToTenth(set.rpe),
+    drop: roundToTenth((1 - (weight + baseWeight) / topTotal) * 100)
+  };
+}
+
+/**
+ * Next lighter achievable weight for a drop
+ * @returns {number|null} Weight below previous, or null if the equipment can't go lower
+ */
+function getDropWeight(weight, previous, equipment) {
+  let dropped = roundToEquipment(weight, equipment);
+  if (dropped >= previous) dropped = roundToEquipment(previous - 1e-6, equipment, 'down');
+  return dropped < previous && dropped + (equipment.baseWeight || 0) > 0 ? dropped : null;
+}
+
+/**
+ * Drop-set chain from the top set to a total rep count
+ */
+function buildDropSet(input, topTotal) {
+  const { e1RM, topWeight, dropPct, rpe, totalReps, equipment, formula } = input;
+  const baseWeight = equipment.baseWeight || 0;
+
+  const sets = [];
+  let done = 0;
+  let weight = topWeight;
+  while (weight !== null && done < totalReps && sets.length <= MAX_DROPS) {
+    const pct = e1RM * 100 / (weight + baseWeight);
+    // Whole reps up to the target RPE, never past it
+    const available = Math.floor(getRepsFromPct(pct, rpe, formula) + 1e-9) - done;
+    const reps = Math.min(Math.max(0, available), totalReps - done);
+    done += reps;
+    sets.push({
+      weight: roundToTenth(weight),
+      reps,
+      rpe: roundToTenth(getRPEFromPct(pct, done, formula)),
+      drop: roundToTenth((1 - (weight + baseWeight) / topTotal) * 100)
+    });
+    weight = getDropWeight((weight + baseWeight) * (1 - dropPct / 100) - baseWeight, weight, equipment);
+  }
+  return sets;
+}
+
+/**
+ * Calculate back-off sets from a top set
+ *
+ * @param {Object} input
+ * @param {string} input.type - Key of BACKOFF_TYPES
+ * @param {number} input.e1RM - Estimated 1RM from the top set (total weight)
+ * @param {number} input.topWeight - Top set weight (plate weight)
+ * @param {number} input.rpe - Target RPE of the back-off set (or of every drop)
+ * @param {number} [input.dropPct] - Percent drop ('percent' and 'dropset')
+ * @param {number} [input.reps] - Target reps ('rpe')
+ * @param {number} [input.totalReps] - Total reps including the top set ('dropset')
+ * @param {Object} [input.equipment] - Equipment ({baseWeight, increment} or {baseWeight, weights})
+ * @param {string} [input.roundingMode='closest'] - Key of ROUNDING_MODES (engine.js)
+ * @param {string|Object} [input.formula] - Formula id or object
+ * @returns {{sets: {weight: number, reps: number, rpe: number, drop: number}[], totalReps: number}}
+ *   drop is the actual percentage below the top set; rpe and weight at 0.1
+ */
+export function calculateBackoff(input) {
+  const { type, e1RM, topWeight, rpe, formula } = input;
+  const options = { ...input, equipment: input.equipment || {}, roundingMode: input.roundingMode || 'closest' };
+  const baseWeight = options.equipment.baseWeight || 0;
+  const topTotal = topWeight + baseWeight;
+
+  let sets;
+  if (type === 'dropset') {
+    sets = buildDropSet(options, topTotal);
+  } else if (type === 'rpe') {
+    const exactWeight = getWeightForReps(e1RM, input.reps, rpe, baseWeight, formula);
+    sets = [roundBackoffWeight(exactWeight, input.reps, rpe, topTotal, options)];
+  } else {
+    const exactWeight = Math.max(0, topTotal * (1 - input.dropPct / 100) - baseWeight);
+    const exactReps = getRepsAtWeight(e1RM, exactWeight, rpe, baseWeight, formula);
+    sets = [roundBackoffWeight(exactWeight, exactReps, rpe, topTotal, options)];
+  }
+
+  return {
+    sets,
+    totalReps: sets.reduce((sum, set) => sum + set.reps, 0)
+  };
+}
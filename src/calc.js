@@ -1,27 +1,61 @@
+import { getFormula, getFormulaDomain } from './formulas.js';
+
 /**
- * Berger equation for estimating 1RM from submaximal sets
+ * Estimate 1RM percentage from a submaximal set
+ * Defaults to the Berger equation:
  * pct = 100 * exp(0.0262 * (effectiveReps - 1))
  *
  * @param {number} reps - Actual reps performed
  * @param {number} rpe - Rate of Perceived Exertion (0-10 scale)
+ * @param {string|Object} [formula] - Formula id or object (see formulas.js)
  * @returns {number} Percentage of 1RM
  */
-export function getPct(reps, rpe) {
+export function getPct(reps, rpe, formula) {
   const repsInReserve = 10 - rpe;
   const effectiveReps = reps + repsInReserve;
-  return 100 * Math.exp(0.0262 * (effectiveReps - 1));
+  return getFormula(formula).pct(effectiveReps);
+}
+
+/**
+ * Inverse formula: effective reps (reps to failure) at a percentage
+ * Defaults to the inverse Berger equation:
+ * effectiveReps = 1 + ln(pct / 100) / 0.0262
+ *
+ * Capped at the top of the formula's domain, so light weights give a finite
+ * rep count (and RPE) even past a saturating formula's asymptote.
+ *
+ * @param {number} pct - Percentage of 1RM
+ * @param {string|Object} [formula] - Formula id or object (see formulas.js)
+ * @returns {number} Effective reps (negative above the 1RM)
+ */
+export function getEffectiveReps(pct, formula) {
+  return Math.min(getFormula(formula).reps(pct), getFormulaDomain(formula).max);
 }
 
 /**
- * Inverse Berger equation: calculate reps from percentage
- * reps = 1 + ln(pct / 100) / 0.0262
+ * Inverse formula: calculate reps from percentage
+ * reps = effectiveReps(pct) - (10 - rpe)
  *
  * @param {number} pct - Percentage of 1RM
  * @param {number} rpe - Rate of Perceived Exertion (0-10 scale)
+ * @param {string|Object} [formula] - Formula id or object (see formulas.js)
  * @returns {number} Number of reps (always >= 0)
  */
-export function getRepsFromPct(pct, rpe) {
+export function getRepsFromPct(pct, rpe, formula) {
   const repsInReserve = 10 - rpe;
-  const effectiveReps = 1 + Math.log(pct / 100) / 0.0262;
+  const effectiveReps = getEffectiveReps(pct, formula);
   return Math.max(0, effectiveReps - repsInReserve);
 }
+
+/**
+ * RPE implied by performing a given number of reps at a percentage
+ * adjustedRPE = 10 - (effectiveReps(pct) - reps)
+ *
+ * @param {number} pct - Percentage of 1RM
+ * @param {number} reps - Reps performed
+ * @param {string|Object} [formula] - Formula id or object (see formulas.js)
+ * @returns {number} RPE (unclamped)
+ */
+export function getRPEFromPct(pct, reps, formula) {
+  return 10 - (getEffectiveReps(pct, formula) - reps);
+}
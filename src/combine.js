@@ -0,0 +1,112 @@
+/**
+ * Combine several per-set e1RM estimates into one
+ *
+ * Estimates are ordered oldest first, so the last entry is the most recent set.
+ */
+
+/**
+ * Available combination strategies keyed by id
+ */
+export const COMBINE_STRATEGIES = {
+  'recent': 'Most recent',
+  'mean': 'Mean',
+  'median': 'Median',
+  'weighted': 'Weighted'
+};
+
+/**
+ * Weight multiplier per set of age for the weighted strategy
+ * (the set before the most recent counts 0.8 as much, and so on)
+ */
+export const RECENCY_DECAY = 0.8;
+
+/**
+ * Minimum relative deviation from the median for an estimate to be an outlier
+ */
+export const OUTLIER_MIN_DEVIATION = 0.05;
+
+/**
+ * Number of scaled median absolute deviations beyond which an estimate is an outlier
+ */
+export const OUTLIER_MAD_LIMIT = 3;
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values (any order)
+ * @returns {number} Median (NaN for an empty list)
+ */
+export function median(values) {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Weight of an estimate in the weighted strategy
+ * Recent sets and sets closer to failure (where RPE calls are most reliable)
+ * count more: RECENCY_DECAY^age / (1 + reps in reserve)
+ *
+ * @param {number} index - Position of the set (0 = oldest)
+ * @param {number} count - Number of sets
+ * @param {number} rpe - RPE of the set
+ * @returns {number} Relative weight
+ */
+export function getEstimateWeight(index, count, rpe) {
+  const age = count - 1 - index;
+  const repsInReserve = Math.max(0, 10 - rpe);
+  return Math.pow(RECENCY_DECAY, age) / (1 + repsInReserve);
+}
+
+/**
+ * Flag estimates that disagree with the rest
+ * An estimate is an outlier when it deviates from the median by more than
+ * OUTLIER_MIN_DEVIATION (relative) and by more than OUTLIER_MAD_LIMIT scaled
+ * median absolute deviations. At least three estimates are needed.
+ *
+ * @param {number[]} values - e1RM estimates
+ * @returns {boolean[]} Outlier flag per estimate
+ */
+export function findOutliers(values) {
+  if (values.length < 3) return values.map(() => false);
+
+  const center = median(values);
+  const mad = 1.4826 * median(values.map(value => Math.abs(value - center)));
+
+  return values.map(value => {
+    const deviation = Math.abs(value - center);
+    return deviation > OUTLIER_MIN_DEVIATION * center && deviation > OUTLIER_MAD_LIMIT * mad;
+  });
+}
+
+/**
+ * Combine e1RM estimates with a strategy
+ * @param {{e1RM: number, rpe: number}[]} estimates - Per-set estimates, oldest first
+ * @param {string} [strategy='recent'] - Key of COMBINE_STRATEGIES
+ * @returns {number} Combined e1RM (NaN for no estimates)
+ */
+export function combineEstimates(estimates, strategy = 'recent') {
+  if (estimates.length === 0) return NaN;
+  const values = estimates.map(estimate => estimate.e1RM);
+
+  if (strategy === 'mean') {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  if (strategy === 'median') {
+    return median(values);
+  }
+
+  if (strategy === 'weighted') {
+    let total = 0;
+    let totalWeight = 0;
+    estimates.forEach((estimate, index) => {
+      const weight = getEstimateWeight(index, estimates.length, estimate.rpe);
+      total += estimate.e1RM * weight;
+      totalWeight += weight;
+    });
+    return total / totalWeight;
+  }
+
+  return values[values.length - 1];
+}
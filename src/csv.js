@@ -0,0 +1,72 @@
+/**
+ * CSV reading and writing (RFC 4180)
+ *
+ * Fields may be quoted; quoted fields can contain commas, line breaks and
+ * doubled quotes. Both LF and CRLF line endings are accepted.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows (blank lines omitted)
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  // Strip a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Quote a field if it contains a comma, quote or line break
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+export function formatCSVField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV text
+ * @param {Array[]} rows - Rows of field values
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function formatCSV(rows) {
+  return rows.map(row => row.map(formatCSVField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,396 @@
+/**
+ * Headless calculation engine
+ *
+ * Pure functions that turn a plain input object into a structured result.
+ * No DOM access: index.html reads the inputs, calls calculateSet and renders.
+ *
+ * Weights entered by the user are plate weights (loaded weight); the
+ * equipment baseWeight (sled, bar) is added before any percentage math and
+ * removed again for output.
+ */
+
+import { getPct, getRepsFromPct, getRPEFromPct } from './calc.js';
+import { getFormula, getFormulaDomain, isInFormulaDomain } from './formulas.js';
+import { roundToEquipment, getAdjacentWeight, getEquipmentBounds } from './utils.js';
+import { combineEstimates, findOutliers } from './combine.js';
+
+/**
+ * Rounding modes keyed by id
+ * - 'down', 'closest', 'up': the achievable weight below, nearest to or above the exact weight
+ * - 'max-rpe': never past the target RPE; the heavier of the rounded-down and
+ *   rounded-up weights that still allows a rep, with reps rounded down
+ * - 'min-reps': at least the target reps; the rounded-down weight, with reps rounded down
+ */
+export const ROUNDING_MODES = {
+  'down': 'Down',
+  'closest': 'Closest',
+  'up': 'Up',
+  'max-rpe': '≤ RPE',
+  'min-reps': '≥ Reps'
+};
+
+/**
+ * Round to one decimal place (display precision)
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to 0.1
+ */
+export function roundToTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Estimate 1RM (total weight) from a reference set
+ * e1RM = (weight + baseWeight) * pct / 100
+ *
+ * @param {{weight: number, reps: number, rpe: number}} reference - Reference set (plate weight)
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {number} Estimated 1RM (total weight)
+ */
+export function estimateE1RM(reference, baseWeight = 0, formula) {
+  const pct = getPct(reference.reps, reference.rpe, formula);
+  return (reference.weight + baseWeight) * pct / 100;
+}
+
+/**
+ * Estimate 1RM from several reference sets and combine the estimates
+ * @param {{weight: number, reps: number, rpe: number}[]} references - Reference sets, oldest first
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @param {string} [strategy='recent'] - Combination strategy (see combine.js)
+ * @returns {{e1RM: number, estimates: Object[]}} Combined e1RM and each set with its e1RM and outlier flag
+ */
+export function estimateCombinedE1RM(references, baseWeight = 0, formula, strategy = 'recent') {
+  const estimates = references.map(reference => ({
+    ...reference,
+    e1RM: estimateE1RM(reference, baseWeight, formula)
+  }));
+  const outliers = findOutliers(estimates.map(estimate => estimate.e1RM));
+  estimates.forEach((estimate, index) => {
+    estimate.outlier = outliers[index];
+  });
+
+  return {
+    e1RM: combineEstimates(estimates, strategy),
+    estimates
+  };
+}
+
+/**
+ * Plate weight that allows the given reps at the given RPE
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {number} reps - Target reps
+ * @param {number} rpe - Target RPE
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {number} Plate weight
+ */
+export function getWeightForReps(e1RM, reps, rpe, baseWeight = 0, formula) {
+  return e1RM * 100 / getPct(reps, rpe, formula) - baseWeight;
+}
+
+/**
+ * Plate weight at a percentage of the e1RM
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {number} percent - Percentage of e1RM
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @returns {number} Plate weight (never below 0)
+ */
+export function getWeightForPercent(e1RM, percent, baseWeight = 0) {
+  return Math.max(0, e1RM * percent / 100 - baseWeight);
+}
+
+/**
+ * Reps achievable at a plate weight and RPE
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {number} weight - Plate weight
+ * @param {number} rpe - Target RPE
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {number} Reps (always >= 0)
+ */
+export function getRepsAtWeight(e1RM, weight, rpe, baseWeight = 0, formula) {
+  const pct = e1RM * 100 / (weight + baseWeight);
+  return getRepsFromPct(pct, rpe, formula);
+}
+
+/**
+ * RPE predicted for performing reps at a plate weight
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {number} weight - Plate weight
+ * @param {number} reps - Reps to perform
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {number} RPE (unclamped: above 10 the reps are beyond failure, below 0 more than 10 reps are left)
+ */
+export function getRPEAtWeight(e1RM, weight, reps, baseWeight = 0, formula) {
+  const pct = e1RM * 100 / (weight + baseWeight);
+  return getRPEFromPct(pct, reps, formula);
+}
+
+/**
+ * Put a predicted RPE on the 0–10 scale
+ * Above 10 the set can't be done: the negative RIR is the reps short of
+ * the target. Below 0 the set is easier than the scale can describe.
+ *
+ * @param {number} rpe - Unclamped RPE
+ * @returns {{rpe: number, rir: number, status: string}} RPE clamped to 0–10 and
+ *   reps in reserve (unclamped), both at 0.1; status is 'ok', 'failure' (above 10) or 'easy' (below 0)
+ */
+export function describeRPE(rpe) {
+  const value = roundToTenth(rpe);
+  let status = 'ok';
+  if (value > 10) status = 'failure';
+  if (value < 0) status = 'easy';
+  return {
+    rpe: Math.min(10, Math.max(0, value)),
+    rir: roundToTenth(10 - value),
+    status
+  };
+}
+
+/**
+ * Integer reps and adjusted RPE for a plate weight
+ * Reps are rounded to the nearest integer (or down, so the adjusted RPE never
+ * exceeds the target) and the RPE adjusted to match:
+ * adjustedRPE = 10 - (effectiveReps - roundedReps)
+ * Rounding down happens at display precision, so 7.96 reps count as 8 and the
+ * unrounded RPE can be up to 0.05 above the target (the target once rounded).
+ *
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {number} weight - Plate weight
+ * @param {number} rpe - Target RPE
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @param {string} [repsRounding='closest'] - 'closest' or 'down' (at display precision)
+ * @returns {{weight: number, exactReps: number, reps: number, rpe: number}} Unrounded RPE
+ */
+export function evaluateWeight(e1RM, weight, rpe, baseWeight = 0, formula, repsRounding = 'closest') {
+  const pct = e1RM * 100 / (weight + baseWeight);
+  const exactReps = getRepsFromPct(pct, rpe, formula);
+  const reps = repsRounding === 'down' ? Math.floor(roundToTenth(exactReps)) : Math.round(exactReps);
+  return {
+    weight,
+    exactReps,
+    reps,
+    rpe: getRPEFromPct(pct, reps, formula)
+  };
+}
+
+/**
+ * How a rounding mode rounds reps at the rounded weight
+ * @param {string} roundingMode - Key of ROUNDING_MODES
+ * @returns {string} 'down' for the modes that keep to the target RPE, otherwise 'closest'
+ */
+export function getRepsRounding(roundingMode) {
+  return roundingMode === 'max-rpe' || roundingMode === 'min-reps' ? 'down' : 'closest';
+}
+
+/**
+ * Choose between the rounded-down and rounded-up weights
+ * Prefers integer reps closest to the exact reps, then adjusted RPE closest
+ * to the target, then weight closest to the exact weight (down on ties).
+ *
+ * @param {number} weightDown - Achievable weight at or below exact
+ * @param {number} weightUp - Achievable weight at or above exact
+ * @param {{weight: number, reps: number, rpe: number}} exact - Exact (display precision) target
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {number} baseWeight - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {number} The chosen weight
+ */
+export function chooseClosestWeight(weightDown, weightUp, exact, e1RM, baseWeight, formula) {
+  const down = evaluateWeight(e1RM, weightDown, exact.rpe, baseWeight, formula);
+  const up = evaluateWeight(e1RM, weightUp, exact.rpe, baseWeight, formula);
+
+  const diffDown = Math.abs(down.reps - exact.reps);
+  const diffUp = Math.abs(up.reps - exact.reps);
+  if (diffDown < diffUp) return weightDown;
+  if (diffUp < diffDown) return weightUp;
+
+  // Reps are equal - use RPE as tiebreaker
+  const rpeDiffDown = Math.abs(down.rpe - exact.rpe);
+  const rpeDiffUp = Math.abs(up.rpe - exact.rpe);
+  if (rpeDiffDown < rpeDiffUp) return weightDown;
+  if (rpeDiffUp < rpeDiffDown) return weightUp;
+
+  // RPE also equal - use weight closest to exact
+  const weightDiffDown = Math.abs(weightDown - exact.weight);
+  const weightDiffUp = Math.abs(weightUp - exact.weight);
+  return weightDiffDown <= weightDiffUp ? weightDown : weightUp;
+}
+
+/**
+ * Round an exact weight to achievable equipment weight for a rounding mode
+ * @param {{weight: number, reps: number, rpe: number}} exact - Exact (display precision) target
+ * @param {Object} equipment - Equipment ({baseWeight, increment} or {baseWeight, weights})
+ * @param {string} roundingMode - Key of ROUNDING_MODES
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {number} Rounded plate weight
+ */
+export function roundExactWeight(exact, equipment, roundingMode, e1RM, formula) {
+  const weightDown = roundToEquipment(exact.weight, equipment, 'down');
+  // Any lighter weight allows at least the reps of the exact weight at the target RPE
+  if (roundingMode === 'down' || roundingMode === 'min-reps') return weightDown;
+
+  const weightUp = roundToEquipment(exact.weight, equipment, 'up');
+  if (roundingMode === 'up') return weightUp;
+
+  if (roundingMode === 'max-rpe') {
+    // Reps rounded down keep any weight at or below the target RPE, as long as a rep is left,
+    // so take the heaviest weight that still allows the rounded-up weight's reps
+    const baseWeight = equipment.baseWeight || 0;
+    const { reps } = evaluateWeight(e1RM, weightUp, exact.rpe, baseWeight, formula, 'down');
+    if (reps < 1) return weightDown;
+    let weight = weightUp;
+    let next = getAdjacentWeight(weight, equipment, 'up');
+    while (next !== null && evaluateWeight(e1RM, next, exact.rpe, baseWeight, formula, 'down').reps === reps) {
+      weight = next;
+      next = getAdjacentWeight(weight, equipment, 'up');
+    }
+    return weight;
+  }
+
+  // 'closest' mode: choose the direction that gives reps closest to exact
+  return chooseClosestWeight(weightDown, weightUp, exact, e1RM, equipment.baseWeight || 0, formula);
+}
+
+/**
+ * Check an exact weight against the equipment bounds
+ * Past a bound, rounding clamps to it (see roundToEquipment).
+ * @param {number} weight - Exact plate weight
+ * @param {Object} equipment - Equipment ({increment, minWeight, maxWeight} or {weights})
+ * @returns {{direction: string, limit: number}|null} 'above' the heaviest or 'below' the lightest
+ *   achievable weight and that weight, or null if the equipment can make it
+ */
+export function checkReachable(weight, equipment) {
+  const { min, max } = getEquipmentBounds(equipment);
+  if (weight > max) return { direction: 'above', limit: max };
+  if (weight < min) return { direction: 'below', limit: min };
+  return null;
+}
+
+/**
+ * Find the first input set the formula can't estimate from (see isInFormulaDomain)
+ * Checks every reference set and, in 'weight' mode, the target reps at the target RPE.
+ * @param {string} mode - Calculation mode
+ * @param {Object[]} references - Reference sets
+ * @param {Object} target - Target set
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {{set: string, index: number, effectiveReps: number, label: string, domain: {min: number, max: number}}|null}
+ *   The offending set ('reference' with its index, or 'target'), or null if all are in range
+ */
+export function findOutOfRange(mode, references, target, formula) {
+  const { label, domain } = getFormula(formula);
+  const sets = references.map((reference, index) => ({ set: 'reference', index, ...reference }));
+  if (mode === 'weight') sets.push({ set: 'target', index: 0, ...target });
+  const found = sets.find(({ reps, rpe }) => !isInFormulaDomain(reps + 10 - rpe, formula));
+  if (!found) return null;
+  return { set: found.set, index: found.index, effectiveReps: found.reps + 10 - found.rpe, label, domain };
+}
+
+/**
+ * Check the reps predicted at a target weight against the formula's domain
+ * Too light a weight predicts more reps than the formula covers (Infinity past
+ * a saturating formula's asymptote); a weight above the 1RM is a valid 0 reps.
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {number} weight - Target plate weight
+ * @param {number} baseWeight - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {{set: string, index: number, effectiveReps: number, label: string, domain: {min: number, max: number}}|null}
+ *   Like findOutOfRange for the target, or null if the prediction is in range
+ */
+export function findPredictionOutOfRange(e1RM, weight, baseWeight, formula) {
+  const { label, reps } = getFormula(formula);
+  const domain = getFormulaDomain(formula);
+  const effectiveReps = reps(e1RM * 100 / (weight + baseWeight));
+  if (effectiveReps <= domain.max) return null;
+  return { set: 'target', index: 0, effectiveReps, label, domain };
+}
+
+/**
+ * Calculate a target set from a reference set
+ *
+ * @param {Object} input
+ * @param {string} input.mode - 'weight' (solve weight from target reps), 'reps' (solve reps from target weight),
+ *   'rpe' (solve RPE from target weight and reps) or 'percent' (solve weight and RPE from a percentage of e1RM and reps)
+ * @param {{weight: number, reps: number, rpe: number}} [input.reference] - Reference set (plate weight)
+ * @param {Object[]} [input.references] - Several reference sets, oldest first (overrides reference)
+ * @param {string} [input.combineStrategy='recent'] - How to combine several reference sets
+ * @param {{reps?: number, weight?: number, rpe?: number, percent?: number}} input.target - Target set (plate weight)
+ * @param {Object} [input.equipment] - Equipment ({baseWeight, increment} or {baseWeight, weights})
+ * @param {string} [input.roundingMode='closest'] - Key of ROUNDING_MODES
+ * @param {string|Object} [input.formula] - Formula id or object
+ * @returns {{e1RM: number, estimates: Object[], exact: {weight: number, reps: number, rpe: number}, rounded: {weight: number, reps: number, rpe: number}, unreachable: Object|null}|{outOfRange: Object}}
+ *   When an input set, or in 'reps' mode the reps predicted at the target weight, is outside the formula's
+ *   domain, only {outOfRange} (see findOutOfRange and findPredictionOutOfRange) is returned.
+ *   Exact values are at display precision (0.1); rounded weight and RPE to 0.1, reps to an integer.
+ *   unreachable is checkReachable for the exact weight; the rounded set is then at the clamped weight.
+ *   In 'rpe' and 'percent' modes both RPEs are unclamped (see describeRPE) and the rounded set keeps the target reps;
+ *   with no target RPE, 'max-rpe' and 'min-reps' round down so the predicted RPE doesn't go up.
+ */
+export function calculateSet(input) {
+  const { mode, reference, target, equipment = {}, roundingMode = 'closest', formula } = input;
+  const references = input.references || [reference];
+  const outOfRange = findOutOfRange(mode, references, target, formula);
+  if (outOfRange) return { outOfRange };
+  const baseWeight = equipment.baseWeight || 0;
+  const { e1RM, estimates } = estimateCombinedE1RM(references, baseWeight, formula, input.combineStrategy);
+
+  if (mode === 'rpe' || mode === 'percent') {
+    const weight = mode === 'rpe' ? target.weight : roundToTenth(getWeightForPercent(e1RM, target.percent, baseWeight));
+    const exact = {
+      weight,
+      reps: target.reps,
+      rpe: roundToTenth(getRPEAtWeight(e1RM, weight, target.reps, baseWeight, formula))
+    };
+    const weightMode = getRepsRounding(roundingMode) === 'down' ? 'down' : roundingMode;
+    const roundedWeight = roundExactWeight(exact, equipment, weightMode, e1RM, formula);
+    return {
+      e1RM,
+      estimates,
+      exact,
+      rounded: {
+        weight: roundToTenth(roundedWeight),
+        reps: target.reps,
+        rpe: roundToTenth(getRPEAtWeight(e1RM, roundedWeight, target.reps, baseWeight, formula))
+      },
+      unreachable: checkReachable(exact.weight, equipment)
+    };
+  }
+
+  let exactWeight, exactReps;
+  if (mode === 'weight') {
+    exactWeight = getWeightForReps(e1RM, target.reps, target.rpe, baseWeight, formula);
+    exactReps = target.reps;
+  } else {
+    const outOfRange = findPredictionOutOfRange(e1RM, target.weight, baseWeight, formula);
+    if (outOfRange) return { outOfRange };
+    exactReps = getRepsAtWeight(e1RM, target.weight, target.rpe, baseWeight, formula);
+    exactWeight = target.weight;
+  }
+
+  // Round to display precision and use these for further calculations
+  // so rounded values are consistent with what the user sees
+  const exact = {
+    weight: roundToTenth(exactWeight),
+    reps: roundToTenth(exactReps),
+    rpe: target.rpe
+  };
+
+  const roundedWeight = roundExactWeight(exact, equipment, roundingMode, e1RM, formula);
+  const rounded = evaluateWeight(e1RM, roundedWeight, target.rpe, baseWeight, formula, getRepsRounding(roundingMode));
+
+  return {
+    e1RM,
+    estimates,
+    exact,
+    rounded: {
+      weight: roundToTenth(rounded.weight),
+      reps: rounded.reps,
+      rpe: roundToTenth(rounded.rpe)
+    },
+    unreachable: checkReachable(exact.weight, equipment)
+  };
+}
@@ -0,0 +1,254 @@
+/**
+ * User-defined equipment profiles
+ *
+ * Profiles live in localStorage alongside the built-in EQUIPMENT_CONFIG
+ * presets and use the same shape plus an id and a name:
+ * - { id, name, baseWeight, increment } (optionally minWeight and maxWeight)
+ * - { id, name, baseWeight, weights } (weights sorted ascending, no duplicates)
+ * Either can carry addOns: [{ weight, count }] (heaviest first).
+ * Profiles in kilograms also carry unit: 'kg'.
+ *
+ * All list operations return new arrays.
+ */
+
+import { loadJSON, saveJSON } from './storage.js';
+import { getEquipmentBounds } from './utils.js';
+
+export const EQUIPMENT_PROFILES_KEY = 'setcalc.equipmentProfiles';
+export const CUSTOM_EQUIPMENT_KEY = 'setcalc.customEquipment';
+
+/**
+ * Prefix for profile ids, keeps them apart from preset keys
+ */
+export const PROFILE_ID_PREFIX = 'user_';
+
+/**
+ * Sort and de-duplicate an enumerated weight list
+ * roundToEnumeratedDown/Up assume sorted input.
+ * @param {number[]} weights - Available weights
+ * @returns {number[]} Positive finite weights, ascending, without duplicates
+ */
+export function normalizeWeights(weights) {
+  const valid = weights.filter(weight => Number.isFinite(weight) && weight > 0);
+  return [...new Set(valid)].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a comma- or space-separated weight list
+ * @param {string} text - e.g. "5, 10, 15"
+ * @returns {number[]|null} Weights as entered, or null if any entry is not a number
+ */
+export function parseWeightList(text) {
+  const entries = text.split(/[\s,]+/).filter(Boolean);
+  const weights = entries.map(Number);
+  return weights.some(weight => isNaN(weight)) ? null : weights;
+}
+
+/**
+ * Parse add-ons such as "2.5, 5x2"
+ * An add-on without a count is a single one.
+ * @param {string} text - Comma-separated weight[x count] entries
+ * @returns {{weight: number, count: number}[]|null} Add-ons as entered ([] if blank), or null if any entry is invalid
+ */
+export function parseAddOns(text) {
+  const entries = text.split(',').map(entry => entry.trim()).filter(Boolean);
+  const addOns = [];
+  for (const entry of entries) {
+    const match = entry.match(/^(\d+(?:\.\d+)?|\.\d+)\s*(?:[x×*]\s*(\d+))?$/i);
+    if (!match) return null;
+    addOns.push({ weight: parseFloat(match[1]), count: match[2] === undefined ? 1 : parseInt(match[2], 10) });
+  }
+  return addOns;
+}
+
+/**
+ * Format add-ons for editing
+ * @param {{weight: number, count: number}[]} addOns - Add-ons
+ * @returns {string} e.g. "5, 2.5x2"
+ */
+export function formatAddOns(addOns) {
+  return addOns.map(addOn => (addOn.count === 1 ? `${addOn.weight}` : `${addOn.weight}x${addOn.count}`)).join(', ');
+}
+
+/**
+ * Read an optional bound ('' or missing means none)
+ * @returns {number|null|undefined} The bound, null if none, undefined if not a number
+ */
+function parseBound(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const bound = Number(value);
+  return Number.isFinite(bound) ? bound : undefined;
+}
+
+/**
+ * Validate and normalize a profile
+ * @param {Object} profile - Profile with name, baseWeight and increment (with optional minWeight
+ *   and maxWeight) or weights, and optional addOns
+ * @returns {{profile: Object|null, error: string|null}} Normalized profile or an error message
+ */
+export function normalizeEquipmentProfile(profile) {
+  const name = String(profile.name || '').trim();
+  if (!name) {
+    return { profile: null, error: 'Name is required' };
+  }
+
+  const baseWeight = Number(profile.baseWeight);
+  if (!Number.isFinite(baseWeight) || baseWeight < 0) {
+    return { profile: null, error: 'Base weight must be ≥ 0' };
+  }
+
+  const addOns = Array.isArray(profile.addOns) ? profile.addOns : [];
+  if (addOns.some(addOn => !addOn || !(addOn.weight > 0) || !Number.isInteger(addOn.count) || addOn.count < 1)) {
+    return { profile: null, error: 'Add-ons need a positive weight and a count of at least 1' };
+  }
+
+  if (Array.isArray(profile.weights)) {
+    const weights = normalizeWeights(profile.weights);
+    if (weights.length === 0) {
+      return { profile: null, error: 'Enter at least one positive weight' };
+    }
+    return { profile: withUnit(withAddOns({ id: profile.id, name, baseWeight, weights }, addOns), profile.unit), error: null };
+  }
+
+  const increment = Number(profile.increment);
+  if (!Number.isFinite(increment) || increment <= 0) {
+    return { profile: null, error: 'Increment must be positive' };
+  }
+
+  const minWeight = parseBound(profile.minWeight);
+  const maxWeight = parseBound(profile.maxWeight);
+  if (minWeight === undefined || (minWeight !== null && minWeight < 0)) {
+    return { profile: null, error: 'Min weight must be ≥ 0' };
+  }
+  if (maxWeight === undefined || (maxWeight !== null && maxWeight <= 0)) {
+    return { profile: null, error: 'Max weight must be positive' };
+  }
+
+  const normalized = { id: profile.id, name, baseWeight, increment };
+  if (minWeight) normalized.minWeight = minWeight;
+  if (maxWeight !== null) normalized.maxWeight = maxWeight;
+  const bounds = getEquipmentBounds(normalized);
+  if (bounds.min > bounds.max) {
+    return { profile: null, error: 'No weight fits between min and max weight' };
+  }
+  return { profile: withUnit(withAddOns(normalized, addOns), profile.unit), error: null };
+}
+
+/**
+ * Attach add-ons to a profile, heaviest first (none are left out)
+ */
+function withAddOns(profile, addOns) {
+  if (addOns.length === 0) return profile;
+  return { ...profile, addOns: addOns.map(addOn => ({ weight: addOn.weight, count: addOn.count })).sort((a, b) => b.weight - a.weight) };
+}
+
+/**
+ * Tag a profile with its unit (pounds are implied)
+ */
+function withUnit(profile, unit) {
+  return unit === 'kg' ? { ...profile, unit } : profile;
+}
+
+/**
+ * Generate an id not used by any profile
+ * @param {Object[]} profiles - Existing profiles
+ * @returns {string} New profile id
+ */
+export function createProfileId(profiles) {
+  let n = profiles.length + 1;
+  while (profiles.some(profile => profile.id === PROFILE_ID_PREFIX + n)) n++;
+  return PROFILE_ID_PREFIX + n;
+}
+
+/**
+ * Add a profile to the end of the list
+ * @param {Object[]} profiles - Existing profiles
+ * @param {Object} profile - Normalized profile (id assigned if missing)
+ * @returns {Object[]} Updated profiles
+ */
+export function addEquipmentProfile(profiles, profile) {
+  return [...profiles, { ...profile, id: profile.id || createProfileId(profiles) }];
+}
+
+/**
+ * Replace a profile, keeping its id and position
+ * @param {Object[]} profiles - Existing profiles
+ * @param {string} id - Profile id
+ * @param {Object} profile - Normalized replacement
+ * @returns {Object[]} Updated profiles
+ */
+export function updateEquipmentProfile(profiles, id, profile) {
+  return profiles.map(existing => (existing.id === id ? { ...profile, id } : existing));
+}
+
+/**
+ * Remove a profile
+ * @param {Object[]} profiles - Existing profiles
+ * @param {string} id - Profile id
+ * @returns {Object[]} Updated profiles
+ */
+export function removeEquipmentProfile(profiles, id) {
+  return profiles.filter(profile => profile.id !== id);
+}
+
+/**
+ * Move a profile up or down the list
+ * @param {Object[]} profiles - Existing profiles
+ * @param {string} id - Profile id
+ * @param {number} offset - Positions to move (-1 = up, 1 = down)
+ * @returns {Object[]} Updated profiles (unchanged if the move is out of range)
+ */
+export function moveEquipmentProfile(profiles, id, offset) {
+  const from = profiles.findIndex(profile => profile.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= profiles.length) return profiles;
+
+  const moved = [...profiles];
+  const [profile] = moved.splice(from, 1);
+  moved.splice(to, 0, profile);
+  return moved;
+}
+
+/**
+ * Load profiles from storage, dropping any that fail validation
+ * @param {Storage} [storage] - Storage backend
+ * @returns {Object[]} Profiles
+ */
+export function loadEquipmentProfiles(storage) {
+  const stored = loadJSON(EQUIPMENT_PROFILES_KEY, [], storage);
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(profile => profile && typeof profile.id === 'string')
+    .map(profile => normalizeEquipmentProfile(profile).profile)
+    .filter(Boolean);
+}
+
+/**
+ * Save profiles to storage
+ * @param {Object[]} profiles - Profiles
+ * @param {Storage} [storage] - Storage backend
+ * @returns {boolean} True if saved
+ */
+export function saveEquipmentProfiles(profiles, storage) {
+  return saveJSON(EQUIPMENT_PROFILES_KEY, profiles, storage);
+}
+
+/**
+ * Load the last base weight and increment used with the Custom option
+ * @param {Storage} [storage] - Storage backend
+ * @returns {{baseWeight: number, increment: number, unit?: string}|null} Saved values or null
+ */
+export function loadCustomEquipment(storage) {
+  const custom = loadJSON(CUSTOM_EQUIPMENT_KEY, null, storage);
+  return custom && typeof custom === 'object' ? custom : null;
+}
+
+/**
+ * Save the base weight and increment used with the Custom option
+ * @param {{baseWeight: number, increment: number, unit?: string}} custom - Custom values
+ * @param {Storage} [storage] - Storage backend
+ * @returns {boolean} True if saved
+ */
+export function saveCustomEquipment(custom, storage) {
+  return saveJSON(CUSTOM_EQUIPMENT_KEY, custom, storage);
+}
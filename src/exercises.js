@@ -0,0 +1,147 @@
+/**
+ * Exercise library with per-exercise defaults
+ *
+ * Each exercise remembers how it was last set up:
+ * { name, equipment, roundingMode, reference, e1RM }
+ * - equipment: equipment select value (preset key or profile id)
+ * - reference: last reference set { weight, baseWeight, reps, rpe, unit } (plate
+ *   weight on the equipment's base weight), or null
+ * - e1RM: current estimate { value, unit } (total weight), or null
+ *
+ * The library starts as DEFAULT_EXERCISES and lives in localStorage once
+ * changed. Names are matched case-insensitively. All list operations return
+ * new arrays.
+ */
+
+import { loadJSON, saveJSON } from './storage.js';
+import { roundToTenth } from './engine.js';
+import { getEquipmentConfig, EQUIPMENT_UNIT_COUNTERPARTS } from './utils.js';
+import { WEIGHT_UNITS, DEFAULT_WEIGHT_UNIT, convertWeight, getEquipmentUnit } from './units.js';
+
+export const EXERCISES_KEY = 'setcalc.exercises';
+
+/**
+ * Starting library
+ */
+export const DEFAULT_EXERCISES = [
+  { name: 'Squat', equipment: '0' },
+  { name: 'Bench Press', equipment: '0' },
+  { name: 'Deadlift', equipment: '0' },
+  { name: 'Overhead Press', equipment: '0' },
+  { name: 'Leg Press', equipment: '167' },
+  { name: 'Smith Machine Squat', equipment: '25' },
+  { name: 'DB Bench Press', equipment: 'dumbbells_x2' },
+  { name: 'Cable Row', equipment: 'cable_purple' }
+].map(exercise => ({ ...exercise, roundingMode: 'closest', reference: null, e1RM: null }));
+
+/**
+ * Find an exercise by name
+ * @param {Object[]} exercises - Library
+ * @param {string} name - Exercise name (case and surrounding spaces ignored)
+ * @returns {Object|undefined} Exercise
+ */
+export function findExercise(exercises, name) {
+  const key = String(name || '').trim().toLowerCase();
+  return exercises.find(exercise => exercise.name.toLowerCase() === key);
+}
+
+/**
+ * Update an exercise's defaults, adding it to the end if it's new
+ * @param {Object[]} exercises - Library
+ * @param {string} name - Exercise name
+ * @param {Object} changes - Fields to replace (equipment, roundingMode, reference, e1RM)
+ * @returns {Object[]} Updated library (unchanged for a blank name)
+ */
+export function updateExercise(exercises, name, changes) {
+  const existing = findExercise(exercises, name);
+  if (existing) {
+    return exercises.map(exercise => (exercise === existing ? { ...exercise, ...changes, name: exercise.name } : exercise));
+  }
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return exercises;
+  const added = { equipment: '0', roundingMode: 'closest', reference: null, e1RM: null, ...changes, name: trimmed };
+  return [...exercises, added];
+}
+
+/**
+ * Remove an exercise
+ * @param {Object[]} exercises - Library
+ * @param {string} name - Exercise name
+ * @returns {Object[]} Updated library
+ */
+export function removeExercise(exercises, name) {
+  const existing = findExercise(exercises, name);
+  return exercises.filter(exercise => exercise !== existing);
+}
+
+/**
+ * Base weight of equipment, 0 if it no longer exists
+ */
+function getConfigBaseWeight(equipment) {
+  const config = getEquipmentConfig(equipment);
+  return (config && config.baseWeight) || 0;
+}
+
+/**
+ * Defaults to apply when an exercise is picked, in the selected unit
+ *
+ * Equipment in the other unit switches to its counterpart (see
+ * EQUIPMENT_UNIT_COUNTERPARTS), and equipment that no longer exists to None.
+ * The reference keeps its total weight: e.g. 100 lbs on the 167 lb sled is
+ * 121.1 kg with no base. References saved without a base weight assume the
+ * exercise's equipment; Custom keeps its base, converted.
+ * @param {Object} exercise - Library entry
+ * @param {string} [unit='lb'] - Selected unit
+ * @returns {{equipment: string, roundingMode: string, reference: Object|null, e1RM: number|null}}
+ *   reference weight and e1RM converted to the unit, at 0.1
+ */
+export function getExerciseSetup(exercise, unit = DEFAULT_WEIGHT_UNIT) {
+  const config = getEquipmentConfig(exercise.equipment);
+  let equipment = exercise.equipment;
+  if (!config) {
+    equipment = WEIGHT_UNITS[unit].defaultEquipment;
+  } else if (equipment !== 'custom' && getEquipmentUnit(config) !== unit) {
+    equipment = EQUIPMENT_UNIT_COUNTERPARTS[equipment] || WEIGHT_UNITS[unit].defaultEquipment;
+  }
+
+  const { reference, e1RM } = exercise;
+  return {
+    equipment,
+    roundingMode: exercise.roundingMode || 'closest',
+    reference: reference ? convertReference(reference, exercise.equipment, equipment, unit) : null,
+    e1RM: e1RM ? roundToTenth(convertWeight(e1RM.value, e1RM.unit || DEFAULT_WEIGHT_UNIT, unit)) : null
+  };
+}
+
+/**
+ * Move a reference set to other equipment and unit, keeping its total weight
+ */
+function convertReference(reference, fromEquipment, toEquipment, unit) {
+  const { baseWeight, ...set } = reference;
+  const from = reference.unit || DEFAULT_WEIGHT_UNIT;
+  const fromBase = baseWeight === undefined ? getConfigBaseWeight(fromEquipment) : baseWeight;
+  const toBase = toEquipment === 'custom' ? convertWeight(fromBase, from, unit) : getConfigBaseWeight(toEquipment);
+  const total = convertWeight(reference.weight + fromBase, from, unit);
+  return { ...set, weight: roundToTenth(Math.max(0, total - toBase)), unit };
+}
+
+/**
+ * Load the library from storage
+ * @param {Storage} [storage] - Storage backend
+ * @returns {Object[]} Saved library, or DEFAULT_EXERCISES if none was saved
+ */
+export function loadExercises(storage) {
+  const stored = loadJSON(EXERCISES_KEY, null, storage);
+  if (!Array.isArray(stored)) return DEFAULT_EXERCISES;
+  return stored.filter(exercise => exercise && typeof exercise.name === 'string' && exercise.name.trim());
+}
+
+/**
+ * Save the library to storage
+ * @param {Object[]} exercises - Library
+ * @param {Storage} [storage] - Storage backend
+ * @returns {boolean} True if saved
+ */
+export function saveExercises(exercises, storage) {
+  return saveJSON(EXERCISES_KEY, exercises, storage);
+}
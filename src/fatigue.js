@@ -0,0 +1,106 @@
+/**
+ * Multi-set fatigue projection at a fixed load
+ *
+ * Each set leaves some fatigue behind, modelled as a loss of e1RM before the
+ * next set. Reps (or RPE) for every set are then read off the selected 1RM
+ * formula at the reduced e1RM, so the projection follows the same curve as
+ * the single-set calculator.
+ *
+ * The per-set loss is rate% of the fresh e1RM at REFERENCE_REST_SECONDS of
+ * rest, scaled by (REFERENCE_REST_SECONDS / rest) ^ REST_EXPONENT: shorter
+ * rests leave more fatigue, longer rests less.
+ */
+
+import { evaluateWeight } from './engine.js';
+import { getRPEFromPct } from './calc.js';
+
+/**
+ * Rest interval at which the fatigue rate applies unscaled
+ */
+export const REFERENCE_REST_SECONDS = 180;
+
+/**
+ * Sensitivity of fatigue to the rest interval
+ */
+export const REST_EXPONENT = 0.5;
+
+/**
+ * Default e1RM loss per set (%)
+ */
+export const DEFAULT_FATIGUE_RATE = 3;
+
+/**
+ * Fatigue models keyed by id
+ * remaining(setsDone, rate) is the fraction of the fresh e1RM left after
+ * setsDone sets, with rate as a fraction (0.03 = 3%).
+ */
+export const FATIGUE_MODELS = {
+  'exponential': {
+    label: 'Compounding',
+    remaining: (setsDone, rate) => Math.pow(1 - rate, setsDone)
+  },
+  'linear': {
+    label: 'Linear',
+    remaining: (setsDone, rate) => 1 - rate * setsDone
+  },
+  'plateau': {
+    // Halves the loss every set, levelling off at twice the first set's loss
+    label: 'Levelling off',
+    remaining: (setsDone, rate) => 1 - 2 * rate * (1 - Math.pow(0.5, setsDone))
+  }
+};
+
+export const DEFAULT_FATIGUE_MODEL = 'exponential';
+
+/**
+ * Scale a per-set fatigue rate for the rest interval
+ * @param {number} rate - e1RM loss per set at the reference rest (%)
+ * @param {number} restSeconds - Rest between sets (seconds, > 0)
+ * @returns {number} e1RM loss per set (%)
+ */
+export function getRestAdjustedRate(rate, restSeconds) {
+  return rate * Math.pow(REFERENCE_REST_SECONDS / restSeconds, REST_EXPONENT);
+}
+
+/**
+ * Project reps or RPE across several sets at the same weight
+ *
+ * @param {Object} input
+ * @param {string} input.mode - 'reps' (reps per set at a fixed RPE) or 'rpe' (RPE per set at fixed reps)
+ * @param {number} input.e1RM - Fresh estimated 1RM (total weight)
+ * @param {number} input.weight - Working weight (plate weight)
+ * @param {number} [input.baseWeight=0] - Equipment base weight
+ * @param {number} input.sets - Number of sets
+ * @param {number} input.restSeconds - Rest between sets (seconds)
+ * @param {number} [input.rpe] - RPE every set is taken to ('reps' mode)
+ * @param {number} [input.reps] - Reps performed every set ('rpe' mode)
+ * @param {string} [input.model='exponential'] - Key of FATIGUE_MODELS
+ * @param {number} [input.rate=3] - e1RM loss per set at the reference rest (%)
+ * @param {string|Object} [input.formula] - Formula id or object
+ * @returns {{sets: {set: number, e1RM: number, reps: number, rpe: number, failure: boolean}[], totalReps: number, volume: number}}
+ *   RPE is unrounded; failure marks sets whose reps need an RPE above 10;
+ *   volume is total reps × total weight (base included)
+ */
+export function projectSets(input) {
+  const { mode, e1RM, weight, baseWeight = 0, restSeconds, formula } = input;
+  const { model = DEFAULT_FATIGUE_MODEL, rate = DEFAULT_FATIGUE_RATE } = input;
+  const { remaining } = FATIGUE_MODELS[model] || FATIGUE_MODELS[DEFAULT_FATIGUE_MODEL];
+  const restRate = getRestAdjustedRate(rate, restSeconds) / 100;
+  const total = weight + baseWeight;
+
+  const sets = [];
+  for (let i = 0; i < input.sets; i++) {
+    const setE1RM = e1RM * Math.max(0, remaining(i, restRate));
+    let reps, rpe;
+    if (mode === 'rpe') {
+      reps = input.reps;
+      rpe = getRPEFromPct(setE1RM * 100 / total, reps, formula);
+    } else {
+      ({ reps, rpe } = evaluateWeight(setE1RM, weight, input.rpe, baseWeight, formula));
+    }
+    sets.push({ set: i + 1, e1RM: setE1RM, reps, rpe, failure: rpe > 10 });
+  }
+
+  const totalReps = sets.reduce((sum, set) => sum + set.reps, 0);
+  return { sets, totalReps, volume: totalReps * total };
+}
@@ -0,0 +1,192 @@
+/**
+ * Personal Berger coefficient fitted from logged sets
+ *
+ * The Berger equation gives 1RM / weight = exp(k * (effectiveReps - 1)), so
+ * ln(totalWeight) = ln(1RM) - k * (effectiveReps - 1)
+ * is linear in effective reps. Each exercise has its own 1RM, so the fit
+ * shares the slope k across exercises but gives each one its own intercept
+ * ln(1RM) (pooled within-exercise least squares). That yields a personal
+ * decay constant k and an e1RM per exercise.
+ *
+ * Sets are workout history entries (or anything with the same fields).
+ */
+
+import { loadJSON, saveJSON } from './storage.js';
+import { convertWeight, DEFAULT_WEIGHT_UNIT } from './units.js';
+
+/**
+ * Storage key of the log kept before sets went into workout history (see history.js)
+ * Only read to move those sets into history.
+ */
+export const LOGGED_SETS_KEY = 'setcalc.loggedSets';
+
+/**
+ * Minimum number of logged sets required for a fit
+ */
+export const MIN_FIT_SETS = 3;
+
+/**
+ * Effective reps (reps to failure) for a logged set
+ * @param {{reps: number, rpe: number}} set - Logged set
+ * @returns {number} reps + (10 - rpe)
+ */
+export function getSetEffectiveReps(set) {
+  return set.reps + 10 - set.rpe;
+}
+
+/**
+ * Total weight for a logged set (plate weight + equipment base weight)
+ * @param {{weight: number, baseWeight?: number}} set - Logged set
+ * @returns {number} Total weight
+ */
+export function getSetTotalWeight(set) {
+  return set.weight + (set.baseWeight || 0);
+}
+
+/**
+ * Group fit points by exercise and centre them on their exercise's means
+ * Sets without an exercise name form one group.
+ * @param {Object[]} points - Points ({exercise, x, y})
+ * @returns {Map<string, {meanX: number, meanY: number, points: Object[]}>} Groups keyed by exercise
+ */
+function groupByExercise(points) {
+  const groups = new Map();
+  for (const p of points) {
+    if (!groups.has(p.exercise)) groups.set(p.exercise, { points: [] });
+    groups.get(p.exercise).points.push(p);
+  }
+  for (const group of groups.values()) {
+    group.meanX = group.points.reduce((sum, p) => sum + p.x, 0) / group.points.length;
+    group.meanY = group.points.reduce((sum, p) => sum + p.y, 0) / group.points.length;
+  }
+  return groups;
+}
+
+/**
+ * Fit a personal Berger coefficient by least squares
+ * The slope is shared across exercises; each exercise gets its own intercept,
+ * so lifts with different 1RMs don't masquerade as a steep curve.
+ * @param {Object[]} sets - Logged sets ({exercise?, weight, baseWeight?, reps, rpe})
+ * @returns {{coefficient: number, e1RM: number|null, e1RMs: Object<string, number>, r2: number, rmse: number, n: number}|null}
+ *   e1RMs is keyed by exercise name ('' for sets without one); e1RM is the
+ *   only exercise's e1RM, or null when the sets span several exercises.
+ *   r2 is within exercises and rmse is in reps; null if there are too few
+ *   sets, no spread in effective reps within any exercise, or the fitted
+ *   curve does not decrease with reps
+ */
+export function fitBergerCoefficient(sets) {
+  const points = sets
+    .filter(set => getSetTotalWeight(set) > 0)
+    .map(set => ({
+      exercise: set.exercise || '',
+      effectiveReps: getSetEffectiveReps(set),
+      x: getSetEffectiveReps(set) - 1,
+      y: Math.log(getSetTotalWeight(set))
+    }));
+
+  const n = points.length;
+  if (n < MIN_FIT_SETS) return null;
+
+  const groups = groupByExercise(points);
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { meanX, meanY, points: groupPoints } of groups.values()) {
+    for (const p of groupPoints) {
+      sxx += (p.x - meanX) ** 2;
+      sxy += (p.x - meanX) * (p.y - meanY);
+      syy += (p.y - meanY) ** 2;
+    }
+  }
+
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const coefficient = -slope;
+  if (!(coefficient > 0)) return null;
+
+  // Residuals measured in reps: observed minus predicted effective reps
+  const e1RMs = {};
+  let ssResidual = 0;
+  let ssReps = 0;
+  for (const [exercise, { meanX, meanY, points: groupPoints }] of groups) {
+    const logE1RM = meanY - slope * meanX;
+    e1RMs[exercise] = Math.exp(logE1RM);
+    for (const p of groupPoints) {
+      const predictedY = logE1RM + slope * p.x;
+      const predictedReps = 1 + (logE1RM - p.y) / coefficient;
+      ssResidual += (p.y - predictedY) ** 2;
+      ssReps += (p.effectiveReps - predictedReps) ** 2;
+    }
+  }
+
+  const exercises = Object.keys(e1RMs);
+  return {
+    coefficient,
+    e1RM: exercises.length === 1 ? e1RMs[exercises[0]] : null,
+    e1RMs,
+    r2: 1 - ssResidual / syy,
+    rmse: Math.sqrt(ssReps / n),
+    n
+  };
+}
+
+/**
+ * Filter logged sets to one exercise
+ * @param {Object[]} sets - Logged sets
+ * @param {string} [exercise] - Exercise name; empty or omitted keeps all sets
+ * @returns {Object[]} Matching sets
+ */
+export function filterSetsByExercise(sets, exercise) {
+  if (!exercise) return sets;
+  return sets.filter(set => set.exercise === exercise);
+}
+
+/**
+ * Express logged sets in one unit
+ * Sets logged before units were supported have no unit and are in pounds.
+ * @param {Object[]} sets - Logged sets
+ * @param {string} unit - 'lb' or 'kg'
+ * @returns {Object[]} Copies with weight and baseWeight converted and unit set
+ */
+export function convertSetsToUnit(sets, unit) {
+  return sets.map(set => {
+    const from = set.unit || DEFAULT_WEIGHT_UNIT;
+    return {
+      ...set,
+      weight: convertWeight(set.weight, from, unit),
+      baseWeight: convertWeight(set.baseWeight || 0, from, unit),
+      unit
+    };
+  });
+}
+
+/**
+ * Distinct exercise names in logged sets
+ * @param {Object[]} sets - Logged sets
+ * @returns {string[]} Sorted exercise names (blank names omitted)
+ */
+export function getLoggedExercises(sets) {
+  const names = new Set(sets.map(set => set.exercise).filter(Boolean));
+  return [...names].sort();
+}
+
+/**
+ * Load logged sets from storage
+ * @param {Storage} [storage] - Storage backend
+ * @returns {Object[]} Logged sets
+ */
+export function loadLoggedSets(storage) {
+  const sets = loadJSON(LOGGED_SETS_KEY, [], storage);
+  return Array.isArray(sets) ? sets : [];
+}
+
+/**
+ * Save logged sets to storage
+ * @param {Object[]} sets - Logged sets
+ * @param {Storage} [storage] - Storage backend
+ * @returns {boolean} True if saved
+ */
+export function saveLoggedSets(sets, storage) {
+  return saveJSON(LOGGED_SETS_KEY, sets, storage);
+}
@@ -0,0 +1,178 @@
+/**
+ * Form validation in the page
+ *
+ * Reads inputs by id, checks them with the rules in validation.js and
+ * renders the results into the existing elements: an error marks the input
+ * invalid and shows its message in the input's …Error element; a warning
+ * shows its message there (styled as a warning) without marking the input.
+ */
+
+import { SCHEMAS, checkValue, checkReferenceSet } from './validation.js';
+
+/**
+ * Mark input as invalid with error message
+ * @param {string} inputId - ID of the input element
+ * @param {string} message - Error message to display
+ */
+export function setInvalid(inputId, message) {
+  document.getElementById(inputId).classList.add('invalid');
+  const error = document.getElementById(inputId + 'Error');
+  error.textContent = message;
+  error.classList.remove('warning');
+}
+
+/**
+ * Mark input as empty (invalid but no message)
+ * @param {string} inputId - ID of the input element
+ */
+export function setEmpty(inputId) {
+  setInvalid(inputId, '');
+}
+
+/**
+ * Clear validation state and error message
+ * @param {string} inputId - ID of the input element
+ */
+export function clearValidation(inputId) {
+  document.getElementById(inputId).classList.remove('invalid');
+  const error = document.getElementById(inputId + 'Error');
+  error.textContent = '';
+  error.classList.remove('warning');
+}
+
+/**
+ * Show a validation result next to its input
+ * @param {string} inputId - ID of the input element
+ * @param {{message: string, severity: string}} result - Result from validation.js
+ */
+export function renderValidation(inputId, result) {
+  if (result.severity === 'error') {
+    setInvalid(inputId, result.message);
+    return;
+  }
+  clearValidation(inputId);
+  if (result.severity === 'warning') {
+    const error = document.getElementById(inputId + 'Error');
+    error.textContent = result.message;
+    error.classList.add('warning');
+  }
+}
+
+/**
+ * Check an input against a schema and render the result
+ * @param {string} inputId - ID of the input element
+ * @param {Object} schema - Entry of SCHEMAS
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateInput(inputId, schema) {
+  const result = checkValue(document.getElementById(inputId).value, schema);
+  renderValidation(inputId, result);
+  return result.value;
+}
+
+/**
+ * Validate reps input (must be >= 0, <= 50)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateReps(inputId) {
+  return validateInput(inputId, SCHEMAS.reps);
+}
+
+/**
+ * Validate weight input (must be > 0)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateWeight(inputId) {
+  return validateInput(inputId, SCHEMAS.weight);
+}
+
+/**
+ * Validate RPE input (must be > 0, <= 10)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateRPE(inputId) {
+  return validateInput(inputId, SCHEMAS.rpe);
+}
+
+/**
+ * Validate custom weight input (must be >= 0, allows 0)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateCustomWeight(inputId) {
+  return validateInput(inputId, SCHEMAS.customWeight);
+}
+
+/**
+ * Validate weight increment input (must be > 0)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateIncrement(inputId) {
+  return validateInput(inputId, SCHEMAS.increment);
+}
+
+/**
+ * Validate number of sets (whole number, 1-20)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateSetCount(inputId) {
+  return validateInput(inputId, SCHEMAS.setCount);
+}
+
+/**
+ * Validate rest interval input (must be > 0)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateRest(inputId) {
+  return validateInput(inputId, SCHEMAS.rest);
+}
+
+/**
+ * Validate fatigue rate input (percent per set, 0-30)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateFatigueRate(inputId) {
+  return validateInput(inputId, SCHEMAS.fatigueRate);
+}
+
+/**
+ * Validate percent drop input (must be > 0, < 100)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validateDropPercent(inputId) {
+  return validateInput(inputId, SCHEMAS.dropPercent);
+}
+
+/**
+ * Validate percent of e1RM input (must be > 0, <= 100)
+ * @param {string} inputId - ID of the input element
+ * @returns {number|null} Validated value or null if invalid
+ */
+export function validatePercentOf1RM(inputId) {
+  return validateInput(inputId, SCHEMAS.percentOf1RM);
+}
+
+/**
+ * Validate a reference set's inputs, with warnings where the curve is unreliable
+ * @param {{weight: string, reps: string, rpe: string}} inputIds - IDs of the input elements
+ * @returns {{weight: number|null, reps: number|null, rpe: number|null}} Validated values (null if invalid)
+ */
+export function validateReferenceSet(inputIds) {
+  const results = checkReferenceSet({
+    weight: document.getElementById(inputIds.weight).value,
+    reps: document.getElementById(inputIds.reps).value,
+    rpe: document.getElementById(inputIds.rpe).value
+  });
+  renderValidation(inputIds.weight, results.weight);
+  renderValidation(inputIds.reps, results.reps);
+  renderValidation(inputIds.rpe, results.rpe);
+  return { weight: results.weight.value, reps: results.reps.value, rpe: results.rpe.value };
+}
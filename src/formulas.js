@@ -0,0 +1,139 @@
+/**
+ * 1RM formula registry
+ *
+ * Each formula is a forward/inverse pair expressed in terms of effective reps
+ * (reps performed + reps in reserve, i.e. reps to failure):
+ * - pct(effectiveReps): estimated 1RM as a percentage of the lifted weight
+ * - reps(pct): effective reps at which the lifted weight is pct% below 1RM
+ * - domain: effective reps the equation is meaningful for; outside it the
+ *   estimate runs away (Brzycki and Lander divide by zero near 37 reps)
+ *   or collapses to zero (Lombardi at 0 reps)
+ *
+ * Inverses return Infinity when pct is beyond the formula's asymptote
+ * (no finite rep count reaches it). No formula is fitted to sets past
+ * MAX_EFFECTIVE_REPS, so predictions beyond it are out of the domain too.
+ */
+
+/**
+ * Most reps to failure any formula is used for: 50 reps (the most the inputs
+ * allow) with 10 in reserve
+ */
+export const MAX_EFFECTIVE_REPS = 60;
+
+const FULL_RANGE = { min: 0, max: MAX_EFFECTIVE_REPS };
+
+const UNBOUNDED = { min: 0, max: Infinity };
+
+/**
+ * Population decay constant for the Berger equation
+ */
+export const BERGER_COEFFICIENT = 0.0262;
+
+/**
+ * Build a Berger-style exponential formula with the given decay coefficient
+ * pct = 100 * exp(coefficient * (effectiveReps - 1))
+ * @param {number} coefficient - Decay constant (0.0262 for the population curve)
+ * @param {string} [label] - Display name
+ * @returns {{label: string, pct: function(number): number, reps: function(number): number, domain: {min: number, max: number}}}
+ */
+export function createBergerFormula(coefficient, label = 'Berger') {
+  return {
+    label,
+    domain: FULL_RANGE,
+    pct: effectiveReps => 100 * Math.exp(coefficient * (effectiveReps - 1)),
+    reps: pct => 1 + Math.log(pct / 100) / coefficient
+  };
+}
+
+/**
+ * Invert a saturating formula of the form pct = 10000 / (a + b * exp(-c * r))
+ * @returns {number} Effective reps, or Infinity past the asymptote (pct >= 10000 / a)
+ */
+function invertExponentialDenominator(pct, a, b, c) {
+  const ratio = (10000 / pct - a) / b;
+  if (ratio <= 0) return Infinity;
+  return -Math.log(ratio) / c;
+}
+
+/**
+ * Available formulas keyed by id
+ */
+export const FORMULAS = {
+  'berger': createBergerFormula(BERGER_COEFFICIENT),
+  'epley': {
+    label: 'Epley',
+    domain: FULL_RANGE,
+    pct: effectiveReps => 100 * (1 + effectiveReps / 30),
+    reps: pct => 30 * (pct / 100 - 1)
+  },
+  'brzycki': {
+    label: 'Brzycki',
+    domain: { min: 0, max: 30 },
+    pct: effectiveReps => 100 * 36 / (37 - effectiveReps),
+    reps: pct => 37 - 3600 / pct
+  },
+  'lombardi': {
+    label: 'Lombardi',
+    domain: { min: 1, max: MAX_EFFECTIVE_REPS },
+    pct: effectiveReps => 100 * Math.pow(effectiveReps, 0.1),
+    reps: pct => Math.pow(pct / 100, 10)
+  },
+  'mayhew': {
+    label: 'Mayhew',
+    domain: FULL_RANGE,
+    pct: effectiveReps => 10000 / (52.2 + 41.9 * Math.exp(-0.055 * effectiveReps)),
+    reps: pct => invertExponentialDenominator(pct, 52.2, 41.9, 0.055)
+  },
+  'oconner': {
+    label: "O'Conner",
+    domain: FULL_RANGE,
+    pct: effectiveReps => 100 * (1 + 0.025 * effectiveReps),
+    reps: pct => (pct / 100 - 1) / 0.025
+  },
+  'wathan': {
+    label: 'Wathan',
+    domain: FULL_RANGE,
+    pct: effectiveReps => 10000 / (48.8 + 53.8 * Math.exp(-0.075 * effectiveReps)),
+    reps: pct => invertExponentialDenominator(pct, 48.8, 53.8, 0.075)
+  },
+  'lander': {
+    label: 'Lander',
+    domain: { min: 0, max: 30 },
+    pct: effectiveReps => 10000 / (101.3 - 2.67123 * effectiveReps),
+    reps: pct => (101.3 - 10000 / pct) / 2.67123
+  }
+};
+
+export const DEFAULT_FORMULA = 'berger';
+
+/**
+ * Resolve a formula id (or formula object) to a formula
+ * Unknown ids fall back to the Berger equation.
+ * @param {string|Object} [formula] - Formula id or object with pct/reps
+ * @returns {{label: string, pct: function(number): number, reps: function(number): number}}
+ */
+export function getFormula(formula = DEFAULT_FORMULA) {
+  if (formula && typeof formula === 'object') return formula;
+  return FORMULAS[formula] || FORMULAS[DEFAULT_FORMULA];
+}
+
+/**
+ * Effective reps a formula is valid for
+ * Formula objects without a domain are treated as valid for any non-negative reps.
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {{min: number, max: number}} Inclusive bounds
+ */
+export function getFormulaDomain(formula) {
+  return getFormula(formula).domain || UNBOUNDED;
+}
+
+/**
+ * Check whether a formula is valid at the given effective reps
+ * @param {number} effectiveReps - Reps to failure
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {boolean} True when the estimate is meaningful (never for Infinity or NaN)
+ */
+export function isInFormulaDomain(effectiveReps, formula) {
+  const { min, max } = getFormulaDomain(formula);
+  return Number.isFinite(effectiveReps) && effectiveReps >= min && effectiveReps <= max;
+}
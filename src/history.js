@@ -0,0 +1,191 @@
+/**
+ * Workout history stored in IndexedDB
+ *
+ * Each entry is one performed set:
+ * { id, exercise, equipment, equipmentName, date, weight, baseWeight, reps, rpe, e1RM, unit }
+ * date is a local calendar date (YYYY-MM-DD); weight is the plate weight and
+ * e1RM the total-weight estimate, both in the entry's unit.
+ *
+ * The database functions take the IDBFactory as a parameter so tests can
+ * pass an in-memory implementation.
+ */
+
+import { estimateE1RM, roundToTenth } from './engine.js';
+import { convertWeight, DEFAULT_WEIGHT_UNIT } from './units.js';
+
+export const HISTORY_DB_NAME = 'setcalc';
+export const HISTORY_DB_VERSION = 1;
+export const HISTORY_STORE = 'history';
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the history store
+ */
+function withStore(db, mode, fn) {
+  const store = db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+  return promisify(fn(store));
+}
+
+/**
+ * Open (and create or upgrade) the history database
+ * @param {IDBFactory} [factory] - IndexedDB implementation
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openHistoryDB(factory = globalThis.indexedDB) {
+  if (!factory) return Promise.reject(new Error('IndexedDB is not available'));
+  const request = factory.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('exercise', 'exercise');
+    store.createIndex('date', 'date');
+  };
+  return promisify(request);
+}
+
+/**
+ * Add an entry
+ * @param {IDBDatabase} db - Open database
+ * @param {Object} entry - Entry without an id
+ * @returns {Promise<number>} New entry id
+ */
+export function addHistoryEntry(db, entry) {
+  return withStore(db, 'readwrite', store => store.add(entry));
+}
+
+/**
+ * Add several entries in one transaction (all or none)
+ * @param {IDBDatabase} db - Open database
+ * @param {Object[]} entries - Entries without ids
+ * @returns {Promise<number>} Number of entries added
+ */
+export function addHistoryEntries(db, entries) {
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+  entries.forEach(entry => store.add(entry));
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(entries.length);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Replace an entry
+ * @param {IDBDatabase} db - Open database
+ * @param {Object} entry - Entry with its id
+ * @returns {Promise<number>} Entry id
+ */
+export function updateHistoryEntry(db, entry) {
+  return withStore(db, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Delete an entry
+ * @param {IDBDatabase} db - Open database
+ * @param {number} id - Entry id
+ * @returns {Promise<undefined>}
+ */
+export function deleteHistoryEntry(db, id) {
+  return withStore(db, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Read all entries
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<Object[]>} Entries, oldest date first (insertion order within a day)
+ */
+export async function getHistoryEntries(db) {
+  const entries = await withStore(db, 'readonly', store => store.getAll());
+  return sortHistory(entries);
+}
+
+/**
+ * Build an entry for a performed set, estimating its e1RM
+ * @param {Object} set - { exercise, equipment, equipmentName, date, weight, baseWeight, reps, rpe, unit }
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {Object} Entry without an id
+ */
+export function createHistoryEntry(set, formula) {
+  const baseWeight = set.baseWeight || 0;
+  return {
+    exercise: String(set.exercise || '').trim(),
+    equipment: set.equipment,
+    equipmentName: set.equipmentName,
+    date: set.date,
+    weight: set.weight,
+    baseWeight,
+    reps: set.reps,
+    rpe: set.rpe,
+    e1RM: roundToTenth(estimateE1RM(set, baseWeight, formula)),
+    unit: set.unit || DEFAULT_WEIGHT_UNIT
+  };
+}
+
+/**
+ * Sort entries by date, keeping insertion order within a day
+ * @param {Object[]} entries - History entries
+ * @returns {Object[]} Sorted copy
+ */
+export function sortHistory(entries) {
+  return [...entries].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.id - b.id));
+}
+
+/**
+ * Filter entries by exercise and date range
+ * @param {Object[]} entries - History entries
+ * @param {{exercise?: string, from?: string, to?: string}} [filter] - Empty values don't filter; dates are inclusive
+ * @returns {Object[]} Matching entries
+ */
+export function filterHistory(entries, filter = {}) {
+  const { exercise, from, to } = filter;
+  return entries.filter(entry =>
+    (!exercise || entry.exercise === exercise) &&
+    (!from || entry.date >= from) &&
+    (!to || entry.date <= to));
+}
+
+/**
+ * Distinct exercise names in the history
+ * @param {Object[]} entries - History entries
+ * @returns {string[]} Sorted exercise names (blank names omitted)
+ */
+export function getHistoryExercises(entries) {
+  const names = new Set(entries.map(entry => entry.exercise).filter(Boolean));
+  return [...names].sort();
+}
+
+/**
+ * Entry to seed the reference set from
+ * @param {Object[]} entries - History entries
+ * @param {string} exercise - Exercise name
+ * @param {string} [strategy='recent'] - 'recent' (latest set) or 'best' (highest e1RM)
+ * @returns {Object|null} Entry, or null if the exercise has none
+ */
+export function getReferenceEntry(entries, exercise, strategy = 'recent') {
+  const matching = sortHistory(filterHistory(entries, { exercise }));
+  if (matching.length === 0) return null;
+  if (strategy !== 'best') return matching[matching.length - 1];
+  // e1RMs are in each entry's unit; compare them in one
+  const inPounds = entry => convertWeight(entry.e1RM, entry.unit || DEFAULT_WEIGHT_UNIT, 'lb');
+  return matching.reduce((best, entry) => (inPounds(entry) > inPounds(best) ? entry : best));
+}
+
+/**
+ * Today's local calendar date
+ * @param {Date} [now] - Current time
+ * @returns {string} YYYY-MM-DD
+ */
+export function getLocalDate(now = new Date()) {
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
@@ -0,0 +1,282 @@
+/**
+ * Importing sets from tracker CSV exports and exporting the history
+ *
+ * Strong and Hevy exports have fixed columns; any other CSV is read through
+ * a column mapping (guessed from the header, adjustable by the user). Every
+ * data row becomes a preview row with either a set ready for the history,
+ * an error, or a reason it was skipped (warm-ups, timed or cardio sets).
+ * Weights are converted to the target unit; RIR columns map to RPE as
+ * 10 − RIR.
+ */
+
+import { parseCSV, formatCSV } from './csv.js';
+import { roundToTenth } from './engine.js';
+import { convertWeight, DEFAULT_WEIGHT_UNIT } from './units.js';
+
+/**
+ * Supported import formats keyed by id
+ */
+export const IMPORT_FORMATS = {
+  'strong': 'Strong',
+  'hevy': 'Hevy',
+  'generic': 'Other (map columns)'
+};
+
+/**
+ * Fields a generic CSV can map, with labels
+ * date, exercise, weight and reps are required; the rest are optional.
+ */
+export const IMPORT_FIELDS = {
+  'date': 'Date',
+  'exercise': 'Exercise',
+  'weight': 'Weight',
+  'reps': 'Reps',
+  'rpe': 'RPE',
+  'rir': 'RIR',
+  'baseWeight': 'Base weight',
+  'unit': 'Unit',
+  'equipment': 'Equipment'
+};
+
+const REQUIRED_FIELDS = ['date', 'exercise', 'weight', 'reps'];
+
+/**
+ * Header patterns for guessing a generic mapping, most specific first
+ */
+const FIELD_PATTERNS = {
+  date: [/^date$/i, /date|time/i],
+  exercise: [/^exercise$/i, /exercise|lift|movement/i],
+  weight: [/^weight$/i, /^(weight|load)\b/i],
+  reps: [/^reps?$/i, /^repetitions$/i],
+  rpe: [/^rpe$/i, /\brpe\b/i],
+  rir: [/^rir$/i, /\brir\b|reps? in reserve/i],
+  baseWeight: [/^base weight$/i, /\bbase\b|\bbar weight\b/i],
+  unit: [/^(weight )?units?$/i],
+  equipment: [/^equipment$/i]
+};
+
+/**
+ * Header of exported history CSVs (re-importable with the generic format)
+ */
+export const EXPORT_COLUMNS = ['Date', 'Exercise', 'Equipment', 'Weight', 'Base Weight', 'Unit', 'Reps', 'RPE', 'e1RM'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Build YYYY-MM-DD, or null if the date doesn't exist
+ */
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse the calendar date of an exported timestamp
+ *
+ * Accepts ISO dates (optionally with a time, as Strong writes them),
+ * "5 Jan 2023, 18:30" (Hevy), "Jan 5, 2023" and US-style "1/5/2023".
+ * @param {string} text - Date or timestamp
+ * @returns {string|null} YYYY-MM-DD, or null if unrecognized
+ */
+export function parseImportDate(text) {
+  const value = String(text).trim();
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return formatDate(+match[1], +match[2], +match[3]);
+  match = value.match(/^(\d{1,2}) ([a-z]{3})[a-z]*\.?,? (\d{4})/i);
+  if (match) return formatDate(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+  match = value.match(/^([a-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4})/i);
+  if (match) return formatDate(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+  match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (match) return formatDate(+match[3], +match[1], +match[2]);
+  return null;
+}
+
+/**
+ * Parse a number, accepting a decimal comma
+ * @param {string} text - Field value
+ * @returns {number|null} Number, null if blank, NaN if not a number
+ */
+export function parseImportNumber(text) {
+  const value = String(text ?? '').trim();
+  if (value === '') return null;
+  return /^-?\d*,\d+$/.test(value) ? Number(value.replace(',', '.')) : Number(value);
+}
+
+/**
+ * Normalize a unit name
+ * @param {string} text - e.g. 'kg', 'kgs', 'lb', 'lbs'
+ * @returns {string|null} 'kg' or 'lb', or null if unrecognized
+ */
+export function parseImportUnit(text) {
+  const value = String(text).trim().toLowerCase();
+  if (value === 'kg' || value === 'kgs') return 'kg';
+  if (value === 'lb' || value === 'lbs') return 'lb';
+  return null;
+}
+
+/**
+ * Detect the format of an export from its header
+ * @param {string[]} header - First CSV row
+ * @returns {string} Key of IMPORT_FORMATS
+ */
+export function detectImportFormat(header) {
+  if (header.includes('Exercise Name') && header.includes('Set Order')) return 'strong';
+  if (header.includes('exercise_title')) return 'hevy';
+  return 'generic';
+}
+
+/**
+ * Guess a generic column mapping from a header
+ * @param {string[]} header - First CSV row
+ * @returns {Object<string, string>} Header name per field of IMPORT_FIELDS (unmatched fields omitted)
+ */
+export function guessColumnMapping(header) {
+  const mapping = {};
+  Object.entries(FIELD_PATTERNS).forEach(([field, patterns]) => {
+    for (const pattern of patterns) {
+      const column = header.find(name => pattern.test(name.trim()));
+      if (column !== undefined) {
+        mapping[field] = column;
+        break;
+      }
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Column names per field for a format
+ * @returns {{names: Object<string, string>, unit: string|null}} unit is fixed by the format, if it is
+ */
+function getFormatColumns(header, format, mapping) {
+  if (format === 'strong') {
+    return {
+      names: { date: 'Date', exercise: 'Exercise Name', weight: 'Weight', reps: 'Reps', rpe: 'RPE', unit: 'Weight Unit', setType: 'Set Order' },
+      unit: null
+    };
+  }
+  if (format === 'hevy') {
+    const pounds = header.includes('weight_lbs');
+    return {
+      names: { date: 'start_time', exercise: 'exercise_title', weight: pounds ? 'weight_lbs' : 'weight_kg', reps: 'reps', rpe: 'rpe', setType: 'set_type' },
+      unit: pounds ? 'lb' : 'kg'
+    };
+  }
+  return { names: mapping || guessColumnMapping(header), unit: null };
+}
+
+/**
+ * Turn one CSV record into a set, an error or a skip reason
+ */
+function parseImportRow(record, columns, options) {
+  const { unit, targetUnit, defaultRPE, equipmentName } = options;
+  const field = name => (columns[name] === undefined ? '' : String(record[columns[name]] ?? '').trim());
+
+  const setType = field('setType').toLowerCase();
+  if (setType === 'w' || setType === 'warmup') return { skipped: 'Warm-up set' };
+  if (field('weight') === '' && field('reps') === '') return { skipped: 'No weight or reps' };
+
+  const exercise = field('exercise');
+  if (!exercise) return { error: 'Missing exercise' };
+  const date = parseImportDate(field('date'));
+  if (!date) return { error: `Invalid date "${field('date')}"` };
+
+  const weight = parseImportNumber(field('weight'));
+  if (!(weight > 0)) return { error: 'Weight must be positive' };
+  const reps = parseImportNumber(field('reps'));
+  if (!(reps > 0) || reps > 50) return { error: 'Reps must be positive and ≤ 50' };
+  const baseWeight = parseImportNumber(field('baseWeight')) ?? 0;
+  if (!(baseWeight >= 0)) return { error: 'Base weight must be ≥ 0' };
+
+  let rpe = parseImportNumber(field('rpe'));
+  const rir = parseImportNumber(field('rir'));
+  if (rpe === null && rir !== null) {
+    if (!(rir >= 0) || rir >= 10) return { error: 'RIR must be between 0 and 10' };
+    rpe = 10 - rir;
+  }
+  if (rpe === null) rpe = defaultRPE;
+  if (rpe === null) return { error: 'Missing RPE (set a default RPE)' };
+  if (!(rpe > 0) || rpe > 10) return { error: 'RPE must be between 0 and 10' };
+
+  const rowUnit = field('unit') ? parseImportUnit(field('unit')) : unit;
+  if (!rowUnit) return { error: `Unknown unit "${field('unit')}"` };
+
+  return {
+    set: {
+      exercise,
+      equipment: '',
+      equipmentName: field('equipment') || equipmentName,
+      date,
+      weight: roundToTenth(convertWeight(weight, rowUnit, targetUnit)),
+      baseWeight: roundToTenth(convertWeight(baseWeight, rowUnit, targetUnit)),
+      reps,
+      rpe,
+      unit: targetUnit
+    }
+  };
+}
+
+/**
+ * Read sets from a CSV export
+ *
+ * @param {string} text - CSV text (header row first)
+ * @param {Object} [options]
+ * @param {string} [options.format] - Key of IMPORT_FORMATS (detected from the header when omitted)
+ * @param {Object<string, string>} [options.mapping] - Generic format: header name per field (guessed when omitted)
+ * @param {string} [options.unit='lb'] - Unit of the file's weights, unless the format or a unit column says otherwise
+ * @param {string} [options.targetUnit] - Unit of the imported sets (defaults to options.unit)
+ * @param {number|null} [options.defaultRPE=null] - RPE for rows without RPE or RIR; without one such rows are errors
+ * @returns {{format: string, header: string[], rows: {row: number, set?: Object, error?: string, skipped?: string}[], sets: Object[], error: string|null}}
+ *   rows has one entry per data row (row is its 1-based row number, the header being row 1); sets are the valid
+ *   rows' sets, ready for createHistoryEntry; error is set when required columns are missing
+ */
+export function importSets(text, options = {}) {
+  const [header = [], ...records] = parseCSV(text);
+  const format = options.format || detectImportFormat(header);
+  const unit = options.unit || DEFAULT_WEIGHT_UNIT;
+  const { names, unit: formatUnit } = getFormatColumns(header, format, options.mapping);
+
+  const columns = {};
+  Object.entries(names).forEach(([field, name]) => {
+    const index = header.indexOf(name);
+    if (index !== -1) columns[field] = index;
+  });
+  const missing = REQUIRED_FIELDS.filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    const labels = missing.map(field => IMPORT_FIELDS[field]).join(', ');
+    return { format, header, rows: [], sets: [], error: `Missing columns: ${labels}` };
+  }
+
+  const rowOptions = {
+    unit: formatUnit || unit,
+    targetUnit: options.targetUnit || unit,
+    defaultRPE: options.defaultRPE ?? null,
+    // Shown where the history names the equipment
+    equipmentName: format === 'generic' ? 'Imported' : IMPORT_FORMATS[format]
+  };
+  const rows = records.map((record, index) => ({ row: index + 2, ...parseImportRow(record, columns, rowOptions) }));
+  return { format, header, rows, sets: rows.filter(row => row.set).map(row => row.set), error: null };
+}
+
+/**
+ * Export history entries as CSV
+ * @param {Object[]} entries - History entries (see history.js)
+ * @returns {string} CSV text with EXPORT_COLUMNS as the header
+ */
+export function exportHistoryCSV(entries) {
+  return formatCSV([
+    EXPORT_COLUMNS,
+    ...entries.map(entry => [
+      entry.date,
+      entry.exercise,
+      entry.equipmentName,
+      entry.weight,
+      entry.baseWeight,
+      entry.unit,
+      entry.reps,
+      entry.rpe,
+      entry.e1RM
+    ])
+  ]);
+}
@@ -0,0 +1,90 @@
+/**
+ * Nearby achievable set options
+ *
+ * The rounded output picks one weight; these are the achievable weights
+ * around the exact answer, a few steps below the rounded-down weight and
+ * above the rounded-up weight (neighbouring dumbbells for enumerated
+ * equipment), each with integer reps and adjusted RPE. They are ranked the
+ * way 'closest' rounding picks between down and up: reps closest to the
+ * target, then RPE, then weight.
+ */
+
+import { roundToTenth, evaluateWeight, getRepsRounding } from './engine.js';
+import { roundToEquipment, getEquipmentBounds, hasAddOns, getAdjacentWeight } from './utils.js';
+
+/**
+ * Achievable weights listed each way from the exact weight
+ */
+export const NEARBY_STEPS = 3;
+
+/**
+ * Achievable weights around a weight
+ * @param {number} weight - Exact plate weight
+ * @param {Object} equipment - Equipment ({increment, minWeight, maxWeight} or {weights} sorted ascending, and optional addOns)
+ * @param {number} [steps=NEARBY_STEPS] - Weights each way, counting the rounded-down and rounded-up weights
+ * @returns {number[]} Weights ascending (within the equipment bounds); just the weight without an increment or weight list
+ */
+export function listNearbyWeights(weight, equipment, steps = NEARBY_STEPS) {
+  const down = roundToEquipment(weight, equipment, 'down');
+  const up = roundToEquipment(weight, equipment, 'up');
+
+  if (hasAddOns(equipment)) {
+    // Add-on combinations aren't evenly spaced; step from one to the next
+    const nearby = down === up ? [down] : [down, up];
+    for (let step = 1; step < steps; step++) {
+      const lighter = getAdjacentWeight(nearby[0], equipment, 'down');
+      const heavier = getAdjacentWeight(nearby[nearby.length - 1], equipment, 'up');
+      if (lighter !== null) nearby.unshift(lighter);
+      if (heavier !== null) nearby.push(heavier);
+    }
+    return nearby;
+  }
+
+  if (Array.isArray(equipment.weights)) {
+    const { weights } = equipment;
+    return weights.slice(Math.max(0, weights.indexOf(down) - steps + 1), weights.indexOf(up) + steps);
+  }
+
+  if (equipment.increment > 0) {
+    const { min, max } = getEquipmentBounds(equipment);
+    const nearby = [];
+    for (let step = steps - 1; step >= 0; step--) nearby.push(down - step * equipment.increment);
+    for (let step = 0; step < steps; step++) nearby.push(up + step * equipment.increment);
+    return [...new Set(nearby)].filter(nearbyWeight => nearbyWeight >= min && nearbyWeight <= max);
+  }
+
+  return [weight];
+}
+
+/**
+ * Rank the nearby achievable sets for a target
+ * @param {Object} input
+ * @param {number} input.e1RM - Estimated 1RM (total weight)
+ * @param {{weight: number, reps: number, rpe: number}} input.exact - Exact (display precision) target
+ * @param {Object} [input.equipment] - Equipment ({baseWeight, increment} or {baseWeight, weights})
+ * @param {string} [input.roundingMode] - Key of ROUNDING_MODES (engine.js), for how reps are rounded
+ * @param {string|Object} [input.formula] - Formula id or object
+ * @param {number} [input.steps=NEARBY_STEPS] - Weights each way
+ * @returns {{weight: number, reps: number, rpe: number, difference: number}[]} Closest first;
+ *   weight, RPE and difference from the exact weight at 0.1
+ */
+export function rankSetOptions(input) {
+  const { e1RM, exact, formula, steps } = input;
+  const equipment = input.equipment || {};
+  const baseWeight = equipment.baseWeight || 0;
+  const repsRounding = getRepsRounding(input.roundingMode);
+
+  return listNearbyWeights(exact.weight, equipment, steps)
+    .map(weight => evaluateWeight(e1RM, weight, exact.rpe, baseWeight, formula, repsRounding))
+    .sort((a, b) =>
+      Math.abs(a.reps - exact.reps) - Math.abs(b.reps - exact.reps) ||
+      Math.abs(a.rpe - exact.rpe) - Math.abs(b.rpe - exact.rpe) ||
+      Math.abs(a.weight - exact.weight) - Math.abs(b.weight - exact.weight) ||
+      a.weight - b.weight)
+    .map(set => ({
+      weight: roundToTenth(set.weight),
+      reps: set.reps,
+      rpe: roundToTenth(set.rpe),
+      difference: roundToTenth(set.weight - exact.weight)
+    }));
+}
@@ -0,0 +1,84 @@
+/**
+ * RPE/reps percentage chart
+ *
+ * The whole table behind a single calculation: for each reps and RPE the
+ * percentage of 1RM the formula allows, and with an e1RM the matching
+ * weights rounded like the target set.
+ */
+
+import { getPct } from './calc.js';
+import { roundToTenth, getWeightForReps, roundExactWeight } from './engine.js';
+
+/**
+ * Chart rows: reps 1–20
+ */
+export const CHART_REPS = Array.from({ length: 20 }, (_, index) => index + 1);
+
+/**
+ * Chart columns: RPE 6–10 in half steps
+ */
+export const CHART_RPES = Array.from({ length: 9 }, (_, index) => 6 + index / 2);
+
+/**
+ * Percentage of 1RM for reps at an RPE
+ * getPct gives the e1RM as a percentage of the weight; this is its inverse.
+ * @param {number} reps - Reps
+ * @param {number} rpe - RPE
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {number} Weight as a percentage of 1RM
+ */
+export function getPercentOf1RM(reps, rpe, formula) {
+  return 100 * 100 / getPct(reps, rpe, formula);
+}
+
+/**
+ * Build the chart
+ *
+ * @param {Object} [input]
+ * @param {number} [input.e1RM] - Estimated 1RM (total weight); without it cells have no weights
+ * @param {Object} [input.equipment] - Equipment ({baseWeight, increment} or {baseWeight, weights})
+ * @param {string} [input.roundingMode='closest'] - Key of ROUNDING_MODES (engine.js)
+ * @param {string|Object} [input.formula] - Formula id or object
+ * @param {number[]} [input.reps] - Row reps (CHART_REPS by default)
+ * @param {number[]} [input.rpes] - Column RPEs (CHART_RPES by default)
+ * @returns {{rpes: number[], rows: {reps: number, cells: {rpe: number, pct: number, weight: number|null}[]}[]}}
+ *   pct at 0.1; weight is the rounded plate weight, null without an e1RM
+ */
+export function buildPercentageChart(input = {}) {
+  const { e1RM, formula, reps = CHART_REPS, rpes = CHART_RPES } = input;
+  const equipment = input.equipment || {};
+  const roundingMode = input.roundingMode || 'closest';
+  const baseWeight = equipment.baseWeight || 0;
+
+  const getWeight = (rowReps, rpe) => {
+    if (!e1RM) return null;
+    const exactWeight = Math.max(0, getWeightForReps(e1RM, rowReps, rpe, baseWeight, formula));
+    const exact = { weight: roundToTenth(exactWeight), reps: rowReps, rpe };
+    return roundToTenth(roundExactWeight(exact, equipment, roundingMode, e1RM, formula));
+  };
+
+  return {
+    rpes,
+    rows: reps.map(rowReps => ({
+      reps: rowReps,
+      cells: rpes.map(rpe => ({
+        rpe,
+        pct: roundToTenth(getPercentOf1RM(rowReps, rpe, formula)),
+        weight: getWeight(rowReps, rpe)
+      }))
+    }))
+  };
+}
+
+/**
+ * Locate a set in the chart
+ * @param {Object} chart - buildPercentageChart result
+ * @param {number} reps - Reps
+ * @param {number} rpe - RPE
+ * @returns {{row: number, column: number}|null} Indexes, or null if the set isn't a chart cell
+ */
+export function findChartCell(chart, reps, rpe) {
+  const row = chart.rows.findIndex(chartRow => chartRow.reps === reps);
+  const column = chart.rpes.indexOf(rpe);
+  return row === -1 || column === -1 ? null : { row, column };
+}
@@ -0,0 +1,192 @@
+/**
+ * Barbell plate-loading calculator
+ *
+ * Plates are loaded symmetrically, so an inventory count of n plates gives
+ * floor(n / 2) plates per side. When the requested total can't be built
+ * exactly, the nearest loadable total is used instead (lighter on ties).
+ */
+
+import { loadJSON, saveJSON } from './storage.js';
+
+export const PLATE_INVENTORY_KEY = 'setcalc.plateInventory';
+
+/**
+ * Default plate inventory (lbs), counts are total plates (both sides)
+ */
+export const DEFAULT_PLATE_INVENTORY = [
+  { weight: 45, count: 8 },
+  { weight: 35, count: 2 },
+  { weight: 25, count: 4 },
+  { weight: 10, count: 4 },
+  { weight: 5, count: 4 },
+  { weight: 2.5, count: 4 }
+];
+
+/**
+ * Default plate inventory (kg), counts are total plates (both sides)
+ */
+export const DEFAULT_PLATE_INVENTORY_KG = [
+  { weight: 25, count: 8 },
+  { weight: 20, count: 4 },
+  { weight: 15, count: 2 },
+  { weight: 10, count: 4 },
+  { weight: 5, count: 4 },
+  { weight: 2.5, count: 4 },
+  { weight: 1.25, count: 4 }
+];
+
+/**
+ * Plate weights are converted to integer units of 0.01 for exact arithmetic
+ */
+const UNITS = 100;
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+/**
+ * Find the per-side plate stack for a total weight
+ *
+ * @param {number} total - Desired total weight (bar + plates)
+ * @param {number} barWeight - Weight of the empty bar (or sled/base)
+ * @param {{weight: number, count: number}[]} [inventory] - Plates on hand (counts for both sides)
+ * @returns {{target: number, total: number, exact: boolean, perSide: {weight: number, count: number}[]}}
+ *   total is the loadable total; perSide lists plates heaviest first
+ */
+export function calculatePlates(total, barWeight, inventory = DEFAULT_PLATE_INVENTORY) {
+  const plates = inventory
+    .map(plate => ({
+      weight: plate.weight,
+      units: Math.round(plate.weight * UNITS),
+      perSide: Math.floor(plate.count / 2)
+    }))
+    .filter(plate => plate.units > 0 && plate.perSide > 0)
+    .sort((a, b) => b.units - a.units);
+
+  const step = plates.reduce((gcd, plate) => greatestCommonDivisor(gcd, plate.units), 0) || 1;
+  const maxSteps = plates.reduce((sum, plate) => sum + plate.perSide * plate.units / step, 0);
+
+  // minPlates[s]: fewest plates reaching s steps per side; choices[i][s]: count of plate i used
+  let minPlates = new Array(maxSteps + 1).fill(Infinity);
+  minPlates[0] = 0;
+  const choices = plates.map(plate => {
+    const size = plate.units / step;
+    const next = new Array(maxSteps + 1).fill(Infinity);
+    const choice = new Array(maxSteps + 1).fill(0);
+    for (let s = 0; s <= maxSteps; s++) {
+      for (let k = 0; k <= plate.perSide && k * size <= s; k++) {
+        const count = minPlates[s - k * size] + k;
+        if (count < next[s]) {
+          next[s] = count;
+          choice[s] = k;
+        }
+      }
+    }
+    minPlates = next;
+    return choice;
+  });
+
+  // Nearest reachable per-side load to the target (lighter on ties)
+  const targetSteps = Math.max(0, (total - barWeight) / 2) * UNITS / step;
+  let best = 0;
+  for (let s = 0; s <= maxSteps; s++) {
+    if (minPlates[s] === Infinity) continue;
+    if (Math.abs(s - targetSteps) < Math.abs(best - targetSteps) - 1e-9) {
+      best = s;
+    }
+  }
+
+  // Walk back through the choices to recover the stack
+  const perSide = [];
+  let remaining = best;
+  for (let i = plates.length - 1; i >= 0; i--) {
+    const count = choices[i][remaining];
+    if (count > 0) {
+      perSide.unshift({ weight: plates[i].weight, count });
+      remaining -= count * plates[i].units / step;
+    }
+  }
+
+  const loadable = barWeight + 2 * best * step / UNITS;
+  return {
+    target: total,
+    total: loadable,
+    exact: Math.abs(loadable - total) < 1e-9,
+    perSide
+  };
+}
+
+/**
+ * Format a per-side plate stack for display
+ * @param {{weight: number, count: number}[]} perSide - Plates per side
+ * @returns {string} e.g. "45 × 2, 25, 2.5" (em dash for an empty bar)
+ */
+export function formatPlates(perSide) {
+  if (perSide.length === 0) return '—';
+  return perSide
+    .map(plate => (plate.count > 1 ? `${plate.weight} × ${plate.count}` : `${plate.weight}`))
+    .join(', ');
+}
+
+/**
+ * Parse a plate inventory such as "45x8, 25x4, 2.5x2"
+ * A plate without a count is assumed to be a pair.
+ * @param {string} text - Comma-separated weight[x count] entries
+ * @returns {{weight: number, count: number}[]|null} Inventory, or null if any entry is invalid
+ */
+export function parsePlateInventory(text) {
+  const entries = text.split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const inventory = [];
+  for (const entry of entries) {
+    const match = entry.match(/^(\d+(?:\.\d+)?)\s*(?:[x×*]\s*(\d+))?$/i);
+    if (!match) return null;
+    const weight = parseFloat(match[1]);
+    const count = match[2] === undefined ? 2 : parseInt(match[2], 10);
+    if (weight <= 0) return null;
+    inventory.push({ weight, count });
+  }
+  return inventory.sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Format a plate inventory for editing
+ * @param {{weight: number, count: number}[]} inventory - Plates on hand
+ * @returns {string} e.g. "45x8, 25x4"
+ */
+export function formatPlateInventory(inventory) {
+  return inventory.map(plate => `${plate.weight}x${plate.count}`).join(', ');
+}
+
+/**
+ * Storage key for a unit's plate inventory (pounds use the original key)
+ * @param {string} [unit='lb'] - 'lb' or 'kg'
+ * @returns {string} Storage key
+ */
+function getPlateInventoryKey(unit = 'lb') {
+  return unit === 'kg' ? PLATE_INVENTORY_KEY + '.kg' : PLATE_INVENTORY_KEY;
+}
+
+/**
+ * Load the plate inventory from storage
+ * @param {string} [unit='lb'] - 'lb' or 'kg'
+ * @param {Storage} [storage] - Storage backend
+ * @returns {{weight: number, count: number}[]} Saved inventory or the unit's default
+ */
+export function loadPlateInventory(unit = 'lb', storage) {
+  const inventory = loadJSON(getPlateInventoryKey(unit), null, storage);
+  if (Array.isArray(inventory)) return inventory;
+  return unit === 'kg' ? DEFAULT_PLATE_INVENTORY_KG : DEFAULT_PLATE_INVENTORY;
+}
+
+/**
+ * Save the plate inventory to storage
+ * @param {{weight: number, count: number}[]} inventory - Plates on hand
+ * @param {string} [unit='lb'] - 'lb' or 'kg'
+ * @param {Storage} [storage] - Storage backend
+ * @returns {boolean} True if saved
+ */
+export function savePlateInventory(inventory, unit = 'lb', storage) {
+  return saveJSON(getPlateInventoryKey(unit), inventory, storage);
+}
@@ -0,0 +1,128 @@
+/**
+ * Rep-range and RPE-range targets
+ *
+ * A prescription like 8–12 reps @ RPE 7–9 is met by every weight where some
+ * reps in the range land at an RPE in the range. The lightest such weight
+ * takes the most reps at the lowest RPE; the heaviest the fewest reps at the
+ * highest RPE. Inside that interval each achievable weight is listed with
+ * the integer reps closest to the middle of the RPE range (kept inside the
+ * rep range) and the RPE those reps imply.
+ */
+
+import { getEffectiveReps, getRPEFromPct } from './calc.js';
+import { roundToTenth, getWeightForReps } from './engine.js';
+import { roundToEquipment, getEquipmentBounds, hasAddOns, getAdjacentWeight } from './utils.js';
+
+/**
+ * Most achievable weights listed for one interval
+ */
+export const MAX_RANGE_WEIGHTS = 100;
+
+/**
+ * Weights differing by less than this are the same weight
+ */
+const EPSILON = 1e-9;
+
+/**
+ * Plate weight interval that satisfies a rep and RPE range
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {{min: number, max: number}} reps - Rep range
+ * @param {{min: number, max: number}} rpe - RPE range
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {{min: number, max: number}} Plate weights (never below 0)
+ */
+export function getWeightInterval(e1RM, reps, rpe, baseWeight = 0, formula) {
+  return {
+    min: Math.max(0, getWeightForReps(e1RM, reps.max, rpe.min, baseWeight, formula)),
+    max: Math.max(0, getWeightForReps(e1RM, reps.min, rpe.max, baseWeight, formula))
+  };
+}
+
+/**
+ * Equipment-achievable weights inside an interval
+ * @param {{min: number, max: number}} interval - Plate weights
+ * @param {Object} equipment - Equipment ({increment, minWeight, maxWeight} or {weights} sorted ascending, and optional addOns)
+ * @param {number} [limit=MAX_RANGE_WEIGHTS] - Most weights to return
+ * @returns {{weights: number[], more: number}} Weights ascending, and how many more didn't fit the limit
+ *   (no weights without an increment or weight list)
+ */
+export function listAchievableWeights(interval, equipment, limit = MAX_RANGE_WEIGHTS) {
+  let weights = [];
+  let count = 0;
+  if (hasAddOns(equipment)) {
+    let weight = roundToEquipment(interval.min, equipment, 'up');
+    if (weight < interval.min - EPSILON) weight = null;
+    while (weight !== null && weight <= interval.max + EPSILON) {
+      if (weights.length < limit) weights.push(weight);
+      count++;
+      weight = getAdjacentWeight(weight, equipment, 'up');
+    }
+  } else if (Array.isArray(equipment.weights)) {
+    const inside = equipment.weights.filter(weight => weight >= interval.min - EPSILON && weight <= interval.max + EPSILON);
+    weights = inside.slice(0, limit);
+    count = inside.length;
+  } else if (equipment.increment > 0) {
+    const bounds = getEquipmentBounds(equipment);
+    const first = Math.max(0, Math.ceil(Math.max(interval.min, bounds.min) / equipment.increment - EPSILON));
+    const last = Math.floor(Math.min(interval.max, bounds.max) / equipment.increment + EPSILON);
+    count = Math.max(0, last - first + 1);
+    for (let step = first; step <= last && weights.length < limit; step++) {
+      weights.push(step * equipment.increment);
+    }
+  }
+  return { weights, more: count - weights.length };
+}
+
+/**
+ * Reps and RPE predicted at a weight for a range prescription
+ * @param {number} e1RM - Estimated 1RM (total weight)
+ * @param {number} weight - Plate weight
+ * @param {{min: number, max: number}} reps - Rep range
+ * @param {{min: number, max: number}} rpe - RPE range
+ * @param {number} [baseWeight=0] - Equipment base weight
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {{weight: number, reps: number, rpe: number}} Integer reps in the rep range and their RPE (unrounded)
+ */
+export function predictRangeSet(e1RM, weight, reps, rpe, baseWeight = 0, formula) {
+  const pct = e1RM * 100 / (weight + baseWeight);
+  const middleRPE = (rpe.min + rpe.max) / 2;
+  const middleReps = Math.round(getEffectiveReps(pct, formula) - (10 - middleRPE));
+  const setReps = Math.min(Math.floor(reps.max), Math.max(Math.ceil(reps.min), middleReps));
+  return {
+    weight,
+    reps: setReps,
+    rpe: getRPEFromPct(pct, setReps, formula)
+  };
+}
+
+/**
+ * Weight interval and achievable sets for a range prescription
+ *
+ * @param {Object} input
+ * @param {number} input.e1RM - Estimated 1RM (total weight)
+ * @param {{min: number, max: number}} input.reps - Rep range (min = max for a single value)
+ * @param {{min: number, max: number}} input.rpe - RPE range
+ * @param {Object} [input.equipment] - Equipment ({baseWeight, increment} or {baseWeight, weights})
+ * @param {string|Object} [input.formula] - Formula id or object
+ * @returns {{interval: {min: number, max: number}, sets: {weight: number, reps: number, rpe: number}[], more: number}}
+ *   Interval at 0.1, sets lightest first with RPE at 0.1, and the count of weights left out
+ */
+export function calculateRange(input) {
+  const { e1RM, reps, rpe, formula } = input;
+  const equipment = input.equipment || {};
+  const baseWeight = equipment.baseWeight || 0;
+
+  const interval = getWeightInterval(e1RM, reps, rpe, baseWeight, formula);
+  const { weights, more } = listAchievableWeights(interval, equipment);
+  const sets = weights.map(weight => {
+    const set = predictRangeSet(e1RM, weight, reps, rpe, baseWeight, formula);
+    return { weight: roundToTenth(weight), reps: set.reps, rpe: roundToTenth(set.rpe) };
+  });
+
+  return {
+    interval: { min: roundToTenth(interval.min), max: roundToTenth(interval.max) },
+    sets,
+    more
+  };
+}
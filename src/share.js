@@ -0,0 +1,121 @@
+/**
+ * Calculator inputs in the URL hash
+ *
+ * A shared or bookmarked link opens the calculator with the same inputs.
+ * Input values stay the strings typed into the page, so blanks survive a
+ * round trip. Decoding drops unknown keys and malformed values, leaving
+ * those inputs at their defaults. Only preset equipment is shared: My
+ * Equipment ids are numbered per device, so user_1 on the recipient's
+ * device is a different profile.
+ *
+ * Example: #mode=weight&round=closest&unit=lb&eq=custom&base=45&inc=5&ref=225_5_8&reps=3&rpe=9
+ */
+
+import { COMBINE_STRATEGIES } from './combine.js';
+import { ROUNDING_MODES } from './engine.js';
+import { FORMULAS } from './formulas.js';
+import { WEIGHT_UNITS } from './units.js';
+import { EQUIPMENT_CONFIG } from './utils.js';
+
+export const SHARE_MODES = ['weight', 'reps', 'rpe', 'percent'];
+export const SHARE_ROUNDING_MODES = Object.keys(ROUNDING_MODES);
+
+/**
+ * Hash parameter per state key, in URL order
+ */
+const PARAMS = {
+  mode: 'mode',
+  roundingMode: 'round',
+  unit: 'unit',
+  equipment: 'eq',
+  baseWeight: 'base',
+  increment: 'inc',
+  formula: 'formula',
+  combineStrategy: 'combine',
+  references: 'ref',
+  targetReps: 'reps',
+  targetWeight: 'weight',
+  targetRPE: 'rpe',
+  targetRepsMax: 'repsmax',
+  targetRPEMax: 'rpemax',
+  targetPercent: 'pct'
+};
+
+/**
+ * Allowed values of the choice parameters
+ */
+const CHOICES = {
+  mode: SHARE_MODES,
+  roundingMode: SHARE_ROUNDING_MODES,
+  unit: Object.keys(WEIGHT_UNITS),
+  equipment: Object.keys(EQUIPMENT_CONFIG),
+  formula: Object.keys(FORMULAS),
+  combineStrategy: Object.keys(COMBINE_STRATEGIES)
+};
+
+/**
+ * A typed number (non-negative decimal) or blank
+ */
+function isNumberInput(value) {
+  return /^(\d+\.?\d*|\.\d+)?$/.test(value);
+}
+
+/**
+ * Encode calculator inputs as a URL hash
+ *
+ * @param {Object} state - Undefined keys are left out
+ * @param {string} [state.mode] - 'weight', 'reps', 'rpe' or 'percent'
+ * @param {string} [state.roundingMode] - Key of ROUNDING_MODES (engine.js)
+ * @param {string} [state.unit] - Key of WEIGHT_UNITS
+ * @param {string} [state.equipment] - Key of EQUIPMENT_CONFIG
+ * @param {string} [state.baseWeight] - Custom base weight
+ * @param {string} [state.increment] - Custom increment
+ * @param {string} [state.formula] - Key of FORMULAS
+ * @param {string} [state.combineStrategy] - Key of COMBINE_STRATEGIES
+ * @param {{weight: string, reps: string, rpe: string}[]} [state.references] - Reference sets
+ * @param {string} [state.targetReps] - Target reps
+ * @param {string} [state.targetWeight] - Target weight
+ * @param {string} [state.targetRPE] - Target RPE
+ * @param {string} [state.targetRepsMax] - Top of the target rep range
+ * @param {string} [state.targetRPEMax] - Top of the target RPE range
+ * @param {string} [state.targetPercent] - Target percentage of e1RM
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeShareState(state) {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    if (state[key] === undefined) return;
+    if (key === 'references') {
+      state.references.forEach(ref => params.append(param, [ref.weight, ref.reps, ref.rpe].join('_')));
+    } else {
+      params.set(param, state[key]);
+    }
+  });
+  return '#' + params.toString();
+}
+
+/**
+ * Decode calculator inputs from a URL hash
+ * @param {string} hash - location.hash (with or without the leading '#')
+ * @returns {Object} State as for encodeShareState, with only the valid keys
+ */
+export function decodeShareState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = {};
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    if (!params.has(param)) return;
+    const value = params.get(param);
+    if (key === 'references') {
+      const references = params.getAll(param)
+        .map(text => text.split('_'))
+        .filter(parts => parts.length === 3 && parts.every(isNumberInput))
+        .map(([weight, reps, rpe]) => ({ weight, reps, rpe }));
+      if (references.length > 0) state.references = references;
+    } else if (CHOICES[key]) {
+      if (CHOICES[key].includes(value)) state[key] = value;
+    } else if (isNumberInput(value)) {
+      state[key] = value;
+    }
+  });
+  return state;
+}
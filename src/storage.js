@@ -0,0 +1,38 @@
+/**
+ * localStorage persistence helpers
+ *
+ * Storage is injectable so callers can be tested without a browser;
+ * failures (private mode, quota, corrupt JSON) never throw.
+ */
+
+/**
+ * Load a JSON value from storage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when missing or unreadable
+ * @param {Storage} [storage=localStorage] - Storage backend
+ * @returns {*} Parsed value or fallback
+ */
+export function loadJSON(key, fallback, storage = globalThis.localStorage) {
+  try {
+    const raw = storage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Save a JSON value to storage
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ * @param {Storage} [storage=localStorage] - Storage backend
+ * @returns {boolean} True if saved
+ */
+export function saveJSON(key, value, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * e1RM trends from the workout history
+ *
+ * History entries are reduced to one point per day (the day's best e1RM,
+ * re-estimated with the selected formula in the selected unit), then
+ * smoothed into a rolling best and a rolling average over a window of days.
+ * layoutTrendChart turns the series into SVG coordinates; drawing is left to
+ * the page.
+ */
+
+import { getPct } from './calc.js';
+import { roundToTenth } from './engine.js';
+import { convertWeight, DEFAULT_WEIGHT_UNIT } from './units.js';
+
+/**
+ * Default rolling window in days
+ */
+export const TREND_WINDOW_DAYS = 28;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Day number of a calendar date (days since 1970-01-01)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Whole days
+ */
+export function getDayNumber(date) {
+  return Math.round(Date.parse(date + 'T00:00:00Z') / MS_PER_DAY);
+}
+
+/**
+ * Best e1RM per day
+ * @param {Object[]} entries - History entries (see history.js)
+ * @param {string} [unit='lb'] - Unit for the e1RMs
+ * @param {string|Object} [formula] - Formula id or object
+ * @returns {{date: string, day: number, e1RM: number, entry: Object}[]} Points sorted by date
+ */
+export function getDailyE1RMs(entries, unit = DEFAULT_WEIGHT_UNIT, formula) {
+  const best = new Map();
+  entries.forEach(entry => {
+    const total = convertWeight(entry.weight + (entry.baseWeight || 0), entry.unit || DEFAULT_WEIGHT_UNIT, unit);
+    const e1RM = total * getPct(entry.reps, entry.rpe, formula) / 100;
+    const current = best.get(entry.date);
+    if (!current || e1RM > current.e1RM) {
+      best.set(entry.date, { date: entry.date, day: getDayNumber(entry.date), e1RM, entry });
+    }
+  });
+  return [...best.values()].sort((a, b) => a.day - b.day);
+}
+
+/**
+ * Points within the window ending at each point
+ */
+function getWindows(points, windowDays) {
+  return points.map(point => points.filter(other => other.day <= point.day && other.day > point.day - windowDays));
+}
+
+/**
+ * Rolling best e1RM
+ * @param {{date: string, day: number, e1RM: number}[]} points - Daily points, sorted
+ * @param {number} [windowDays=28] - Window length in days (including the current day)
+ * @returns {{date: string, day: number, value: number}[]} One value per point
+ */
+export function getRollingBest(points, windowDays = TREND_WINDOW_DAYS) {
+  return getWindows(points, windowDays).map((window, index) => ({
+    date: points[index].date,
+    day: points[index].day,
+    value: Math.max(...window.map(point => point.e1RM))
+  }));
+}
+
+/**
+ * Rolling average e1RM
+ * @param {{date: string, day: number, e1RM: number}[]} points - Daily points, sorted
+ * @param {number} [windowDays=28] - Window length in days (including the current day)
+ * @returns {{date: string, day: number, value: number}[]} One value per point
+ */
+export function getRollingAverage(points, windowDays = TREND_WINDOW_DAYS) {
+  return getWindows(points, windowDays).map((window, index) => ({
+    date: points[index].date,
+    day: points[index].day,
+    value: window.reduce((sum, point) => sum + point.e1RM, 0) / window.length
+  }));
+}
+
+/**
+ * Round numbers for axis ticks (1, 2, 2.5 or 5 times a power of ten)
+ */
+function getTickStep(range, count) {
+  const rough = range / count;
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * power >= rough);
+  return step * power;
+}
+
+/**
+ * Lay out a trend chart in SVG coordinates
+ *
+ * @param {{date: string, day: number, e1RM: number}[]} points - Daily points, sorted
+ * @param {Object<string, {day: number, value: number}[]>} lines - Named line series (e.g. best, average)
+ * @param {{width: number, height: number, padding: number}} size - Chart size in SVG units
+ * @returns {{points: Object[], lines: Object<string, string>, yTicks: {y: number, value: number}[], xTicks: {x: number, date: string}[]}|null}
+ *   Points gain x and y; lines are SVG path data; null without points
+ */
+export function layoutTrendChart(points, lines, size) {
+  if (points.length === 0) return null;
+  const { width, height, padding } = size;
+
+  const values = [...points.map(point => point.e1RM), ...Object.values(lines).flat().map(point => point.value)];
+  const step = getTickStep(Math.max(Math.max(...values) - Math.min(...values), 1), 4);
+  const minValue = Math.floor(Math.min(...values) / step) * step;
+  const maxValue = Math.max(Math.ceil(Math.max(...values) / step) * step, minValue + step);
+  const firstDay = points[0].day;
+  const lastDay = Math.max(points[points.length - 1].day, firstDay + 1);
+
+  const x = day => roundToTenth(padding + (day - firstDay) / (lastDay - firstDay) * (width - 2 * padding));
+  const y = value => roundToTenth(height - padding - (value - minValue) / (maxValue - minValue) * (height - 2 * padding));
+
+  const paths = {};
+  Object.entries(lines).forEach(([name, series]) => {
+    paths[name] = series.map((point, index) => `${index ? 'L' : 'M'}${x(point.day)},${y(point.value)}`).join(' ');
+  });
+
+  const yTicks = [];
+  for (let value = minValue; value <= maxValue + 1e-9; value += step) {
+    yTicks.push({ y: y(value), value: roundToTenth(value) });
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const xTicks = first === last
+    ? [{ x: x(first.day), date: first.date }]
+    : [{ x: x(first.day), date: first.date }, { x: x(last.day), date: last.date }];
+
+  return {
+    points: points.map(point => ({ ...point, x: x(point.day), y: y(point.e1RM) })),
+    lines: paths,
+    yTicks,
+    xTicks
+  };
+}
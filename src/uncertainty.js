@@ -0,0 +1,92 @@
+/**
+ * Plausible ranges for predicted reps, weight and RPE
+ *
+ * A prediction carries two kinds of error, both counted in effective reps
+ * (reps + reps in reserve):
+ * - RPE ratings: the reference set's RPE and the RPE the target set will
+ *   actually be rated are each off by about RPE_RATING_ERROR
+ * - the curve: a population curve fits individuals worse the further a set
+ *   is from a single, growing by CURVE_ERROR per effective rep beyond the
+ *   first, for the reference set and the target set alike
+ * The errors are independent and combine as a root sum of squares. The
+ * range is the prediction plus or minus that error, about two sets in three.
+ */
+
+import { roundToTenth, getWeightForReps, getRepsAtWeight, getRPEAtWeight } from './engine.js';
+import { roundToEquipment } from './utils.js';
+
+/**
+ * Typical error of an RPE rating, in reps
+ */
+export const RPE_RATING_ERROR = 0.5;
+
+/**
+ * Curve error per effective rep beyond the first
+ */
+export const CURVE_ERROR = 0.1;
+
+/**
+ * Error of a prediction in effective reps
+ * @param {number} referenceReps - Effective reps of the reference set
+ * @param {number} targetReps - Effective reps of the target set
+ * @returns {number} Error in effective reps
+ */
+export function getEffectiveRepsError(referenceReps, targetReps) {
+  const curveError = reps => CURVE_ERROR * Math.max(0, reps - 1);
+  return Math.sqrt(2 * RPE_RATING_ERROR ** 2 + curveError(referenceReps) ** 2 + curveError(targetReps) ** 2);
+}
+
+/**
+ * Ranges around the predicted values of a calculation
+ *
+ * Only predicted values get a range, by mode:
+ * - 'weight': exact weight, rounded weight (the range rounded to the equipment) and rounded reps
+ * - 'reps': exact reps and rounded reps
+ * - 'rpe' and 'percent': exact and rounded RPE (kept within 0–10)
+ * Rounded reps ranges are whole reps.
+ *
+ * @param {Object} input
+ * @param {string} input.mode - Calculation mode (see calculateSet)
+ * @param {Object} input.result - calculateSet result
+ * @param {Object} [input.equipment] - Equipment ({baseWeight, increment} or {baseWeight, weights})
+ * @param {string|Object} [input.formula] - Formula id or object
+ * @returns {{error: number, exact: Object, rounded: Object}} Error in effective reps, and
+ *   {min, max} ranges at 0.1 keyed by weight, reps and rpe
+ */
+export function getPredictionRanges(input) {
+  const { mode, result, formula } = input;
+  const equipment = input.equipment || {};
+  const baseWeight = equipment.baseWeight || 0;
+  const { e1RM, estimates, exact, rounded } = result;
+
+  const referenceReps = estimates.reduce((sum, set) => sum + set.reps + 10 - set.rpe, 0) / estimates.length;
+  const error = getEffectiveRepsError(referenceReps, exact.reps + 10 - exact.rpe);
+  const range = (value, low = -Infinity, high = Infinity) => ({
+    min: roundToTenth(Math.min(high, Math.max(low, value - error))),
+    max: roundToTenth(Math.min(high, Math.max(low, value + error)))
+  });
+  const wholeReps = reps => ({ min: Math.max(0, Math.round(reps - error)), max: Math.round(reps + error) });
+
+  const ranges = { error, exact: {}, rounded: {} };
+  if (mode === 'weight') {
+    // More reps in the tank means a lighter weight for the same target
+    const weight = {
+      min: Math.max(0, getWeightForReps(e1RM, exact.reps + error, exact.rpe, baseWeight, formula)),
+      max: Math.max(0, getWeightForReps(e1RM, exact.reps - error, exact.rpe, baseWeight, formula))
+    };
+    ranges.exact.weight = { min: roundToTenth(weight.min), max: roundToTenth(weight.max) };
+    ranges.rounded.weight = {
+      min: roundToTenth(roundToEquipment(weight.min, equipment)),
+      max: roundToTenth(roundToEquipment(weight.max, equipment))
+    };
+  }
+  if (mode === 'weight' || mode === 'reps') {
+    if (mode === 'reps') ranges.exact.reps = range(exact.reps, 0);
+    ranges.rounded.reps = wholeReps(getRepsAtWeight(e1RM, rounded.weight, exact.rpe, baseWeight, formula));
+  }
+  if (mode === 'rpe' || mode === 'percent') {
+    ranges.exact.rpe = range(exact.rpe, 0, 10);
+    ranges.rounded.rpe = range(getRPEAtWeight(e1RM, rounded.weight, rounded.reps, baseWeight, formula), 0, 10);
+  }
+  return ranges;
+}
@@ -0,0 +1,69 @@
+/**
+ * Weight units
+ *
+ * All calculations happen in the selected unit; nothing is stored in one
+ * unit and rounded in another. Values are converted only when the user
+ * switches units.
+ */
+
+import { loadJSON, saveJSON } from './storage.js';
+
+export const WEIGHT_UNIT_KEY = 'setcalc.weightUnit';
+
+/**
+ * Pounds per kilogram (the pound is defined as exactly 0.45359237 kg)
+ */
+export const LB_PER_KG = 1 / 0.45359237;
+
+/**
+ * Supported units keyed by id
+ * defaultEquipment is the EQUIPMENT_CONFIG key for no equipment in that unit.
+ */
+export const WEIGHT_UNITS = {
+  'lb': { label: 'lbs', defaultBarWeight: 45, defaultIncrement: 5, defaultEquipment: '0' },
+  'kg': { label: 'kg', defaultBarWeight: 20, defaultIncrement: 2.5, defaultEquipment: 'none_kg' }
+};
+
+export const DEFAULT_WEIGHT_UNIT = 'lb';
+
+/**
+ * Convert a weight between units
+ * @param {number} weight - Weight in the source unit
+ * @param {string} from - Source unit ('lb' or 'kg')
+ * @param {string} to - Target unit ('lb' or 'kg')
+ * @returns {number} Weight in the target unit
+ */
+export function convertWeight(weight, from, to) {
+  if (from === to) return weight;
+  return from === 'kg' ? weight * LB_PER_KG : weight / LB_PER_KG;
+}
+
+/**
+ * Unit of an equipment configuration or profile
+ * Entries without a unit are in pounds.
+ * @param {Object} config - Equipment configuration
+ * @returns {string} 'lb' or 'kg'
+ */
+export function getEquipmentUnit(config) {
+  return config.unit || DEFAULT_WEIGHT_UNIT;
+}
+
+/**
+ * Load the selected unit
+ * @param {Storage} [storage] - Storage backend
+ * @returns {string} 'lb' or 'kg'
+ */
+export function loadWeightUnit(storage) {
+  const unit = loadJSON(WEIGHT_UNIT_KEY, DEFAULT_WEIGHT_UNIT, storage);
+  return WEIGHT_UNITS[unit] ? unit : DEFAULT_WEIGHT_UNIT;
+}
+
+/**
+ * Save the selected unit
+ * @param {string} unit - 'lb' or 'kg'
+ * @param {Storage} [storage] - Storage backend
+ * @returns {boolean} True if saved
+ */
+export function saveWeightUnit(unit, storage) {
+  return saveJSON(WEIGHT_UNIT_KEY, unit, storage);
+}
@@ -7,6 +7,16 @@
  * Each equipment can have either:
  * - increment: a number representing the weight step (e.g., 5 lbs)
  * - weights: an array of enumerated available weights (e.g., dumbbells)
+ * Incremented equipment can also have minWeight and maxWeight (plate weights,
+ * e.g. a cable stack); enumerated equipment is bounded by its lightest and
+ * heaviest weight (see getEquipmentBounds).
+ * Either can have addOns, [{weight, count}] stacked on top of any base
+ * weight (e.g. stack magnets, wrist weights, microplates); any combination
+ * of them can be added.
+ * Weights are in pounds unless the entry has unit: 'kg'.
+ * 'custom' is available in either unit. Machines have a preset in each unit:
+ * plate-loaded ones keep their base weight and load the unit's plates,
+ * stacks keep their pound plates (so the kg steps are uneven numbers).
  */
 export const EQUIPMENT_CONFIG = {
   '0': { baseWeight: 0, increment: 0.5 },         // None (smallest common plate)
@@ -15,9 +25,83 @@ export const EQUIPMENT_CONFIG = {
   'dumbbells': { baseWeight: 0, weights: [3, 5, 8, 10, 12, 15, 17.5, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70] },  // Dumbbells (x1)
   'dumbbells_x2': { baseWeight: 0, weights: [6, 10, 16, 20, 24, 30, 35, 40, 50, 60, 70, 80, 90, 100, 110, 120, 130, 140] },  // Dumbbells (x2)
   'cable_purple': { baseWeight: 0, increment: 2.5 },  // Adjustable Cable (Purple)
-  'custom': { baseWeight: 0, increment: 5 }       // Custom (default increment)
+  'stack_magnets': { baseWeight: 0, increment: 10, addOns: [{ weight: 2.5, count: 1 }, { weight: 5, count: 1 }] },  // Weight Stack (10 lb, 2.5 and 5 lb magnets)
+  'dumbbells_micro': {  // Dumbbells (x1) with a pair of 1.25 lb microplates
+    baseWeight: 0,
+    weights: [3, 5, 8, 10, 12, 15, 17.5, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70],
+    addOns: [{ weight: 1.25, count: 2 }]
+  },
+  'custom': { baseWeight: 0, increment: 5 },      // Custom (default increment)
+  'none_kg': { baseWeight: 0, increment: 0.25, unit: 'kg' },    // None (smallest common plate, kg)
+  'barbell_kg': { baseWeight: 20, increment: 2.5, unit: 'kg' }, // Olympic Barbell (20 kg, 1.25 kg plates)
+  'dumbbells_kg': { baseWeight: 0, weights: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 16, 18, 20, 22.5, 25, 27.5, 30, 32.5, 35, 37.5, 40], unit: 'kg' },  // Dumbbells (x1, kg)
+  'dumbbells_kg_x2': { baseWeight: 0, weights: [2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 24, 28, 32, 36, 40, 45, 50, 55, 60, 65, 70, 75, 80], unit: 'kg' },  // Dumbbells (x2, kg)
+  'smith_kg': { baseWeight: 11.3, increment: 2.5, unit: 'kg' },     // Smith Machine (25 lb bar, kg plates)
+  'leg_press_kg': { baseWeight: 75.7, increment: 2.5, unit: 'kg' }, // 45° Leg Press (167 lb sled, kg plates)
+  'cable_purple_kg': { baseWeight: 0, increment: 1.134, unit: 'kg' },  // Adjustable Cable (Purple): 2.5 lb steps
+  'stack_magnets_kg': {  // Weight Stack: 10 lb plates with 2.5 and 5 lb magnets
+    baseWeight: 0,
+    increment: 4.536,
+    addOns: [{ weight: 1.134, count: 1 }, { weight: 2.268, count: 1 }],
+    unit: 'kg'
+  },
+  'dumbbells_kg_micro': {  // Dumbbells (x1, kg) with a pair of 0.5 kg microplates
+    baseWeight: 0,
+    weights: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 16, 18, 20, 22.5, 25, 27.5, 30, 32.5, 35, 37.5, 40],
+    addOns: [{ weight: 0.5, count: 2 }],
+    unit: 'kg'
+  }
+};
+
+/**
+ * Equivalent preset in the other unit, used when switching units
+ * Presets without a counterpart (the kg barbell) fall back to None.
+ */
+export const EQUIPMENT_UNIT_COUNTERPARTS = {
+  '0': 'none_kg',
+  'none_kg': '0',
+  '25': 'smith_kg',
+  'smith_kg': '25',
+  '167': 'leg_press_kg',
+  'leg_press_kg': '167',
+  'cable_purple': 'cable_purple_kg',
+  'cable_purple_kg': 'cable_purple',
+  'stack_magnets': 'stack_magnets_kg',
+  'stack_magnets_kg': 'stack_magnets',
+  'dumbbells_micro': 'dumbbells_kg_micro',
+  'dumbbells_kg_micro': 'dumbbells_micro',
+  'dumbbells': 'dumbbells_kg',
+  'dumbbells_kg': 'dumbbells',
+  'dumbbells_x2': 'dumbbells_kg_x2',
+  'dumbbells_kg_x2': 'dumbbells_x2',
+  'custom': 'custom'
 };
 
+/**
+ * User-defined equipment profiles keyed by id (see equipment.js)
+ */
+let userEquipment = {};
+
+/**
+ * Register user-defined equipment so it can be looked up like a preset
+ * @param {Object[]} profiles - Profiles with id, baseWeight and increment or weights
+ */
+export function setUserEquipment(profiles) {
+  userEquipment = {};
+  profiles.forEach(profile => {
+    userEquipment[profile.id] = profile;
+  });
+}
+
+/**
+ * Look up equipment configuration for a select value
+ * @param {string} value - Preset key or user profile id
+ * @returns {Object|undefined} Equipment configuration
+ */
+export function getEquipmentConfig(value) {
+  return EQUIPMENT_CONFIG[value] || userEquipment[value];
+}
+
 /**
  * Get equipment base weight (sled/bar weight that isn't loaded as plates)
  * @returns {number} Base weight in pounds
@@ -44,7 +128,7 @@ export function getWeightIncrement() {
  */
 export function hasEnumeratedWeights() {
   const equipmentSelect = document.getElementById('equipment');
-  const config = EQUIPMENT_CONFIG[equipmentSelect.value];
+  const config = getEquipmentConfig(equipmentSelect.value);
   return config && Array.isArray(config.weights);
 }
 
@@ -54,7 +138,7 @@ export function hasEnumeratedWeights() {
  */
 export function getEnumeratedWeights() {
   const equipmentSelect = document.getElementById('equipment');
-  const config = EQUIPMENT_CONFIG[equipmentSelect.value];
+  const config = getEquipmentConfig(equipmentSelect.value);
   return config && Array.isArray(config.weights) ? config.weights : null;
 }
 
@@ -153,6 +237,158 @@ export function roundToEnumeratedUp(weight, weights) {
   return weights[weights.length - 1]; // Default to maximum
 }
 
+/**
+ * Weights differing by less than this are the same weight
+ */
+const WEIGHT_EPSILON = 1e-6;
+
+/**
+ * Drop floating-point noise from a sum of weights (to the nearest WEIGHT_EPSILON)
+ */
+function cleanWeight(weight) {
+  return Math.round(weight * 1e6) / 1e6;
+}
+
+/**
+ * Check if equipment has add-ons to stack on its base weights
+ * @param {Object} equipment - Equipment definition
+ * @returns {boolean} True if there is at least one add-on
+ */
+export function hasAddOns(equipment) {
+  return Boolean(equipment && Array.isArray(equipment.addOns) && equipment.addOns.length > 0);
+}
+
+/**
+ * Every weight a set of add-ons can add, using each up to its count
+ * @param {{weight: number, count: number}[]} addOns - Add-ons
+ * @returns {number[]} Totals ascending, without duplicates (0 for none)
+ */
+export function getAddOnTotals(addOns) {
+  let totals = [0];
+  addOns.forEach(addOn => {
+    const next = [];
+    totals.forEach(total => {
+      for (let count = 0; count <= addOn.count; count++) next.push(cleanWeight(total + count * addOn.weight));
+    });
+    totals = [...new Set(next)];
+  });
+  return totals.sort((a, b) => a - b);
+}
+
+/**
+ * Lightest and heaviest plate weight an equipment definition can make (no DOM access)
+ * Enumerated weights are bounded by the list; increments by minWeight (default 0)
+ * and maxWeight (default none), each moved inward to a whole increment.
+ * Add-ons raise the heaviest weight by all of them together.
+ * @param {Object} equipment - Equipment with either weights (sorted ascending) or increment
+ * @returns {{min: number, max: number}} Bounds (max is Infinity when unbounded)
+ */
+export function getEquipmentBounds(equipment) {
+  const bounds = getBaseBounds(equipment);
+  if (!hasAddOns(equipment)) return bounds;
+  const addOnTotals = getAddOnTotals(equipment.addOns);
+  return { min: bounds.min, max: cleanWeight(bounds.max + addOnTotals[addOnTotals.length - 1]) };
+}
+
+/**
+ * Bounds of the base weights, before add-ons
+ */
+function getBaseBounds(equipment) {
+  const weights = equipment && Array.isArray(equipment.weights) && equipment.weights.length > 0 ? equipment.weights : null;
+  if (weights) return { min: weights[0], max: weights[weights.length - 1] };
+
+  const min = Math.max(0, (equipment && equipment.minWeight) || 0);
+  const max = equipment && equipment.maxWeight !== undefined ? equipment.maxWeight : Infinity;
+  const increment = equipment ? equipment.increment : null;
+  if (increment && increment > 0) {
+    return { min: roundToIncrementUp(min, increment), max: roundToIncrementDown(max, increment) };
+  }
+  return { min, max };
+}
+
+/**
+ * Achievable totals that can be the rounded weight with add-ons
+ * For each add-on total, the base weights just below and above what's left
+ * of the weight; the best total for any direction is among them.
+ */
+function listCandidateTotals(weight, equipment) {
+  const base = { ...equipment, addOns: [] };
+  const totals = getAddOnTotals(equipment.addOns).flatMap(addOn => [
+    cleanWeight(roundToEquipment(weight - addOn, base, 'down') + addOn),
+    cleanWeight(roundToEquipment(weight - addOn, base, 'up') + addOn)
+  ]);
+  return [...new Set(totals)].sort((a, b) => a - b);
+}
+
+/**
+ * Round a weight for an equipment definition (no DOM access)
+ * Increments are kept within the equipment bounds (enumerated weights always are).
+ * With add-ons, every base weight and add-on combination is a candidate.
+ * @param {number} weight - The weight to round
+ * @param {Object} equipment - Equipment with either weights (sorted ascending) or increment, and optional addOns
+ * @param {string} [direction='closest'] - 'down', 'closest' or 'up'
+ * @returns {number} The rounded weight (unchanged if equipment has neither)
+ */
+export function roundToEquipment(weight, equipment, direction = 'closest') {
+  const weights = hasAddOns(equipment)
+    ? listCandidateTotals(weight, equipment)
+    : equipment && Array.isArray(equipment.weights) ? equipment.weights : null;
+  if (weights) {
+    if (direction === 'down') return roundToEnumeratedDown(weight, weights);
+    if (direction === 'up') return roundToEnumeratedUp(weight, weights);
+    return roundToEnumerated(weight, weights);
+  }
+
+  const increment = equipment ? equipment.increment : null;
+  if (increment && increment > 0) {
+    const { min, max } = getEquipmentBounds(equipment);
+    let rounded = roundToIncrement(weight, increment);
+    if (direction === 'down') rounded = roundToIncrementDown(weight, increment);
+    if (direction === 'up') rounded = roundToIncrementUp(weight, increment);
+    return Math.min(max, Math.max(min, rounded));
+  }
+
+  return weight;
+}
+
+/**
+ * Next achievable weight past a weight (no DOM access)
+ * @param {number} weight - Achievable plate weight
+ * @param {Object} equipment - Equipment definition (see roundToEquipment)
+ * @param {string} direction - 'down' or 'up'
+ * @returns {number|null} The next lighter or heavier weight, or null past the bounds
+ *   (or without weights or increment)
+ */
+export function getAdjacentWeight(weight, equipment, direction) {
+  if (!equipment || !(Array.isArray(equipment.weights) || equipment.increment > 0)) return null;
+  if (direction === 'down') {
+    const next = roundToEquipment(weight - WEIGHT_EPSILON, equipment, 'down');
+    return next < weight - WEIGHT_EPSILON / 2 ? next : null;
+  }
+  const next = roundToEquipment(weight + WEIGHT_EPSILON, equipment, 'up');
+  return next > weight + WEIGHT_EPSILON / 2 ? next : null;
+}
+
+/**
+ * Read the current equipment definition from the page
+ * @returns {{baseWeight: number, increment: number|null, weights: number[]|null, minWeight?: number, maxWeight?: number, addOns?: Object[]}}
+ */
+export function getEquipment() {
+  const weights = getEnumeratedWeights();
+  const equipment = {
+    baseWeight: getBaseWeight(),
+    increment: weights ? null : getWeightIncrement(),
+    weights
+  };
+  const config = getEquipmentConfig(document.getElementById('equipment').value);
+  if (!weights && config) {
+    if (config.minWeight !== undefined) equipment.minWeight = config.minWeight;
+    if (config.maxWeight !== undefined) equipment.maxWeight = config.maxWeight;
+  }
+  if (hasAddOns(config)) equipment.addOns = config.addOns;
+  return equipment;
+}
+
 /**
  * Round a weight based on current equipment configuration
  * @param {number} weight - The weight to round
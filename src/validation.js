@@ -1,139 +1,92 @@
 /**
- * Validation helpers for form inputs
+ * Input validation rules
+ *
+ * Schemas checked against plain values (strings as typed, or numbers) with
+ * no DOM access, so the same rules apply to the page, imports and tests.
+ * Every check returns a result:
+ * { value, code, message, severity }
+ * - value: the parsed number, or null if it can't be used
+ * - code: null if valid, otherwise 'empty', 'invalid' (not a number),
+ *   'too_low', 'too_high', 'not_whole', or a warning code from a rule
+ * - message: text for the user ('' for an empty input, which is marked but not explained)
+ * - severity: 'ok', 'warning' (usable, but the result may be unreliable) or 'error'
+ *
+ * forms.js reads inputs from the page and renders results next to them.
  */
 
 /**
- * Mark input as invalid with error message
- * @param {string} inputId - ID of the input element
- * @param {string} message - Error message to display
+ * Schemas by input kind
+ * min/max bound the value (strict with minExclusive/maxExclusive), integer
+ * requires a whole number. A value that isn't a number gets the low message.
  */
-export function setInvalid(inputId, message) {
-  document.getElementById(inputId).classList.add('invalid');
-  document.getElementById(inputId + 'Error').textContent = message;
-}
-
-/**
- * Mark input as empty (invalid but no message)
- * @param {string} inputId - ID of the input element
- */
-export function setEmpty(inputId) {
-  document.getElementById(inputId).classList.add('invalid');
-  document.getElementById(inputId + 'Error').textContent = '';
-}
+export const SCHEMAS = {
+  reps: { min: 0, max: 50, messages: { low: 'Reps must be ≥ 0', high: 'Reps must be ≤ 50' } },
+  loggedReps: { min: 1, max: 50, messages: { low: 'A logged set needs at least 1 rep', high: 'Reps must be ≤ 50' } },
+  weight: { min: 0, minExclusive: true, messages: { low: 'Weight must be positive' } },
+  rpe: { min: 0, minExclusive: true, max: 10, messages: { low: 'RPE must be positive', high: 'RPE must be ≤ 10' } },
+  customWeight: { min: 0, messages: { low: 'Base weight must be ≥ 0' } },
+  increment: { min: 0, minExclusive: true, messages: { low: 'Increment must be positive' } },
+  setCount: { min: 1, max: 20, integer: true, messages: { low: 'Sets must be a whole number ≥ 1', high: 'Sets must be ≤ 20' } },
+  rest: { min: 0, minExclusive: true, messages: { low: 'Rest must be positive' } },
+  fatigueRate: { min: 0, max: 30, messages: { low: 'Fatigue must be ≥ 0', high: 'Fatigue must be ≤ 30%' } },
+  dropPercent: { min: 0, minExclusive: true, max: 100, maxExclusive: true, messages: { low: 'Drop must be positive', high: 'Drop must be < 100%' } },
+  percentOf1RM: { min: 0, minExclusive: true, max: 100, messages: { low: 'Percent must be positive', high: 'Percent must be ≤ 100%' } }
+};
 
 /**
- * Clear validation state and error message
- * @param {string} inputId - ID of the input element
+ * Warnings across a reference set's fields, checked once every field is valid
+ * The curves are fitted to sets of up to about 20 reps near failure, so
+ * estimates from longer or easier sets are unreliable.
  */
-export function clearValidation(inputId) {
-  document.getElementById(inputId).classList.remove('invalid');
-  document.getElementById(inputId + 'Error').textContent = '';
-}
+export const REFERENCE_SET_RULES = [
+  { field: 'reps', code: 'high_reps', test: set => set.reps > 20, message: 'Estimates are unreliable above 20 reps' },
+  { field: 'rpe', code: 'low_rpe', test: set => set.rpe < 6, message: 'Estimates are unreliable below RPE 6' }
+];
 
-/**
- * Validate reps input (must be >= 0, <= 50)
- * @param {string} inputId - ID of the input element
- * @returns {number|null} Validated value or null if invalid
- */
-export function validateReps(inputId) {
-  const input = document.getElementById(inputId);
-  if (input.value === '') {
-    setEmpty(inputId);
-    return null;
-  }
-  const value = parseFloat(input.value);
-  if (isNaN(value) || value < 0) {
-    setInvalid(inputId, 'Reps must be ≥ 0');
-    return null;
-  }
-  if (value > 50) {
-    setInvalid(inputId, 'Reps must be ≤ 50');
-    return null;
-  }
-  clearValidation(inputId);
-  return value;
+function createResult(value, code, message, severity) {
+  return { value, code, message, severity };
 }
 
 /**
- * Validate weight input (must be > 0)
- * @param {string} inputId - ID of the input element
- * @returns {number|null} Validated value or null if invalid
+ * Check a value against a schema
+ * @param {string|number|null} raw - Value as typed ('' or null when empty)
+ * @param {Object} schema - Entry of SCHEMAS (or the same shape)
+ * @returns {{value: number|null, code: string|null, message: string, severity: string}} Result
  */
-export function validateWeight(inputId) {
-  const input = document.getElementById(inputId);
-  if (input.value === '') {
-    setEmpty(inputId);
-    return null;
-  }
-  const value = parseFloat(input.value);
-  if (isNaN(value) || value <= 0) {
-    setInvalid(inputId, 'Weight must be positive');
-    return null;
-  }
-  clearValidation(inputId);
-  return value;
-}
+export function checkValue(raw, schema) {
+  if (raw === '' || raw === null || raw === undefined) return createResult(null, 'empty', '', 'error');
 
-/**
- * Validate RPE input (must be > 0, <= 10)
- * @param {string} inputId - ID of the input element
- * @returns {number|null} Validated value or null if invalid
- */
-export function validateRPE(inputId) {
-  const input = document.getElementById(inputId);
-  if (input.value === '') {
-    setEmpty(inputId);
-    return null;
-  }
-  const value = parseFloat(input.value);
-  if (isNaN(value) || value <= 0) {
-    setInvalid(inputId, 'RPE must be positive');
-    return null;
+  const value = typeof raw === 'number' ? raw : parseFloat(raw);
+  const { min, max, messages } = schema;
+  if (isNaN(value)) return createResult(null, 'invalid', messages.low, 'error');
+  if (min !== undefined && (value < min || (schema.minExclusive && value === min))) {
+    return createResult(null, 'too_low', messages.low, 'error');
   }
-  if (value > 10) {
-    setInvalid(inputId, 'RPE must be ≤ 10');
-    return null;
+  if (schema.integer && !Number.isInteger(value)) return createResult(null, 'not_whole', messages.low, 'error');
+  if (max !== undefined && (value > max || (schema.maxExclusive && value === max))) {
+    return createResult(null, 'too_high', messages.high, 'error');
   }
-  clearValidation(inputId);
-  return value;
+  return createResult(value, null, '', 'ok');
 }
 
 /**
- * Validate custom weight input (must be >= 0, allows 0)
- * @param {string} inputId - ID of the input element
- * @returns {number|null} Validated value or null if invalid
+ * Check a reference set: each field against its schema, then REFERENCE_SET_RULES
+ * @param {{weight: string|number, reps: string|number, rpe: string|number}} set - Values as typed
+ * @returns {{weight: Object, reps: Object, rpe: Object}} Result per field; warnings keep their value
  */
-export function validateCustomWeight(inputId) {
-  const input = document.getElementById(inputId);
-  if (input.value === '') {
-    setEmpty(inputId);
-    return null;
-  }
-  const value = parseFloat(input.value);
-  if (isNaN(value) || value < 0) {
-    setInvalid(inputId, 'Base weight must be ≥ 0');
-    return null;
-  }
-  clearValidation(inputId);
-  return value;
-}
+export function checkReferenceSet(set) {
+  const results = {
+    weight: checkValue(set.weight, SCHEMAS.weight),
+    reps: checkValue(set.reps, SCHEMAS.reps),
+    rpe: checkValue(set.rpe, SCHEMAS.rpe)
+  };
+  if (Object.values(results).some(result => result.severity === 'error')) return results;
 
-/**
- * Validate weight increment input (must be > 0)
- * @param {string} inputId - ID of the input element
- * @returns {number|null} Validated value or null if invalid
- */
-export function validateIncrement(inputId) {
-  const input = document.getElementById(inputId);
-  if (input.value === '') {
-    setEmpty(inputId);
-    return null;
-  }
-  const value = parseFloat(input.value);
-  if (isNaN(value) || value <= 0) {
-    setInvalid(inputId, 'Increment must be positive');
-    return null;
-  }
-  clearValidation(inputId);
-  return value;
+  const values = { weight: results.weight.value, reps: results.reps.value, rpe: results.rpe.value };
+  REFERENCE_SET_RULES.forEach(rule => {
+    if (results[rule.field].severity === 'ok' && rule.test(values)) {
+      results[rule.field] = createResult(values[rule.field], rule.code, rule.message, 'warning');
+    }
+  });
+  return results;
 }
@@ -0,0 +1,157 @@
+/**
+ * Warm-up ramp generator
+ *
+ * A template is a list of steps, each either the empty bar or a percentage
+ * of the working weight, with a rep count. Percentages apply to the total
+ * weight (plate weight + equipment base weight), and each step is snapped to
+ * the equipment the same way roundWeight snaps the working set.
+ */
+
+import { roundToEquipment } from './utils.js';
+import { roundToTenth } from './engine.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+export const WARMUP_SETTINGS_KEY = 'setcalc.warmup';
+
+/**
+ * Built-in templates keyed by lift type
+ * Steps are { bar: true, reps } or { pct, reps } (pct of the working weight).
+ */
+export const WARMUP_TEMPLATES = {
+  'barbell': {
+    label: 'Barbell (squat, deadlift)',
+    steps: [
+      { bar: true, reps: 10 },
+      { pct: 40, reps: 5 },
+      { pct: 60, reps: 3 },
+      { pct: 75, reps: 2 },
+      { pct: 85, reps: 1 }
+    ]
+  },
+  'press': {
+    label: 'Press (bench, overhead)',
+    steps: [
+      { bar: true, reps: 10 },
+      { pct: 50, reps: 5 },
+      { pct: 70, reps: 3 },
+      { pct: 85, reps: 1 }
+    ]
+  },
+  'accessory': {
+    label: 'Machine / accessory',
+    steps: [
+      { pct: 50, reps: 8 },
+      { pct: 75, reps: 4 }
+    ]
+  }
+};
+
+export const DEFAULT_WARMUP_TEMPLATE = 'barbell';
+
+/**
+ * Build a warm-up ramp toward a working weight
+ * Steps that snap to the working weight or don't go above the previous step
+ * are dropped. Bar steps are skipped for enumerated equipment (no bar).
+ *
+ * @param {number} workingWeight - Rounded working set (plate weight)
+ * @param {{bar?: boolean, pct?: number, reps: number}[]} steps - Template steps
+ * @param {Object} [equipment] - Equipment ({baseWeight, increment} or {baseWeight, weights})
+ * @param {number} [barWeight=0] - Empty bar weight (total), used for bar steps
+ * @returns {{weight: number, reps: number, pct: number, bar: boolean}[]}
+ *   Plate weights in ascending order; pct is the actual percentage of the working total
+ */
+export function buildWarmupRamp(workingWeight, steps, equipment = {}, barWeight = 0) {
+  const baseWeight = equipment.baseWeight || 0;
+  const workingTotal = workingWeight + baseWeight;
+  const enumerated = Array.isArray(equipment.weights);
+
+  const ramp = [];
+  let previous = -Infinity;
+  steps.forEach(step => {
+    if (step.bar && enumerated) return;
+
+    const total = step.bar ? barWeight : workingTotal * step.pct / 100;
+    const weight = step.bar
+      ? Math.max(0, barWeight - baseWeight)
+      : roundToEquipment(Math.max(0, total - baseWeight), equipment);
+
+    if (weight + baseWeight <= 0 || weight >= workingWeight || weight <= previous) return;
+    previous = weight;
+    ramp.push({
+      weight: roundToTenth(weight),
+      reps: step.reps,
+      pct: Math.round((weight + baseWeight) / workingTotal * 100),
+      bar: Boolean(step.bar)
+    });
+  });
+  return ramp;
+}
+
+/**
+ * Parse warm-up steps such as "bar x10, 40% x5, 60 x3"
+ * @param {string} text - Comma-separated "bar x reps" or "percent[%] x reps" entries
+ * @returns {{bar?: boolean, pct?: number, reps: number}[]|null} Steps, or null if any entry is invalid
+ */
+export function parseWarmupSteps(text) {
+  const entries = text.split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const steps = [];
+  for (const entry of entries) {
+    const match = entry.match(/^(bar|\d+(?:\.\d+)?)\s*%?\s*[x×*]\s*(\d+)$/i);
+    if (!match) return null;
+    const reps = parseInt(match[2], 10);
+    if (reps < 1) return null;
+    if (match[1].toLowerCase() === 'bar') {
+      steps.push({ bar: true, reps });
+    } else {
+      const pct = parseFloat(match[1]);
+      if (pct <= 0 || pct >= 100) return null;
+      steps.push({ pct, reps });
+    }
+  }
+  return steps;
+}
+
+/**
+ * Format warm-up steps for editing
+ * @param {{bar?: boolean, pct?: number, reps: number}[]} steps - Template steps
+ * @returns {string} e.g. "bar x10, 40% x5"
+ */
+export function formatWarmupSteps(steps) {
+  return steps.map(step => `${step.bar ? 'bar' : step.pct + '%'} x${step.reps}`).join(', ');
+}
+
+/**
+ * Steps for a template, preferring the user's edits
+ * @param {string} template - Key of WARMUP_TEMPLATES
+ * @param {Object} [overrides] - Edited steps keyed by template
+ * @returns {Object[]} Steps (the default template's for an unknown key)
+ */
+export function getWarmupSteps(template, overrides = {}) {
+  if (Array.isArray(overrides[template])) return overrides[template];
+  return (WARMUP_TEMPLATES[template] || WARMUP_TEMPLATES[DEFAULT_WARMUP_TEMPLATE]).steps;
+}
+
+/**
+ * Load the selected template and edited steps
+ * @param {Storage} [storage] - Storage backend
+ * @returns {{template: string, overrides: Object}} Saved settings or defaults
+ */
+export function loadWarmupSettings(storage) {
+  const settings = loadJSON(WARMUP_SETTINGS_KEY, null, storage) || {};
+  return {
+    template: WARMUP_TEMPLATES[settings.template] ? settings.template : DEFAULT_WARMUP_TEMPLATE,
+    overrides: settings.overrides && typeof settings.overrides === 'object' ? settings.overrides : {}
+  };
+}
+
+/**
+ * Save the selected template and edited steps
+ * @param {{template: string, overrides: Object}} settings - Warm-up settings
+ * @param {Storage} [storage] - Storage backend
+ * @returns {boolean} True if saved
+ */
+export function saveWarmupSettings(settings, storage) {
+  return saveJSON(WARMUP_SETTINGS_KEY, settings, storage);
+}
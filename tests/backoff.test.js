@@ -0,0 +1,134 @@
+import { describe, test, expect } from 'vitest';
+import { BACKOFF_TYPES, MAX_DROPS, calculateBackoff } from '../src/backoff.js';
+import { estimateE1RM, evaluateWeight, getWeightForReps } from '../src/engine.js';
+
+const barbell = { baseWeight: 0, increment: 5 };
+// 300 x 3 @ 9 -> e1RM ~330
+const e1RM = estimateE1RM({ weight: 300, reps: 3, rpe: 9 });
+const top = { e1RM, topWeight: 300, equipment: barbell };
+
+describe('BACKOFF_TYPES', () => {
+  test('lists the three back-off types', () => {
+    expect(Object.keys(BACKOFF_TYPES)).toEqual(['percent', 'rpe', 'dropset']);
+  });
+});
+
+describe('calculateBackoff - percent', () => {
+  test('drops the top set weight and rounds to the equipment', () => {
+    const { sets, totalReps } = calculateBackoff({ ...top, type: 'percent', dropPct: 12, rpe: 8 });
+    // 300 * 0.88 = 264 -> 265 or 260
+    expect([260, 265]).toContain(sets[0].weight);
+    const expected = evaluateWeight(e1RM, sets[0].weight, 8);
+    expect(sets[0].reps).toBe(expected.reps);
+    expect(totalReps).toBe(sets[0].reps);
+  });
+
+  test('respects the rounding mode', () => {
+    const down = calculateBackoff({ ...top, type: 'percent', dropPct: 12, rpe: 8, roundingMode: 'down' });
+    const up = calculateBackoff({ ...top, type: 'percent', dropPct: 12, rpe: 8, roundingMode: 'up' });
+    expect(down.sets[0].weight).toBe(260);
+    expect(up.sets[0].weight).toBe(265);
+  });
+
+  test('reports the actual drop including the base weight', () => {
+    const sled = { baseWeight: 100, increment: 10 };
+    const sledE1RM = estimateE1RM({ weight: 300, reps: 5, rpe: 8 }, 100);
+    const { sets } = calculateBackoff({ e1RM: sledE1RM, topWeight: 300, equipment: sled, type: 'percent', dropPct: 10, rpe: 8 });
+    // 400 total * 0.9 = 360 -> 260 loaded
+    expect(sets[0].weight).toBe(260);
+    expect(sets[0].drop).toBe(10);
+  });
+
+  test('never goes below an empty base', () => {
+    const sled = { baseWeight: 100, increment: 10 };
+    const { sets } = calculateBackoff({ e1RM: 300, topWeight: 10, equipment: sled, type: 'percent', dropPct: 50, rpe: 8 });
+    expect(sets[0].weight).toBe(0);
+  });
+
+  test('works without equipment', () => {
+    const { sets } = calculateBackoff({ e1RM, topWeight: 300, type: 'percent', dropPct: 10, rpe: 8 });
+    expect(sets[0].weight).toBe(270);
+    expect(sets[0].drop).toBe(10);
+  });
+});
+
+describe('calculateBackoff - reps at RPE', () => {
+  test('finds the weight for the reps at the RPE', () => {
+    const { sets } = calculateBackoff({ ...top, type: 'rpe', reps: 5, rpe: 8 });
+    const exact = getWeightForReps(e1RM, 5, 8);
+    expect(Math.abs(sets[0].weight - exact)).toBeLessThanOrEqual(5);
+    expect(sets[0].weight % 5).toBe(0);
+    expect(sets[0].reps).toBe(5);
+    expect(sets[0].drop).toBeGreaterThan(0);
+  });
+
+  test('rounds reps down with max-rpe rounding', () => {
+    const { sets } = calculateBackoff({ ...top, type: 'rpe', reps: 5, rpe: 8, roundingMode: 'max-rpe' });
+    const weightUp = Math.ceil(getWeightForReps(e1RM, 5, 8) / 5) * 5;
+    const repsUp = evaluateWeight(e1RM, weightUp, 8, 0, undefined, 'down').reps;
+    expect(sets[0].weight).toBeGreaterThanOrEqual(weightUp);
+    expect(sets[0].reps).toBe(repsUp);
+    expect(evaluateWeight(e1RM, sets[0].weight + 5, 8, 0, undefined, 'down').reps).toBeLessThan(repsUp);
+    expect(sets[0].rpe).toBeLessThanOrEqual(8);
+  });
+
+  test('uses enumerated weights', () => {
+    const dumbbells = { baseWeight: 0, weights: [50, 60, 70, 80] };
+    const dbE1RM = estimateE1RM({ weight: 80, reps: 8, rpe: 9 });
+    const { sets } = calculateBackoff({ e1RM: dbE1RM, topWeight: 80, equipment: dumbbells, type: 'rpe', reps: 12, rpe: 8 });
+    expect(dumbbells.weights).toContain(sets[0].weight);
+  });
+});
+
+describe('calculateBackoff - drop set', () => {
+  test('starts with the top set and drops until the rep total', () => {
+    const { sets, totalReps } = calculateBackoff({ ...top, type: 'dropset', dropPct: 10, rpe: 10, totalReps: 15 });
+    expect(sets[0]).toMatchObject({ weight: 300, drop: 0 });
+    expect(totalReps).toBe(15);
+    sets.slice(1).forEach((set, i) => {
+      expect(set.weight).toBeLessThan(sets[i].weight);
+      expect(set.weight % 5).toBe(0);
+    });
+  });
+
+  test('never goes past the target RPE', () => {
+    const { sets } = calculateBackoff({ ...top, type: 'dropset', dropPct: 10, rpe: 10, totalReps: 30 });
+    sets.forEach(set => {
+      expect(set.rpe).toBeLessThanOrEqual(10);
+    });
+  });
+
+  test('carries reps over between drops', () => {
+    const { sets } = calculateBackoff({ ...top, type: 'dropset', dropPct: 10, rpe: 10, totalReps: 50 });
+    // Reps so far equal the reps to failure at each weight (rounded down)
+    let done = 0;
+    sets.forEach(set => {
+      done += set.reps;
+      const fresh = evaluateWeight(e1RM, set.weight, 10);
+      expect(done).toBeLessThanOrEqual(Math.ceil(fresh.exactReps));
+    });
+  });
+
+  test('stops after MAX_DROPS drops', () => {
+    const { sets, totalReps } = calculateBackoff({ ...top, type: 'dropset', dropPct: 1, rpe: 10, totalReps: 50 });
+    expect(sets.length).toBe(MAX_DROPS + 1);
+    expect(totalReps).toBeLessThan(50);
+  });
+
+  test('steps down when a drop rounds back to the same weight', () => {
+    const { sets } = calculateBackoff({ ...top, type: 'dropset', dropPct: 0.5, rpe: 10, totalReps: 12 });
+    expect(sets[1].weight).toBe(295);
+  });
+
+  test('stops when the equipment cannot go lower', () => {
+    const dumbbells = { baseWeight: 0, weights: [20, 25] };
+    const dbE1RM = estimateE1RM({ weight: 25, reps: 10, rpe: 10 });
+    const { sets } = calculateBackoff({ e1RM: dbE1RM, topWeight: 25, equipment: dumbbells, type: 'dropset', dropPct: 20, rpe: 10, totalReps: 50 });
+    expect(sets.map(set => set.weight)).toEqual([25, 20]);
+  });
+
+  test('stops at an empty bar without a base weight', () => {
+    const { sets } = calculateBackoff({ e1RM: 11, topWeight: 10, equipment: barbell, type: 'dropset', dropPct: 50, rpe: 10, totalReps: 50 });
+    expect(sets.map(set => set.weight)).toEqual([10, 5]);
+  });
+});
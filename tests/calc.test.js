@@ -1,5 +1,6 @@
 import { describe, test, expect } from 'vitest';
-import { getPct, getRepsFromPct } from '../src/calc.js';
+import { getPct, getRepsFromPct, getEffectiveReps, getRPEFromPct } from '../src/calc.js';
+import { FORMULAS } from '../src/formulas.js';
 
 describe('getPct', () => {
   test('calculates percentage correctly using Berger equation', () => {
@@ -64,3 +65,64 @@ describe('getPct and getRepsFromPct round-trip consistency', () => {
     });
   });
 });
+
+describe('formula selection', () => {
+  test('getPct uses the selected formula', () => {
+    // 5 reps @ RPE 8 = 7 effective reps
+    expect(getPct(5, 8, 'epley')).toBeCloseTo(FORMULAS.epley.pct(7), 10);
+    expect(getPct(5, 8, 'brzycki')).toBeCloseTo(FORMULAS.brzycki.pct(7), 10);
+  });
+
+  test('getRepsFromPct uses the selected formula', () => {
+    const pct = FORMULAS.lander.pct(7);
+    expect(getRepsFromPct(pct, 8, 'lander')).toBeCloseTo(5, 10);
+  });
+
+  test('accepts formula objects', () => {
+    const formula = { label: 'Linear', pct: r => 100 + r, reps: pct => pct - 100 };
+    expect(getPct(5, 10, formula)).toBe(105);
+    expect(getRepsFromPct(105, 10, formula)).toBe(5);
+  });
+
+  test('round-trips for every formula', () => {
+    Object.keys(FORMULAS).forEach(id => {
+      const pct = getPct(6, 8.5, id);
+      expect(getRepsFromPct(pct, 8.5, id), id).toBeCloseTo(6, 8);
+    });
+  });
+});
+
+describe('getEffectiveReps', () => {
+  test('defaults to inverse Berger equation', () => {
+    expect(getEffectiveReps(120)).toBeCloseTo(1 + Math.log(1.2) / 0.0262, 10);
+  });
+
+  test('does not clamp negative results', () => {
+    expect(getEffectiveReps(90)).toBeLessThan(0);
+  });
+
+  test('caps light weights at the top of the formula domain', () => {
+    expect(FORMULAS.mayhew.reps(500)).toBe(Infinity);
+    expect(getEffectiveReps(500, 'mayhew')).toBe(60);
+    expect(getEffectiveReps(500, 'lombardi')).toBe(60);
+    expect(getRPEFromPct(500, 5, 'wathan')).toBe(-45);
+  });
+});
+
+describe('getRPEFromPct', () => {
+  test('is the RPE at which getRepsFromPct returns the given reps', () => {
+    const pct = getPct(5, 8);
+    expect(getRPEFromPct(pct, 5)).toBeCloseTo(8, 10);
+  });
+
+  test('adjusts RPE when reps are rounded', () => {
+    // One more rep than predicted at RPE 8 is one RPE harder
+    const pct = getPct(5, 8);
+    expect(getRPEFromPct(pct, 6)).toBeCloseTo(9, 10);
+  });
+
+  test('uses the selected formula', () => {
+    const pct = getPct(5, 8, 'wathan');
+    expect(getRPEFromPct(pct, 5, 'wathan')).toBeCloseTo(8, 10);
+  });
+});
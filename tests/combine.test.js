@@ -0,0 +1,112 @@
+import { describe, test, expect } from 'vitest';
+import {
+  COMBINE_STRATEGIES,
+  RECENCY_DECAY,
+  median,
+  getEstimateWeight,
+  findOutliers,
+  combineEstimates
+} from '../src/combine.js';
+
+const estimates = [
+  { e1RM: 120, rpe: 8 },
+  { e1RM: 130, rpe: 9 },
+  { e1RM: 125, rpe: 10 }
+];
+
+describe('COMBINE_STRATEGIES', () => {
+  test('lists the available strategies', () => {
+    expect(Object.keys(COMBINE_STRATEGIES)).toEqual(['recent', 'mean', 'median', 'weighted']);
+  });
+});
+
+describe('median', () => {
+  test('returns middle value for odd counts', () => {
+    expect(median([3, 1, 2])).toBe(2);
+  });
+
+  test('averages middle values for even counts', () => {
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+
+  test('does not mutate input', () => {
+    const values = [3, 1, 2];
+    median(values);
+    expect(values).toEqual([3, 1, 2]);
+  });
+
+  test('returns NaN for empty list', () => {
+    expect(median([])).toBeNaN();
+  });
+});
+
+describe('getEstimateWeight', () => {
+  test('most recent set at RPE 10 has weight 1', () => {
+    expect(getEstimateWeight(2, 3, 10)).toBe(1);
+  });
+
+  test('decays with age', () => {
+    expect(getEstimateWeight(1, 3, 10)).toBeCloseTo(RECENCY_DECAY, 10);
+    expect(getEstimateWeight(0, 3, 10)).toBeCloseTo(RECENCY_DECAY ** 2, 10);
+  });
+
+  test('decreases with reps in reserve', () => {
+    expect(getEstimateWeight(2, 3, 8)).toBeCloseTo(1 / 3, 10);
+  });
+
+  test('treats RPE above 10 as no reps in reserve', () => {
+    expect(getEstimateWeight(2, 3, 11)).toBe(1);
+  });
+});
+
+describe('findOutliers', () => {
+  test('flags an estimate far from the rest', () => {
+    expect(findOutliers([130, 131, 129, 150])).toEqual([false, false, false, true]);
+  });
+
+  test('does not flag small relative deviations', () => {
+    // 134 is many MADs from the median but within 5%
+    expect(findOutliers([130, 130, 130, 134])).toEqual([false, false, false, false]);
+  });
+
+  test('does not flag when the spread is wide everywhere', () => {
+    expect(findOutliers([100, 120, 140, 160])).toEqual([false, false, false, false]);
+  });
+
+  test('needs at least three estimates', () => {
+    expect(findOutliers([100, 200])).toEqual([false, false]);
+  });
+});
+
+describe('combineEstimates', () => {
+  test('defaults to most recent', () => {
+    expect(combineEstimates(estimates)).toBe(125);
+    expect(combineEstimates(estimates, 'recent')).toBe(125);
+  });
+
+  test('mean', () => {
+    expect(combineEstimates(estimates, 'mean')).toBe(125);
+  });
+
+  test('median', () => {
+    expect(combineEstimates(estimates, 'median')).toBe(125);
+    expect(combineEstimates([...estimates, { e1RM: 200, rpe: 9 }], 'median')).toBe(127.5);
+  });
+
+  test('weighted by recency and RPE', () => {
+    const weights = [getEstimateWeight(0, 3, 8), getEstimateWeight(1, 3, 9), getEstimateWeight(2, 3, 10)];
+    const expected = (120 * weights[0] + 130 * weights[1] + 125 * weights[2]) /
+      (weights[0] + weights[1] + weights[2]);
+    expect(combineEstimates(estimates, 'weighted')).toBeCloseTo(expected, 10);
+  });
+
+  test('single estimate is returned by every strategy', () => {
+    Object.keys(COMBINE_STRATEGIES).forEach(strategy => {
+      expect(combineEstimates([{ e1RM: 140, rpe: 8 }], strategy)).toBeCloseTo(140, 10);
+    });
+  });
+
+  test('returns NaN for no estimates', () => {
+    expect(combineEstimates([], 'mean')).toBeNaN();
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest';
+import { parseCSV, formatCSVField, formatCSV } from '../src/csv.js';
+
+describe('parseCSV', () => {
+  test('splits rows and fields', () => {
+    expect(parseCSV('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  test('accepts CRLF and a missing final newline', () => {
+    expect(parseCSV('a,b\r\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('keeps empty fields and skips blank lines', () => {
+    expect(parseCSV('a,,c\n\n,b,\n')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+  });
+
+  test('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCSV('"Squat, high bar","say ""hi""","two\nlines"\n')).toEqual([['Squat, high bar', 'say "hi"', 'two\nlines']]);
+  });
+
+  test('strips a byte order mark', () => {
+    expect(parseCSV('\uFEFFDate,Reps\n')).toEqual([['Date', 'Reps']]);
+  });
+
+  test('returns no rows for empty text', () => {
+    expect(parseCSV('')).toEqual([]);
+  });
+});
+
+describe('formatCSVField', () => {
+  test('leaves plain values unquoted', () => {
+    expect(formatCSVField('Squat')).toBe('Squat');
+    expect(formatCSVField(102.5)).toBe('102.5');
+  });
+
+  test('quotes commas, quotes and line breaks', () => {
+    expect(formatCSVField('Squat, high bar')).toBe('"Squat, high bar"');
+    expect(formatCSVField('say "hi"')).toBe('"say ""hi"""');
+    expect(formatCSVField('two\nlines')).toBe('"two\nlines"');
+  });
+
+  test('writes null and undefined as empty', () => {
+    expect(formatCSVField(null)).toBe('');
+    expect(formatCSVField(undefined)).toBe('');
+  });
+});
+
+describe('formatCSV', () => {
+  test('joins rows with CRLF', () => {
+    expect(formatCSV([['a', 'b'], [1, 'x,y']])).toBe('a,b\r\n1,"x,y"\r\n');
+  });
+
+  test('round-trips through parseCSV', () => {
+    const rows = [['Exercise', 'Notes'], ['Bench', 'paused, "comp"\nwide grip']];
+    expect(parseCSV(formatCSV(rows))).toEqual(rows);
+  });
+});
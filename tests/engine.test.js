@@ -0,0 +1,596 @@
+import { describe, test, expect } from 'vitest';
+import {
+  ROUNDING_MODES,
+  roundToTenth,
+  estimateE1RM,
+  estimateCombinedE1RM,
+  getWeightForReps,
+  getWeightForPercent,
+  getRepsAtWeight,
+  getRPEAtWeight,
+  describeRPE,
+  evaluateWeight,
+  getRepsRounding,
+  chooseClosestWeight,
+  roundExactWeight,
+  checkReachable,
+  findOutOfRange,
+  findPredictionOutOfRange,
+  calculateSet
+} from '../src/engine.js';
+import { getPct, getRepsFromPct } from '../src/calc.js';
+import { LINEAR } from './helpers/curves.js';
+
+const REFERENCE = { weight: 100, reps: 10, rpe: 9 };
+
+describe('ROUNDING_MODES', () => {
+  test('lists the rounding modes in toggle order', () => {
+    expect(Object.keys(ROUNDING_MODES)).toEqual(['down', 'closest', 'up', 'max-rpe', 'min-reps']);
+  });
+});
+
+describe('roundToTenth', () => {
+  test('rounds to one decimal place', () => {
+    expect(roundToTenth(114.04)).toBe(114);
+    expect(roundToTenth(7.25)).toBe(7.3);
+    expect(roundToTenth(7.21)).toBe(7.2);
+  });
+});
+
+describe('estimateE1RM', () => {
+  test('scales total weight by reference percentage', () => {
+    expect(estimateE1RM(REFERENCE)).toBeCloseTo(100 * getPct(10, 9) / 100, 10);
+  });
+
+  test('includes equipment base weight', () => {
+    expect(estimateE1RM(REFERENCE, 25)).toBeCloseTo(125 * getPct(10, 9) / 100, 10);
+  });
+
+  test('uses the selected formula', () => {
+    expect(estimateE1RM(REFERENCE, 0, 'epley')).toBeCloseTo(getPct(10, 9, 'epley'), 10);
+  });
+});
+
+describe('estimateCombinedE1RM', () => {
+  const references = [
+    { weight: 100, reps: 10, rpe: 9 },
+    { weight: 100, reps: 10, rpe: 9 },
+    { weight: 105, reps: 8, rpe: 9 },
+    { weight: 100, reps: 10, rpe: 6 }
+  ];
+
+  test('returns each set with its e1RM', () => {
+    const { estimates } = estimateCombinedE1RM(references, 25);
+    expect(estimates).toHaveLength(4);
+    expect(estimates[0]).toMatchObject(references[0]);
+    expect(estimates[2].e1RM).toBeCloseTo(estimateE1RM(references[2], 25), 10);
+  });
+
+  test('flags outliers', () => {
+    const { estimates } = estimateCombinedE1RM(references);
+    expect(estimates.map(estimate => estimate.outlier)).toEqual([false, false, false, true]);
+  });
+
+  test('defaults to the most recent set', () => {
+    const { e1RM } = estimateCombinedE1RM(references);
+    expect(e1RM).toBeCloseTo(estimateE1RM(references[3]), 10);
+  });
+
+  test('applies the combination strategy', () => {
+    const { e1RM, estimates } = estimateCombinedE1RM(references, 0, undefined, 'median');
+    const sorted = estimates.map(estimate => estimate.e1RM).sort((a, b) => a - b);
+    expect(e1RM).toBeCloseTo((sorted[1] + sorted[2]) / 2, 10);
+  });
+});
+
+describe('getWeightForReps', () => {
+  test('returns plate weight for reps at RPE', () => {
+    const e1RM = estimateE1RM(REFERENCE, 25);
+    const weight = getWeightForReps(e1RM, 5, 9, 25);
+    expect((weight + 25) * getPct(5, 9) / 100).toBeCloseTo(e1RM, 10);
+  });
+
+  test('round-trips the reference set', () => {
+    const e1RM = estimateE1RM(REFERENCE, 167);
+    expect(getWeightForReps(e1RM, 10, 9, 167)).toBeCloseTo(100, 10);
+  });
+});
+
+describe('getWeightForPercent', () => {
+  test('takes the percentage off the total and removes the base weight', () => {
+    expect(getWeightForPercent(200, 80)).toBe(160);
+    expect(getWeightForPercent(200, 80, 45)).toBe(115);
+  });
+
+  test('never goes below the empty bar', () => {
+    expect(getWeightForPercent(100, 30, 45)).toBe(0);
+  });
+});
+
+describe('getRepsAtWeight', () => {
+  test('round-trips the reference set', () => {
+    const e1RM = estimateE1RM(REFERENCE, 25);
+    expect(getRepsAtWeight(e1RM, 100, 9, 25)).toBeCloseTo(10, 10);
+  });
+
+  test('never returns negative reps', () => {
+    expect(getRepsAtWeight(100, 150, 5)).toBe(0);
+  });
+});
+
+describe('getRPEAtWeight', () => {
+  test('round-trips the reference set', () => {
+    const e1RM = estimateE1RM(REFERENCE, 25);
+    expect(getRPEAtWeight(e1RM, 100, 10, 25)).toBeCloseTo(9, 10);
+  });
+
+  test('is unclamped', () => {
+    // 100 of 200 allows 10 reps to failure
+    expect(getRPEAtWeight(200, 100, 8, 0, LINEAR)).toBeCloseTo(8, 10);
+    expect(getRPEAtWeight(200, 100, 12, 0, LINEAR)).toBeCloseTo(12, 10);
+    expect(getRPEAtWeight(200, 40, 5, 0, LINEAR)).toBeCloseTo(-25, 10);
+  });
+});
+
+describe('describeRPE', () => {
+  test('keeps RPEs on the scale', () => {
+    expect(describeRPE(8.04)).toEqual({ rpe: 8, rir: 2, status: 'ok' });
+    expect(describeRPE(10)).toEqual({ rpe: 10, rir: 0, status: 'ok' });
+    expect(describeRPE(0)).toEqual({ rpe: 0, rir: 10, status: 'ok' });
+  });
+
+  test('reports reps short beyond failure', () => {
+    expect(describeRPE(11.5)).toEqual({ rpe: 10, rir: -1.5, status: 'failure' });
+  });
+
+  test('reports sets easier than the scale', () => {
+    expect(describeRPE(-2)).toEqual({ rpe: 0, rir: 12, status: 'easy' });
+  });
+});
+
+describe('evaluateWeight', () => {
+  test('rounds reps to an integer and adjusts RPE', () => {
+    // reps at 98: 2000 / 98 - 10 = 10.41 -> 10 reps, RPE 10 - 0.41
+    const result = evaluateWeight(200, 98, 10, 0, LINEAR);
+    expect(result.weight).toBe(98);
+    expect(result.exactReps).toBeCloseTo(2000 / 98 - 10, 10);
+    expect(result.reps).toBe(10);
+    expect(result.rpe).toBeCloseTo(10 - (2000 / 98 - 20), 10);
+  });
+
+  test('keeps target RPE when reps are already integer', () => {
+    const e1RM = estimateE1RM(REFERENCE);
+    const result = evaluateWeight(e1RM, 100, 9);
+    expect(result.reps).toBe(10);
+    expect(result.rpe).toBeCloseTo(9, 10);
+    expect(evaluateWeight(e1RM, 100, 9, 0, undefined, 'down').reps).toBe(10);
+  });
+
+  test('rounds reps down to stay at or below the target RPE', () => {
+    // reps at 97: 2000 / 97 - 10 = 10.62 -> 11 reps @ 10.4 closest, 10 reps @ 9.4 down
+    expect(evaluateWeight(200, 97, 10, 0, LINEAR).reps).toBe(11);
+    const result = evaluateWeight(200, 97, 10, 0, LINEAR, 'down');
+    expect(result.reps).toBe(10);
+    expect(result.rpe).toBeCloseTo(10 - (2000 / 97 - 20), 10);
+  });
+
+  test('rounds reps down at display precision', () => {
+    // reps at 100.001: 9.9999 -> 10 reps, not 9
+    expect(evaluateWeight(200, 100.001, 10, 0, LINEAR, 'down').reps).toBe(10);
+  });
+});
+
+describe('getRepsRounding', () => {
+  test('rounds reps down for the modes that keep to the target RPE', () => {
+    expect(getRepsRounding('max-rpe')).toBe('down');
+    expect(getRepsRounding('min-reps')).toBe('down');
+    expect(getRepsRounding('closest')).toBe('closest');
+    expect(getRepsRounding('up')).toBe('closest');
+    expect(getRepsRounding(undefined)).toBe('closest');
+  });
+});
+
+describe('chooseClosestWeight', () => {
+  test('prefers the weight whose integer reps are closest to exact', () => {
+    // 100 -> 10 reps, 125 -> 6 reps
+    expect(chooseClosestWeight(100, 125, { weight: 110, reps: 9, rpe: 10 }, 200, 0, LINEAR)).toBe(100);
+    expect(chooseClosestWeight(100, 125, { weight: 110, reps: 7, rpe: 10 }, 200, 0, LINEAR)).toBe(125);
+  });
+
+  test('uses adjusted RPE as tiebreaker when reps are equal', () => {
+    // 98 -> 10 reps @ 9.6, 100 -> 10 reps @ 10, 102 -> 10 reps @ 10.4
+    expect(chooseClosestWeight(98, 100, { weight: 99, reps: 10, rpe: 10 }, 200, 0, LINEAR)).toBe(100);
+    expect(chooseClosestWeight(100, 102, { weight: 101, reps: 10, rpe: 10 }, 200, 0, LINEAR)).toBe(100);
+  });
+
+  test('uses weight closest to exact when reps and RPE are equal', () => {
+    // Flat curve: every weight gives the same reps and RPE
+    const flat = { label: 'Flat', pct: () => 100, reps: () => 5 };
+    expect(chooseClosestWeight(100, 110, { weight: 104, reps: 5, rpe: 10 }, 200, 0, flat)).toBe(100);
+    expect(chooseClosestWeight(100, 110, { weight: 106, reps: 5, rpe: 10 }, 200, 0, flat)).toBe(110);
+    expect(chooseClosestWeight(100, 110, { weight: 105, reps: 5, rpe: 10 }, 200, 0, flat)).toBe(100);
+  });
+
+  test('accounts for base weight', () => {
+    // Total weights 100 and 125 with a 50 lb base
+    expect(chooseClosestWeight(50, 75, { weight: 60, reps: 9, rpe: 10 }, 200, 50, LINEAR)).toBe(50);
+  });
+});
+
+describe('roundExactWeight', () => {
+  const exact = { weight: 114, reps: 5, rpe: 9 };
+  const e1RM = estimateE1RM(REFERENCE);
+  const equipment = { baseWeight: 0, increment: 10 };
+
+  test('rounds down', () => {
+    expect(roundExactWeight(exact, equipment, 'down', e1RM)).toBe(110);
+  });
+
+  test('rounds up', () => {
+    expect(roundExactWeight(exact, equipment, 'up', e1RM)).toBe(120);
+  });
+
+  test('closest matches chooseClosestWeight', () => {
+    expect(roundExactWeight(exact, equipment, 'closest', e1RM))
+      .toBe(chooseClosestWeight(110, 120, exact, e1RM, 0));
+  });
+
+  test('works with enumerated weights', () => {
+    const dumbbells = { baseWeight: 0, weights: [100, 105, 110, 115, 120] };
+    expect(roundExactWeight({ ...exact, weight: 112 }, dumbbells, 'down', e1RM)).toBe(110);
+    expect(roundExactWeight({ ...exact, weight: 112 }, dumbbells, 'up', e1RM)).toBe(115);
+  });
+
+  test('defaults base weight to 0', () => {
+    expect(roundExactWeight(exact, { increment: 10 }, 'closest', e1RM))
+      .toBe(chooseClosestWeight(110, 120, exact, e1RM, 0));
+  });
+
+  test('max-rpe takes the heavier weight with reps rounded down', () => {
+    // 95 -> 11.05 reps, 100 -> 10 reps at RPE 10
+    const linearExact = { weight: 97, reps: 10.6, rpe: 10 };
+    expect(roundExactWeight(linearExact, { increment: 5 }, 'max-rpe', 200, LINEAR)).toBe(100);
+    expect(roundExactWeight(linearExact, { weights: [90, 100, 110] }, 'max-rpe', 200, LINEAR)).toBe(100);
+  });
+
+  test('max-rpe keeps stepping up while the reps stay the same', () => {
+    // 103 -> 9.42 reps, 105 -> 9.05, 106 -> 8.87, 108 -> 8.52 at RPE 10
+    const linearExact = { weight: 102, reps: 9.6, rpe: 10 };
+    expect(roundExactWeight(linearExact, { increment: 1 }, 'max-rpe', 200, LINEAR)).toBe(105);
+    expect(roundExactWeight(linearExact, { weights: [100, 103, 105, 108] }, 'max-rpe', 200, LINEAR)).toBe(105);
+    expect(roundExactWeight(linearExact, { increment: 1, maxWeight: 104 }, 'max-rpe', 200, LINEAR)).toBe(104);
+  });
+
+  test('max-rpe falls back to the lighter weight when the heavier allows no rep', () => {
+    // 200 -> 0 reps at RPE 10
+    expect(roundExactWeight({ weight: 198, reps: 0.1, rpe: 10 }, { increment: 5 }, 'max-rpe', 200, LINEAR)).toBe(195);
+  });
+
+  test('min-reps takes the lighter weight', () => {
+    const linearExact = { weight: 97, reps: 10.6, rpe: 10 };
+    expect(roundExactWeight(linearExact, { increment: 5 }, 'min-reps', 200, LINEAR)).toBe(95);
+    expect(roundExactWeight(linearExact, { weights: [90, 100, 110] }, 'min-reps', 200, LINEAR)).toBe(90);
+  });
+});
+
+describe('checkReachable', () => {
+  test('reports a weight past the equipment bounds', () => {
+    const dumbbells = { weights: [10, 20, 30] };
+    expect(checkReachable(35, dumbbells)).toEqual({ direction: 'above', limit: 30 });
+    expect(checkReachable(5, dumbbells)).toEqual({ direction: 'below', limit: 10 });
+    expect(checkReachable(25, dumbbells)).toBe(null);
+    expect(checkReachable(30, dumbbells)).toBe(null);
+  });
+
+  test('uses increment bounds, never below 0', () => {
+    expect(checkReachable(101, { increment: 5, maxWeight: 100 })).toEqual({ direction: 'above', limit: 100 });
+    expect(checkReachable(-10, { increment: 5 })).toEqual({ direction: 'below', limit: 0 });
+    expect(checkReachable(1000, {})).toBe(null);
+  });
+});
+
+describe('findOutOfRange', () => {
+  test('reports the first reference set outside the formula domain', () => {
+    const references = [{ weight: 100, reps: 5, rpe: 8 }, { weight: 100, reps: 40, rpe: 10 }];
+    expect(findOutOfRange('reps', references, { weight: 100, rpe: 8 }, 'brzycki')).toEqual({
+      set: 'reference', index: 1, effectiveReps: 40, label: 'Brzycki', domain: { min: 0, max: 30 }
+    });
+    expect(findOutOfRange('reps', references, { weight: 100, rpe: 8 }, 'berger')).toBe(null);
+  });
+
+  test('checks the target only when its reps are an input with a target RPE', () => {
+    const references = [{ weight: 100, reps: 5, rpe: 8 }];
+    expect(findOutOfRange('weight', references, { reps: 35, rpe: 9 }, 'lander')).toMatchObject({ set: 'target', effectiveReps: 36 });
+    expect(findOutOfRange('rpe', references, { weight: 50, reps: 35 }, 'lander')).toBe(null);
+  });
+});
+
+describe('findPredictionOutOfRange', () => {
+  test('reports a target weight too light for the formula', () => {
+    const e1RM = estimateE1RM({ weight: 100, reps: 10, rpe: 10 }, 0, 'mayhew');
+    expect(findPredictionOutOfRange(e1RM, 20, 0, 'mayhew')).toEqual({
+      set: 'target', index: 0, effectiveReps: Infinity, label: 'Mayhew', domain: { min: 0, max: 60 }
+    });
+    expect(findPredictionOutOfRange(e1RM, 20, 0, 'lombardi').effectiveReps).toBeGreaterThan(60);
+    expect(findPredictionOutOfRange(e1RM, 80, 0, 'mayhew')).toBe(null);
+  });
+
+  test('accepts weights above the 1RM', () => {
+    expect(findPredictionOutOfRange(100, 120, 0, 'lombardi')).toBe(null);
+  });
+});
+
+describe('calculateSet', () => {
+  test('calculates weight from target reps', () => {
+    const result = calculateSet({
+      mode: 'weight',
+      reference: REFERENCE,
+      target: { reps: 5, rpe: 9 },
+      equipment: { baseWeight: 0, increment: 0.5 }
+    });
+
+    const e1RM = estimateE1RM(REFERENCE);
+    expect(result.e1RM).toBeCloseTo(e1RM, 10);
+    expect(result.exact).toEqual({ weight: roundToTenth(e1RM * 100 / getPct(5, 9)), reps: 5, rpe: 9 });
+    expect(result.rounded.reps).toBe(5);
+  });
+
+  test('calculates reps from target weight', () => {
+    const result = calculateSet({
+      mode: 'reps',
+      reference: REFERENCE,
+      target: { weight: 120, rpe: 9 },
+      equipment: { baseWeight: 167, increment: 5 }
+    });
+
+    const e1RM = estimateE1RM(REFERENCE, 167);
+    expect(result.exact.weight).toBe(120);
+    expect(result.exact.reps).toBe(roundToTenth(getRepsFromPct(e1RM * 100 / 287, 9)));
+    expect(result.rounded.weight).toBe(120);
+    expect(result.rounded.reps).toBe(Math.round(result.exact.reps));
+  });
+
+  test('calculates RPE from target weight and reps', () => {
+    const result = calculateSet({
+      mode: 'rpe',
+      reference: REFERENCE,
+      target: { weight: 100, reps: 8 },
+      equipment: { baseWeight: 0, increment: 5 }
+    });
+
+    expect(result.exact).toEqual({ weight: 100, reps: 8, rpe: 7 });
+    expect(result.rounded).toEqual({ weight: 100, reps: 8, rpe: 7 });
+  });
+
+  test('predicts RPE at the rounded weight for the target reps', () => {
+    const input = {
+      mode: 'rpe',
+      reference: REFERENCE,
+      target: { weight: 103, reps: 8 },
+      equipment: { baseWeight: 0, increment: 5 }
+    };
+    const e1RM = estimateE1RM(REFERENCE);
+
+    const down = calculateSet({ ...input, roundingMode: 'down' });
+    expect(down.exact.rpe).toBe(roundToTenth(getRPEAtWeight(e1RM, 103, 8)));
+    expect(down.rounded).toEqual({ weight: 100, reps: 8, rpe: 7 });
+    expect(calculateSet({ ...input, roundingMode: 'up' }).rounded.weight).toBe(105);
+    expect(calculateSet(input).rounded.weight).toBe(chooseClosestWeight(100, 105, down.exact, e1RM, 0));
+  });
+
+  test('never exceeds the target RPE with max-rpe and min-reps rounding', () => {
+    const input = {
+      mode: 'weight',
+      reference: REFERENCE,
+      target: { reps: 5, rpe: 9 },
+      equipment: { baseWeight: 0, increment: 5 }
+    };
+
+    const capped = calculateSet({ ...input, roundingMode: 'max-rpe' });
+    expect(capped.rounded.weight).toBe(calculateSet({ ...input, roundingMode: 'up' }).rounded.weight);
+    expect(capped.rounded.rpe).toBeLessThanOrEqual(9);
+
+    const atLeast = calculateSet({ ...input, roundingMode: 'min-reps' });
+    expect(atLeast.rounded.weight).toBe(calculateSet({ ...input, roundingMode: 'down' }).rounded.weight);
+    expect(atLeast.rounded.reps).toBeGreaterThanOrEqual(5);
+    expect(atLeast.rounded.rpe).toBeLessThanOrEqual(9);
+  });
+
+  test('takes the heaviest weight at the same reps with max-rpe rounding', () => {
+    const result = calculateSet({
+      mode: 'weight',
+      reference: { weight: 225, reps: 5, rpe: 8 },
+      target: { reps: 8, rpe: 8 },
+      equipment: { baseWeight: 45, increment: 5 },
+      roundingMode: 'max-rpe'
+    });
+    expect(result.rounded).toEqual({ weight: 210, reps: 7, rpe: 7.8 });
+  });
+
+  test('rounds reps down in reps mode with max-rpe rounding', () => {
+    const input = { mode: 'reps', reference: REFERENCE, target: { weight: 103, rpe: 9 }, roundingMode: 'max-rpe' };
+    const result = calculateSet(input);
+    expect(result.rounded.reps).toBe(Math.floor(result.exact.reps));
+    expect(result.rounded.rpe).toBeLessThanOrEqual(9);
+  });
+
+  test('rounds down for max-rpe and min-reps when predicting RPE', () => {
+    const input = {
+      mode: 'rpe',
+      reference: REFERENCE,
+      target: { weight: 103, reps: 8 },
+      equipment: { baseWeight: 0, increment: 5 }
+    };
+    expect(calculateSet({ ...input, roundingMode: 'max-rpe' }).rounded.weight).toBe(100);
+    expect(calculateSet({ ...input, roundingMode: 'min-reps' }).rounded.weight).toBe(100);
+  });
+
+  test('reports an unreachable weight and evaluates the clamped weight', () => {
+    const dumbbells = { baseWeight: 0, weights: [50, 60, 70] };
+    const reference = { weight: 70, reps: 10, rpe: 9 };
+    const result = calculateSet({ mode: 'weight', reference, target: { reps: 3, rpe: 9 }, equipment: dumbbells });
+    expect(result.exact.weight).toBeGreaterThan(70);
+    expect(result.unreachable).toEqual({ direction: 'above', limit: 70 });
+    expect(result.rounded.weight).toBe(70);
+    expect(result.rounded.reps).toBe(10);
+
+    const light = calculateSet({ mode: 'rpe', reference, target: { weight: 40, reps: 10 }, equipment: dumbbells, roundingMode: 'up' });
+    expect(light.unreachable).toEqual({ direction: 'below', limit: 50 });
+    expect(light.rounded.weight).toBe(50);
+    expect(light.rounded.rpe).toBeGreaterThan(light.exact.rpe);
+    expect(calculateSet({ mode: 'weight', reference, target: { reps: 10, rpe: 9 }, equipment: dumbbells }).unreachable).toBe(null);
+  });
+
+  test('leaves RPE beyond failure unclamped', () => {
+    const result = calculateSet({ mode: 'rpe', reference: REFERENCE, target: { weight: 100, reps: 13 } });
+    expect(result.exact.rpe).toBe(12);
+    expect(describeRPE(result.exact.rpe).status).toBe('failure');
+  });
+
+  test('calculates weight and RPE from a percentage of e1RM', () => {
+    const e1RM = estimateE1RM(REFERENCE, 45);
+    const result = calculateSet({
+      mode: 'percent',
+      reference: REFERENCE,
+      target: { percent: 80, reps: 5 },
+      equipment: { baseWeight: 45, increment: 5 },
+      roundingMode: 'down'
+    });
+
+    const weight = roundToTenth(e1RM * 0.8 - 45);
+    expect(result.exact).toEqual({ weight, reps: 5, rpe: roundToTenth(getRPEAtWeight(e1RM, weight, 5, 45)) });
+    expect(result.rounded.weight).toBe(Math.floor(weight / 5) * 5);
+    expect(result.rounded.reps).toBe(5);
+    expect(result.rounded.rpe).toBe(roundToTenth(getRPEAtWeight(e1RM, result.rounded.weight, 5, 45)));
+  });
+
+  test('reports percentages beyond failure', () => {
+    const result = calculateSet({ mode: 'percent', reference: REFERENCE, target: { percent: 95, reps: 5 } });
+    expect(describeRPE(result.exact.rpe).status).toBe('failure');
+  });
+
+  test('applies rounding mode', () => {
+    const input = {
+      mode: 'weight',
+      reference: REFERENCE,
+      target: { reps: 5, rpe: 9 },
+      equipment: { baseWeight: 0, increment: 10 }
+    };
+
+    expect(calculateSet({ ...input, roundingMode: 'down' }).rounded.weight).toBe(110);
+    expect(calculateSet({ ...input, roundingMode: 'up' }).rounded.weight).toBe(120);
+  });
+
+  test('adjusts rounded RPE for the rounded weight', () => {
+    const result = calculateSet({
+      mode: 'weight',
+      reference: REFERENCE,
+      target: { reps: 5, rpe: 9 },
+      equipment: { baseWeight: 0, increment: 10 },
+      roundingMode: 'down'
+    });
+
+    // Lighter weight at the same reps is easier than target
+    expect(result.rounded.rpe).toBeLessThan(9);
+    expect(result.rounded.rpe).toBe(roundToTenth(result.rounded.rpe));
+  });
+
+  test('defaults to closest rounding and no equipment', () => {
+    const result = calculateSet({
+      mode: 'weight',
+      reference: REFERENCE,
+      target: { reps: 5, rpe: 9 }
+    });
+
+    expect(result.rounded.weight).toBe(result.exact.weight);
+  });
+
+  test('combines several reference sets', () => {
+    const references = [REFERENCE, { weight: 110, reps: 8, rpe: 9 }];
+    const result = calculateSet({
+      mode: 'weight',
+      references,
+      combineStrategy: 'mean',
+      target: { reps: 5, rpe: 9 }
+    });
+
+    const expected = (estimateE1RM(references[0]) + estimateE1RM(references[1])) / 2;
+    expect(result.e1RM).toBeCloseTo(expected, 10);
+    expect(result.estimates).toHaveLength(2);
+  });
+
+  test('single reference set is reported as one estimate', () => {
+    const result = calculateSet({ mode: 'weight', reference: REFERENCE, target: { reps: 5, rpe: 9 } });
+    expect(result.estimates).toHaveLength(1);
+    expect(result.estimates[0].outlier).toBe(false);
+  });
+
+  test('uses the selected formula', () => {
+    const input = {
+      mode: 'weight',
+      reference: REFERENCE,
+      target: { reps: 5, rpe: 9 },
+      equipment: { baseWeight: 0, increment: 0.5 }
+    };
+
+    const berger = calculateSet(input);
+    const brzycki = calculateSet({ ...input, formula: 'brzycki' });
+    expect(brzycki.e1RM).not.toBeCloseTo(berger.e1RM, 2);
+    expect(brzycki.exact.weight).not.toBe(berger.exact.weight);
+  });
+
+  test('returns an out-of-range result instead of nonsense estimates', () => {
+    const input = { mode: 'weight', target: { reps: 5, rpe: 9 }, equipment: { baseWeight: 0, increment: 0.5 } };
+    const cases = [
+      ['brzycki', { weight: 100, reps: 40, rpe: 10 }, 40],
+      ['brzycki', { weight: 100, reps: 30, rpe: 3 }, 37],
+      ['lander', { weight: 100, reps: 30, rpe: 3 }, 37],
+      ['lombardi', { weight: 100, reps: 0, rpe: 10 }, 0]
+    ];
+    cases.forEach(([formula, reference, effectiveReps]) => {
+      const result = calculateSet({ ...input, reference, formula });
+      expect(result, formula).toEqual({ outOfRange: expect.objectContaining({ set: 'reference', index: 0, effectiveReps }) });
+    });
+  });
+
+  test('returns an out-of-range result when the predicted reps are past the formula domain', () => {
+    const input = {
+      mode: 'reps',
+      reference: { weight: 100, reps: 10, rpe: 10 },
+      target: { weight: 20, rpe: 8 },
+      equipment: { baseWeight: 0, increment: 5 }
+    };
+    ['mayhew', 'wathan', 'lombardi', 'berger'].forEach(formula => {
+      expect(calculateSet({ ...input, formula }).outOfRange, formula).toMatchObject({ set: 'target' });
+    });
+    const inRange = calculateSet({ ...input, target: { weight: 80, rpe: 8 }, formula: 'mayhew' });
+    expect(Number.isFinite(inRange.exact.reps)).toBe(true);
+    expect(Number.isFinite(inRange.rounded.rpe)).toBe(true);
+  });
+
+  test('keeps rounded predictions finite when rounding lands on a much lighter weight', () => {
+    const result = calculateSet({
+      mode: 'weight',
+      reference: { weight: 100, reps: 10, rpe: 10 },
+      target: { reps: 5, rpe: 8 },
+      equipment: { baseWeight: 0, weights: [5, 200] },
+      roundingMode: 'down',
+      formula: 'mayhew'
+    });
+    expect(result.rounded.weight).toBe(5);
+    expect(Number.isFinite(result.rounded.reps)).toBe(true);
+    expect(Number.isFinite(result.rounded.rpe)).toBe(true);
+  });
+
+  test('calculates at the edge of the formula domain', () => {
+    const result = calculateSet({
+      mode: 'weight',
+      reference: { weight: 100, reps: 30, rpe: 10 },
+      target: { reps: 5, rpe: 9 },
+      equipment: { baseWeight: 0, increment: 0.5 },
+      formula: 'brzycki'
+    });
+    expect(result.e1RM).toBeCloseTo(100 * 36 / 7, 8);
+    expect(Number.isFinite(result.rounded.weight)).toBe(true);
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, test, expect } from 'vitest';
+import {
+  EQUIPMENT_PROFILES_KEY,
+  CUSTOM_EQUIPMENT_KEY,
+  PROFILE_ID_PREFIX,
+  normalizeWeights,
+  parseWeightList,
+  parseAddOns,
+  formatAddOns,
+  normalizeEquipmentProfile,
+  createProfileId,
+  addEquipmentProfile,
+  updateEquipmentProfile,
+  removeEquipmentProfile,
+  moveEquipmentProfile,
+  loadEquipmentProfiles,
+  saveEquipmentProfiles,
+  loadCustomEquipment,
+  saveCustomEquipment
+} from '../src/equipment.js';
+import { createStorage } from './helpers/storage.js';
+
+const profiles = [
+  { id: 'user_1', name: 'Hack Squat', baseWeight: 90, increment: 5 },
+  { id: 'user_2', name: 'Kettlebells', baseWeight: 0, weights: [8, 12, 16] },
+  { id: 'user_3', name: 'Cable', baseWeight: 0, increment: 2.5 }
+];
+
+describe('normalizeWeights', () => {
+  test('sorts ascending and removes duplicates', () => {
+    expect(normalizeWeights([24, 8, 16, 8, 12])).toEqual([8, 12, 16, 24]);
+  });
+
+  test('drops non-positive and non-finite weights', () => {
+    expect(normalizeWeights([0, -5, NaN, Infinity, 10])).toEqual([10]);
+  });
+});
+
+describe('parseWeightList', () => {
+  test('parses comma and space separated numbers', () => {
+    expect(parseWeightList('5, 10 15,17.5')).toEqual([5, 10, 15, 17.5]);
+  });
+
+  test('returns empty list for blank input', () => {
+    expect(parseWeightList('  ')).toEqual([]);
+  });
+
+  test('returns null when an entry is not a number', () => {
+    expect(parseWeightList('5, ten')).toBe(null);
+  });
+});
+
+describe('parseAddOns / formatAddOns', () => {
+  test('parses weights with optional counts', () => {
+    expect(parseAddOns('2.5, 5x2, .5 × 3')).toEqual([{ weight: 2.5, count: 1 }, { weight: 5, count: 2 }, { weight: 0.5, count: 3 }]);
+  });
+
+  test('returns no add-ons for blank input', () => {
+    expect(parseAddOns(' ')).toEqual([]);
+  });
+
+  test('returns null when an entry is invalid', () => {
+    expect(parseAddOns('2.5, five')).toBe(null);
+    expect(parseAddOns('2.5x')).toBe(null);
+  });
+
+  test('formats single add-ons without a count', () => {
+    expect(formatAddOns([{ weight: 5, count: 1 }, { weight: 2.5, count: 2 }])).toBe('5, 2.5x2');
+  });
+});
+
+describe('normalizeEquipmentProfile', () => {
+  test('normalizes an increment profile', () => {
+    expect(normalizeEquipmentProfile({ id: 'user_1', name: ' Hack Squat ', baseWeight: '90', increment: '5' }))
+      .toEqual({ profile: { id: 'user_1', name: 'Hack Squat', baseWeight: 90, increment: 5 }, error: null });
+  });
+
+  test('normalizes an enumerated profile', () => {
+    const { profile } = normalizeEquipmentProfile({ name: 'KB', baseWeight: 0, weights: [16, 8, 8] });
+    expect(profile).toEqual({ id: undefined, name: 'KB', baseWeight: 0, weights: [8, 16] });
+  });
+
+  test('keeps the kilogram unit and drops the implied pound unit', () => {
+    const kg = normalizeEquipmentProfile({ name: 'KB', baseWeight: 0, weights: [16], unit: 'kg' }).profile;
+    const lb = normalizeEquipmentProfile({ name: 'Hack', baseWeight: 90, increment: 5, unit: 'lb' }).profile;
+    expect(kg.unit).toBe('kg');
+    expect(lb).not.toHaveProperty('unit');
+  });
+
+  test('requires a name', () => {
+    expect(normalizeEquipmentProfile({ name: ' ', baseWeight: 0, increment: 5 }).error).toBe('Name is required');
+    expect(normalizeEquipmentProfile({ baseWeight: 0, increment: 5 }).error).toBe('Name is required');
+  });
+
+  test('requires a non-negative base weight', () => {
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: -1, increment: 5 }).error).toBe('Base weight must be ≥ 0');
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 'x', increment: 5 }).error).toBe('Base weight must be ≥ 0');
+  });
+
+  test('requires a positive increment', () => {
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 0, increment: 0 }).error).toBe('Increment must be positive');
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 0 }).error).toBe('Increment must be positive');
+  });
+
+  test('keeps min and max weights of an increment profile', () => {
+    const { profile } = normalizeEquipmentProfile({ name: 'Cable', baseWeight: 0, increment: '2.5', minWeight: '5', maxWeight: '100' });
+    expect(profile).toEqual({ id: undefined, name: 'Cable', baseWeight: 0, increment: 2.5, minWeight: 5, maxWeight: 100 });
+  });
+
+  test('leaves out blank and zero bounds', () => {
+    const { profile } = normalizeEquipmentProfile({ name: 'A', baseWeight: 0, increment: 5, minWeight: '0', maxWeight: '' });
+    expect(profile).toEqual({ id: undefined, name: 'A', baseWeight: 0, increment: 5 });
+  });
+
+  test('validates min and max weights', () => {
+    const profile = { name: 'A', baseWeight: 0, increment: 5 };
+    expect(normalizeEquipmentProfile({ ...profile, minWeight: -5 }).error).toBe('Min weight must be ≥ 0');
+    expect(normalizeEquipmentProfile({ ...profile, minWeight: 'x' }).error).toBe('Min weight must be ≥ 0');
+    expect(normalizeEquipmentProfile({ ...profile, maxWeight: 0 }).error).toBe('Max weight must be positive');
+    expect(normalizeEquipmentProfile({ ...profile, maxWeight: 'x' }).error).toBe('Max weight must be positive');
+    expect(normalizeEquipmentProfile({ ...profile, minWeight: 50, maxWeight: 40 }).error).toBe('No weight fits between min and max weight');
+    expect(normalizeEquipmentProfile({ ...profile, minWeight: 41, maxWeight: 44 }).error).toBe('No weight fits between min and max weight');
+    expect(normalizeEquipmentProfile({ ...profile, minWeight: 41, maxWeight: 45 }).error).toBe(null);
+  });
+
+  test('keeps add-ons heaviest first', () => {
+    const addOns = [{ weight: 2.5, count: 1 }, { weight: 5, count: 2 }];
+    const stack = normalizeEquipmentProfile({ name: 'Stack', baseWeight: 0, increment: 10, addOns }).profile;
+    expect(stack.addOns).toEqual([{ weight: 5, count: 2 }, { weight: 2.5, count: 1 }]);
+    const dumbbells = normalizeEquipmentProfile({ name: 'DB', baseWeight: 0, weights: [10, 20], addOns }).profile;
+    expect(dumbbells.addOns).toEqual([{ weight: 5, count: 2 }, { weight: 2.5, count: 1 }]);
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 0, increment: 5, addOns: [] }).profile).not.toHaveProperty('addOns');
+  });
+
+  test('validates add-ons', () => {
+    const error = 'Add-ons need a positive weight and a count of at least 1';
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 0, increment: 5, addOns: [{ weight: 0, count: 1 }] }).error).toBe(error);
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 0, increment: 5, addOns: [{ weight: 5, count: 0 }] }).error).toBe(error);
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 0, increment: 5, addOns: [{ weight: 5, count: 1.5 }] }).error).toBe(error);
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 0, increment: 5, addOns: [null] }).error).toBe(error);
+    expect(normalizeEquipmentProfile({ name: 'A', baseWeight: 0, increment: 5, addOns: 'x' }).error).toBe(null);
+  });
+
+  test('requires at least one weight in a list', () => {
+    const result = normalizeEquipmentProfile({ name: 'A', baseWeight: 0, weights: [0] });
+    expect(result).toEqual({ profile: null, error: 'Enter at least one positive weight' });
+  });
+});
+
+describe('createProfileId', () => {
+  test('uses the next free number', () => {
+    expect(createProfileId([])).toBe(PROFILE_ID_PREFIX + '1');
+    expect(createProfileId(profiles)).toBe('user_4');
+  });
+
+  test('skips ids already in use', () => {
+    expect(createProfileId([{ id: 'user_2' }])).toBe('user_3');
+  });
+});
+
+describe('profile list operations', () => {
+  test('addEquipmentProfile appends with a new id', () => {
+    const result = addEquipmentProfile(profiles, { name: 'New', baseWeight: 0, increment: 1 });
+    expect(result).toHaveLength(4);
+    expect(result[3]).toEqual({ id: 'user_4', name: 'New', baseWeight: 0, increment: 1 });
+    expect(profiles).toHaveLength(3);
+  });
+
+  test('addEquipmentProfile keeps an existing id', () => {
+    const result = addEquipmentProfile([], { id: 'user_9', name: 'New', baseWeight: 0, increment: 1 });
+    expect(result[0].id).toBe('user_9');
+  });
+
+  test('updateEquipmentProfile replaces in place', () => {
+    const result = updateEquipmentProfile(profiles, 'user_2', { name: 'KB', baseWeight: 0, increment: 4 });
+    expect(result[1]).toEqual({ id: 'user_2', name: 'KB', baseWeight: 0, increment: 4 });
+    expect(result[0]).toBe(profiles[0]);
+  });
+
+  test('removeEquipmentProfile removes by id', () => {
+    expect(removeEquipmentProfile(profiles, 'user_2').map(p => p.id)).toEqual(['user_1', 'user_3']);
+  });
+
+  test('moveEquipmentProfile reorders', () => {
+    expect(moveEquipmentProfile(profiles, 'user_3', -1).map(p => p.id)).toEqual(['user_1', 'user_3', 'user_2']);
+    expect(moveEquipmentProfile(profiles, 'user_1', 2).map(p => p.id)).toEqual(['user_2', 'user_3', 'user_1']);
+  });
+
+  test('moveEquipmentProfile ignores out-of-range moves and unknown ids', () => {
+    expect(moveEquipmentProfile(profiles, 'user_1', -1)).toBe(profiles);
+    expect(moveEquipmentProfile(profiles, 'user_3', 1)).toBe(profiles);
+    expect(moveEquipmentProfile(profiles, 'user_9', 1)).toBe(profiles);
+  });
+});
+
+describe('loadEquipmentProfiles / saveEquipmentProfiles', () => {
+  test('round-trips profiles', () => {
+    const storage = createStorage();
+    expect(saveEquipmentProfiles(profiles, storage)).toBe(true);
+    expect(loadEquipmentProfiles(storage)).toEqual(profiles);
+  });
+
+  test('normalizes and drops invalid stored profiles', () => {
+    const stored = [
+      { id: 'user_1', name: 'KB', baseWeight: 0, weights: [16, 8, 8] },
+      { id: 'user_2', name: '', baseWeight: 0, increment: 5 },
+      { name: 'No id', baseWeight: 0, increment: 5 },
+      null
+    ];
+    const storage = createStorage({ [EQUIPMENT_PROFILES_KEY]: JSON.stringify(stored) });
+    expect(loadEquipmentProfiles(storage)).toEqual([{ id: 'user_1', name: 'KB', baseWeight: 0, weights: [8, 16] }]);
+  });
+
+  test('returns empty list for missing or non-array data', () => {
+    expect(loadEquipmentProfiles(createStorage())).toEqual([]);
+    expect(loadEquipmentProfiles(createStorage({ [EQUIPMENT_PROFILES_KEY]: '{}' }))).toEqual([]);
+  });
+});
+
+describe('loadCustomEquipment / saveCustomEquipment', () => {
+  test('round-trips custom values', () => {
+    const storage = createStorage();
+    expect(saveCustomEquipment({ baseWeight: 35, increment: 2.5 }, storage)).toBe(true);
+    expect(storage.data[CUSTOM_EQUIPMENT_KEY]).toBe('{"baseWeight":35,"increment":2.5}');
+    expect(loadCustomEquipment(storage)).toEqual({ baseWeight: 35, increment: 2.5 });
+  });
+
+  test('returns null when nothing usable is stored', () => {
+    expect(loadCustomEquipment(createStorage())).toBe(null);
+    expect(loadCustomEquipment(createStorage({ [CUSTOM_EQUIPMENT_KEY]: '5' }))).toBe(null);
+  });
+});
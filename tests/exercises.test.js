@@ -0,0 +1,158 @@
+import { describe, test, expect, afterEach } from 'vitest';
+import {
+  EXERCISES_KEY,
+  DEFAULT_EXERCISES,
+  findExercise,
+  updateExercise,
+  removeExercise,
+  getExerciseSetup,
+  loadExercises,
+  saveExercises
+} from '../src/exercises.js';
+import { setUserEquipment } from '../src/utils.js';
+import { createStorage } from './helpers/storage.js';
+
+const legPress = {
+  name: 'Leg Press',
+  equipment: '167',
+  roundingMode: 'down',
+  reference: { weight: 270, reps: 10, rpe: 8, unit: 'lb' },
+  e1RM: { value: 560.3, unit: 'lb' }
+};
+
+describe('DEFAULT_EXERCISES', () => {
+  test('puts the leg press on the sled preset', () => {
+    expect(findExercise(DEFAULT_EXERCISES, 'Leg Press')).toEqual({
+      name: 'Leg Press',
+      equipment: '167',
+      roundingMode: 'closest',
+      reference: null,
+      e1RM: null
+    });
+  });
+});
+
+describe('findExercise', () => {
+  test('matches names ignoring case and spaces', () => {
+    expect(findExercise([legPress], ' leg press ')).toBe(legPress);
+    expect(findExercise([legPress], 'Hack Squat')).toBeUndefined();
+    expect(findExercise([legPress], undefined)).toBeUndefined();
+  });
+});
+
+describe('updateExercise', () => {
+  test('replaces fields of an existing exercise, keeping its name', () => {
+    const exercises = [DEFAULT_EXERCISES[0], legPress];
+    const updated = updateExercise(exercises, 'LEG PRESS', { roundingMode: 'up', e1RM: { value: 600, unit: 'lb' } });
+    expect(updated[1]).toEqual({ ...legPress, roundingMode: 'up', e1RM: { value: 600, unit: 'lb' } });
+    expect(updated[0]).toBe(exercises[0]);
+    expect(exercises[1]).toBe(legPress);
+  });
+
+  test('adds a new exercise with defaults', () => {
+    const updated = updateExercise([legPress], ' Hack Squat ', { equipment: 'user_1' });
+    expect(updated).toEqual([legPress, { name: 'Hack Squat', equipment: 'user_1', roundingMode: 'closest', reference: null, e1RM: null }]);
+  });
+
+  test('ignores blank names', () => {
+    const exercises = [legPress];
+    expect(updateExercise(exercises, '  ', { equipment: '25' })).toBe(exercises);
+    expect(updateExercise(exercises, undefined, { equipment: '25' })).toBe(exercises);
+  });
+});
+
+describe('removeExercise', () => {
+  test('removes by name', () => {
+    expect(removeExercise([DEFAULT_EXERCISES[0], legPress], 'leg press')).toEqual([DEFAULT_EXERCISES[0]]);
+    expect(removeExercise([legPress], 'Squat')).toEqual([legPress]);
+  });
+});
+
+describe('getExerciseSetup', () => {
+  afterEach(() => setUserEquipment([]));
+
+  test('returns the saved defaults in the same unit', () => {
+    expect(getExerciseSetup(legPress)).toEqual({
+      equipment: '167',
+      roundingMode: 'down',
+      reference: { weight: 270, reps: 10, rpe: 8, unit: 'lb' },
+      e1RM: 560.3
+    });
+  });
+
+  test('converts weights and equipment to the other unit', () => {
+    const dumbbells = {
+      name: 'DB Bench Press',
+      equipment: 'dumbbells_x2',
+      reference: { weight: 100, reps: 8, rpe: 9 },
+      e1RM: { value: 130 }
+    };
+    expect(getExerciseSetup(dumbbells, 'kg')).toEqual({
+      equipment: 'dumbbells_kg_x2',
+      roundingMode: 'closest',
+      reference: { weight: 45.4, reps: 8, rpe: 9, unit: 'kg' },
+      e1RM: 59
+    });
+  });
+
+  test('falls back to None without a counterpart or when equipment is gone', () => {
+    const barbell = { ...legPress, equipment: 'barbell_kg', reference: { weight: 100, reps: 5, rpe: 8, unit: 'kg' } };
+    expect(getExerciseSetup(barbell, 'lb').equipment).toBe('0');
+    expect(getExerciseSetup({ ...legPress, equipment: 'user_9' }).equipment).toBe('0');
+  });
+
+  test('keeps the total weight when the base weight changes with the unit', () => {
+    const setup = getExerciseSetup(legPress, 'kg');
+    expect(setup.equipment).toBe('leg_press_kg');
+    expect(setup.reference).toEqual({ weight: 122.5, reps: 10, rpe: 8, unit: 'kg' });
+
+    const barbell = { ...legPress, equipment: 'barbell_kg', reference: { weight: 100, reps: 5, rpe: 8, unit: 'kg' } };
+    expect(getExerciseSetup(barbell, 'lb').reference.weight).toBe(264.6);
+
+    setUserEquipment([{ id: 'user_1', name: 'Plate Loaded', baseWeight: 20, increment: 2.5, unit: 'kg' }]);
+    const plateLoaded = { ...legPress, equipment: 'user_1', reference: { weight: 100, baseWeight: 20, reps: 5, rpe: 8, unit: 'kg' } };
+    expect(getExerciseSetup(plateLoaded, 'lb').reference.weight).toBe(264.6);
+    expect(getExerciseSetup(plateLoaded, 'kg').reference).toEqual({ weight: 100, reps: 5, rpe: 8, unit: 'kg' });
+  });
+
+  test('converts a Custom base weight along with the reference', () => {
+    const custom = { ...legPress, equipment: 'custom', reference: { weight: 100, baseWeight: 45, reps: 5, rpe: 8, unit: 'lb' } };
+    expect(getExerciseSetup(custom, 'kg').reference.weight).toBe(45.4);
+  });
+
+  test('never returns a negative reference weight', () => {
+    setUserEquipment([{ id: 'user_1', name: 'Heavy Sled', baseWeight: 50, increment: 2.5, unit: 'kg' }]);
+    const light = { ...legPress, equipment: 'user_1', reference: { weight: 5, baseWeight: 0, reps: 5, rpe: 8, unit: 'lb' } };
+    expect(getExerciseSetup(light, 'kg').reference.weight).toBe(0);
+  });
+
+  test('keeps custom and user equipment in their unit', () => {
+    setUserEquipment([{ id: 'user_1', name: 'Plate Loaded', baseWeight: 20, increment: 2.5, unit: 'kg' }]);
+    expect(getExerciseSetup({ ...legPress, equipment: 'user_1' }, 'kg').equipment).toBe('user_1');
+    expect(getExerciseSetup({ ...legPress, equipment: 'user_1' }, 'lb').equipment).toBe('0');
+    expect(getExerciseSetup({ ...legPress, equipment: 'custom' }, 'kg').equipment).toBe('custom');
+  });
+
+  test('handles exercises without a reference or e1RM', () => {
+    expect(getExerciseSetup(DEFAULT_EXERCISES[0])).toEqual({ equipment: '0', roundingMode: 'closest', reference: null, e1RM: null });
+  });
+});
+
+describe('exercise storage', () => {
+  test('starts with the default library', () => {
+    expect(loadExercises(createStorage())).toBe(DEFAULT_EXERCISES);
+    expect(loadExercises(createStorage({ [EXERCISES_KEY]: '{"bad":true}' }))).toBe(DEFAULT_EXERCISES);
+  });
+
+  test('round-trips the library and drops invalid entries', () => {
+    const storage = createStorage();
+    expect(saveExercises([legPress, null, { name: ' ' }, { equipment: '0' }], storage)).toBe(true);
+    expect(loadExercises(storage)).toEqual([legPress]);
+  });
+
+  test('keeps an emptied library', () => {
+    const storage = createStorage();
+    saveExercises([], storage);
+    expect(loadExercises(storage)).toEqual([]);
+  });
+});
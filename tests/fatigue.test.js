@@ -0,0 +1,113 @@
+import { describe, test, expect } from 'vitest';
+import {
+  REFERENCE_REST_SECONDS,
+  DEFAULT_FATIGUE_RATE,
+  FATIGUE_MODELS,
+  DEFAULT_FATIGUE_MODEL,
+  getRestAdjustedRate,
+  projectSets
+} from '../src/fatigue.js';
+import { estimateE1RM, evaluateWeight } from '../src/engine.js';
+import { getPct } from '../src/calc.js';
+
+// 200 x 5 @ 8 -> e1RM ~242.6
+const e1RM = estimateE1RM({ weight: 200, reps: 5, rpe: 8 });
+
+describe('FATIGUE_MODELS', () => {
+  test('default model exists', () => {
+    expect(FATIGUE_MODELS).toHaveProperty(DEFAULT_FATIGUE_MODEL);
+  });
+
+  test('every model starts fresh and loses rate after one set', () => {
+    Object.values(FATIGUE_MODELS).forEach(model => {
+      expect(model.remaining(0, 0.03)).toBe(1);
+      expect(model.remaining(1, 0.03)).toBeCloseTo(0.97, 10);
+    });
+  });
+
+  test('models differ in how fatigue accumulates', () => {
+    expect(FATIGUE_MODELS.exponential.remaining(3, 0.1)).toBeCloseTo(0.729, 10);
+    expect(FATIGUE_MODELS.linear.remaining(3, 0.1)).toBeCloseTo(0.7, 10);
+    expect(FATIGUE_MODELS.plateau.remaining(3, 0.1)).toBeCloseTo(0.825, 10);
+  });
+});
+
+describe('getRestAdjustedRate', () => {
+  test('applies the rate unscaled at the reference rest', () => {
+    expect(getRestAdjustedRate(3, REFERENCE_REST_SECONDS)).toBe(3);
+  });
+
+  test('shorter rest means more fatigue, longer rest less', () => {
+    expect(getRestAdjustedRate(3, 45)).toBeCloseTo(6, 10);
+    expect(getRestAdjustedRate(3, 720)).toBeCloseTo(1.5, 10);
+  });
+});
+
+describe('projectSets', () => {
+  const base = { e1RM, weight: 200, sets: 4, restSeconds: REFERENCE_REST_SECONDS };
+
+  test('first set matches the single-set prediction', () => {
+    const { sets } = projectSets({ ...base, mode: 'reps', rpe: 8 });
+    const single = evaluateWeight(e1RM, 200, 8);
+    expect(sets[0]).toEqual({ set: 1, e1RM, reps: single.reps, rpe: single.rpe, failure: false });
+    expect(sets[0].reps).toBe(5);
+  });
+
+  test('reps drop across sets at a fixed RPE', () => {
+    const { sets, totalReps, volume } = projectSets({ ...base, mode: 'reps', rpe: 10 });
+    const reps = sets.map(set => set.reps);
+    expect(reps).toEqual([...reps].sort((a, b) => b - a));
+    expect(reps[3]).toBeLessThan(reps[0]);
+    expect(totalReps).toBe(reps.reduce((sum, r) => sum + r, 0));
+    expect(volume).toBe(totalReps * 200);
+  });
+
+  test('each set loses the default rate of e1RM with the compounding model', () => {
+    const { sets } = projectSets({ ...base, mode: 'reps', rpe: 8 });
+    const loss = 1 - DEFAULT_FATIGUE_RATE / 100;
+    sets.forEach((set, i) => {
+      expect(set.e1RM).toBeCloseTo(e1RM * Math.pow(loss, i), 10);
+    });
+  });
+
+  test('RPE rises across sets at fixed reps and flags sets past failure', () => {
+    const { sets, totalReps } = projectSets({ ...base, mode: 'rpe', reps: 5, rate: 5 });
+    expect(sets[0].rpe).toBeCloseTo(8, 10);
+    sets.slice(1).forEach((set, i) => {
+      expect(set.rpe).toBeGreaterThan(sets[i].rpe);
+    });
+    expect(sets[0].failure).toBe(false);
+    expect(sets[3].failure).toBe(true);
+    expect(totalReps).toBe(20);
+  });
+
+  test('rpe mode follows the formula at the reduced e1RM', () => {
+    const { sets } = projectSets({ ...base, mode: 'rpe', reps: 5, rate: 10, sets: 2 });
+    // 10% lower e1RM -> pct(5, rpe) = 0.9 * pct(5, 8)
+    expect(getPct(5, sets[1].rpe)).toBeCloseTo(0.9 * getPct(5, 8), 10);
+  });
+
+  test('includes the base weight in volume and e1RM math', () => {
+    const sled = estimateE1RM({ weight: 100, reps: 10, rpe: 9 }, 167);
+    const { sets, volume, totalReps } = projectSets({ e1RM: sled, weight: 100, baseWeight: 167, sets: 1, restSeconds: 120, mode: 'reps', rpe: 9 });
+    expect(sets[0].reps).toBe(10);
+    expect(volume).toBe(totalReps * 267);
+  });
+
+  test('no fatigue keeps every set the same', () => {
+    const { sets } = projectSets({ ...base, mode: 'reps', rpe: 8, rate: 0, model: 'linear' });
+    expect(new Set(sets.map(set => set.reps)).size).toBe(1);
+  });
+
+  test('falls back to the default model for an unknown id', () => {
+    const unknown = projectSets({ ...base, mode: 'reps', rpe: 9, model: 'unknown' });
+    const fallback = projectSets({ ...base, mode: 'reps', rpe: 9 });
+    expect(unknown).toEqual(fallback);
+  });
+
+  test('never projects a negative e1RM', () => {
+    const { sets } = projectSets({ ...base, mode: 'reps', rpe: 10, rate: 30, model: 'linear', sets: 6, restSeconds: 20 });
+    expect(sets[5].e1RM).toBe(0);
+    expect(sets[5].reps).toBe(0);
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, test, expect } from 'vitest';
+import { BERGER_COEFFICIENT } from '../src/formulas.js';
+import {
+  LOGGED_SETS_KEY,
+  MIN_FIT_SETS,
+  getSetEffectiveReps,
+  getSetTotalWeight,
+  fitBergerCoefficient,
+  filterSetsByExercise,
+  convertSetsToUnit,
+  getLoggedExercises,
+  loadLoggedSets,
+  saveLoggedSets
+} from '../src/fit.js';
+import { createStorage } from './helpers/storage.js';
+
+// Sets lying exactly on a Berger curve with the given 1RM and coefficient
+function setsOnCurve(e1RM, coefficient, repsList, rpe = 10) {
+  return repsList.map(reps => ({
+    weight: e1RM / Math.exp(coefficient * (reps + 10 - rpe - 1)),
+    reps,
+    rpe
+  }));
+}
+
+describe('getSetEffectiveReps', () => {
+  test('adds reps in reserve', () => {
+    expect(getSetEffectiveReps({ reps: 5, rpe: 8 })).toBe(7);
+  });
+});
+
+describe('getSetTotalWeight', () => {
+  test('adds base weight', () => {
+    expect(getSetTotalWeight({ weight: 100, baseWeight: 45 })).toBe(145);
+  });
+
+  test('treats missing base weight as 0', () => {
+    expect(getSetTotalWeight({ weight: 100 })).toBe(100);
+  });
+});
+
+describe('fitBergerCoefficient', () => {
+  test('recovers coefficient and e1RM from sets on the curve', () => {
+    const fit = fitBergerCoefficient(setsOnCurve(200, 0.035, [1, 5, 10]));
+    expect(fit.coefficient).toBeCloseTo(0.035, 10);
+    expect(fit.e1RM).toBeCloseTo(200, 8);
+    expect(fit.r2).toBeCloseTo(1, 10);
+    expect(fit.rmse).toBeCloseTo(0, 8);
+    expect(fit.n).toBe(3);
+  });
+
+  test('uses RPE to get effective reps', () => {
+    const sets = [
+      ...setsOnCurve(150, 0.02, [3], 8),
+      ...setsOnCurve(150, 0.02, [6], 9),
+      ...setsOnCurve(150, 0.02, [10], 7)
+    ];
+    expect(fitBergerCoefficient(sets).coefficient).toBeCloseTo(0.02, 10);
+  });
+
+  test('includes base weight in the fit', () => {
+    const sets = setsOnCurve(300, 0.03, [2, 6, 12]).map(set => ({
+      ...set,
+      weight: set.weight - 45,
+      baseWeight: 45
+    }));
+    const fit = fitBergerCoefficient(sets);
+    expect(fit.coefficient).toBeCloseTo(0.03, 10);
+    expect(fit.e1RM).toBeCloseTo(300, 8);
+  });
+
+  test('reports fit quality for noisy sets', () => {
+    const sets = setsOnCurve(200, 0.03, [3, 5, 8, 12]);
+    sets[1].reps += 1;
+    sets[2].reps -= 1;
+    const fit = fitBergerCoefficient(sets);
+    expect(fit.r2).toBeLessThan(1);
+    expect(fit.r2).toBeGreaterThan(0.5);
+    expect(fit.rmse).toBeGreaterThan(0);
+  });
+
+  test('fits one slope with a separate e1RM per exercise', () => {
+    const sets = [
+      ...setsOnCurve(300, BERGER_COEFFICIENT, [3, 5]).map(set => ({ ...set, exercise: 'Squat' })),
+      ...setsOnCurve(100, BERGER_COEFFICIENT, [10, 12]).map(set => ({ ...set, exercise: 'Curl' }))
+    ];
+    const fit = fitBergerCoefficient(sets);
+    expect(fit.coefficient).toBeCloseTo(BERGER_COEFFICIENT, 10);
+    expect(fit.e1RMs.Squat).toBeCloseTo(300, 8);
+    expect(fit.e1RMs.Curl).toBeCloseTo(100, 8);
+    expect(fit.e1RM).toBe(null);
+    expect(fit.r2).toBeCloseTo(1, 10);
+    expect(fit.n).toBe(4);
+  });
+
+  test('keys sets without an exercise by an empty name', () => {
+    const fit = fitBergerCoefficient(setsOnCurve(200, 0.035, [1, 5, 10]));
+    expect(Object.keys(fit.e1RMs)).toEqual(['']);
+    expect(fit.e1RMs['']).toBe(fit.e1RM);
+  });
+
+  test('a single set of an exercise only sets its e1RM', () => {
+    const sets = [
+      ...setsOnCurve(200, 0.03, [2, 8]).map(set => ({ ...set, exercise: 'Bench' })),
+      { ...setsOnCurve(120, 0.03, [5])[0], exercise: 'Press' }
+    ];
+    const fit = fitBergerCoefficient(sets);
+    expect(fit.coefficient).toBeCloseTo(0.03, 10);
+    expect(fit.e1RMs.Press).toBeCloseTo(120, 8);
+  });
+
+  test('returns null when effective reps only vary across exercises', () => {
+    const sets = [
+      { exercise: 'Squat', weight: 280, reps: 3, rpe: 10 },
+      { exercise: 'Squat', weight: 285, reps: 3, rpe: 10 },
+      { exercise: 'Curl', weight: 70, reps: 12, rpe: 10 }
+    ];
+    expect(fitBergerCoefficient(sets)).toBe(null);
+  });
+
+  test(`requires at least ${MIN_FIT_SETS} sets`, () => {
+    expect(fitBergerCoefficient(setsOnCurve(200, 0.03, [3, 8]))).toBe(null);
+  });
+
+  test('ignores sets without positive weight', () => {
+    const sets = [...setsOnCurve(200, 0.03, [3, 8]), { weight: 0, reps: 5, rpe: 9 }];
+    expect(fitBergerCoefficient(sets)).toBe(null);
+  });
+
+  test('returns null when effective reps do not vary', () => {
+    const sets = [
+      { weight: 100, reps: 5, rpe: 8 },
+      { weight: 105, reps: 6, rpe: 9 },
+      { weight: 95, reps: 7, rpe: 10 }
+    ];
+    expect(fitBergerCoefficient(sets)).toBe(null);
+  });
+
+  test('returns null when weight does not decrease with reps', () => {
+    const sets = [
+      { weight: 100, reps: 3, rpe: 10 },
+      { weight: 110, reps: 6, rpe: 10 },
+      { weight: 120, reps: 9, rpe: 10 }
+    ];
+    expect(fitBergerCoefficient(sets)).toBe(null);
+  });
+});
+
+describe('filterSetsByExercise', () => {
+  const sets = [
+    { exercise: 'Squat', weight: 100 },
+    { exercise: 'Bench', weight: 80 },
+    { exercise: '', weight: 50 }
+  ];
+
+  test('keeps matching sets', () => {
+    expect(filterSetsByExercise(sets, 'Squat')).toEqual([sets[0]]);
+  });
+
+  test('keeps all sets without an exercise', () => {
+    expect(filterSetsByExercise(sets, '')).toBe(sets);
+    expect(filterSetsByExercise(sets)).toBe(sets);
+  });
+});
+
+describe('convertSetsToUnit', () => {
+  test('converts weights and base weights between units', () => {
+    const [set] = convertSetsToUnit([{ weight: 100, baseWeight: 20, reps: 5, rpe: 8, unit: 'kg' }], 'lb');
+    expect(set.weight).toBeCloseTo(220.462, 3);
+    expect(set.baseWeight).toBeCloseTo(44.092, 3);
+    expect(set).toMatchObject({ reps: 5, rpe: 8, unit: 'lb' });
+  });
+
+  test('treats sets without a unit as pounds', () => {
+    const [set] = convertSetsToUnit([{ weight: 220.462262185, reps: 5, rpe: 8 }], 'kg');
+    expect(set.weight).toBeCloseTo(100, 6);
+    expect(set.baseWeight).toBe(0);
+    expect(set.unit).toBe('kg');
+  });
+
+  test('leaves sets already in the unit unchanged', () => {
+    const sets = [{ weight: 100, baseWeight: 0, reps: 5, rpe: 8, unit: 'lb' }];
+    expect(convertSetsToUnit(sets, 'lb')).toEqual(sets);
+  });
+});
+
+describe('getLoggedExercises', () => {
+  test('returns sorted distinct names without blanks', () => {
+    const sets = [{ exercise: 'Squat' }, { exercise: 'Bench' }, { exercise: 'Squat' }, { exercise: '' }, {}];
+    expect(getLoggedExercises(sets)).toEqual(['Bench', 'Squat']);
+  });
+});
+
+describe('loadLoggedSets / saveLoggedSets', () => {
+  test('round-trips sets through storage', () => {
+    const storage = createStorage();
+    const sets = [{ weight: 100, reps: 5, rpe: 8 }];
+    expect(saveLoggedSets(sets, storage)).toBe(true);
+    expect(storage.data[LOGGED_SETS_KEY]).toBe(JSON.stringify(sets));
+    expect(loadLoggedSets(storage)).toEqual(sets);
+  });
+
+  test('returns empty list when nothing is stored', () => {
+    expect(loadLoggedSets(createStorage())).toEqual([]);
+  });
+
+  test('returns empty list for non-array data', () => {
+    expect(loadLoggedSets(createStorage({ [LOGGED_SETS_KEY]: '{"a":1}' }))).toEqual([]);
+  });
+});
@@ -0,0 +1,434 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import {
+  setInvalid,
+  setEmpty,
+  clearValidation,
+  renderValidation,
+  validateReps,
+  validateWeight,
+  validateRPE,
+  validateCustomWeight,
+  validateIncrement,
+  validateSetCount,
+  validateRest,
+  validateFatigueRate,
+  validateDropPercent,
+  validatePercentOf1RM,
+  validateReferenceSet
+} from '../src/forms.js';
+
+function createMockInput(id, value = '') {
+  const input = document.createElement('input');
+  input.id = id;
+  input.value = value;
+
+  const errorDiv = document.createElement('div');
+  errorDiv.id = `${id}Error`;
+
+  document.body.appendChild(input);
+  document.body.appendChild(errorDiv);
+
+  return { input, errorDiv };
+}
+
+function cleanup() {
+  document.body.innerHTML = '';
+}
+
+describe('validation helpers', () => {
+  beforeEach(cleanup);
+
+  test('setInvalid adds class and message', () => {
+    const { input, errorDiv } = createMockInput('test');
+    setInvalid('test', 'Error message');
+    expect(input.classList.contains('invalid')).toBe(true);
+    expect(errorDiv.textContent).toBe('Error message');
+  });
+
+  test('setEmpty adds class without message', () => {
+    const { input, errorDiv } = createMockInput('test');
+    setEmpty('test');
+    expect(input.classList.contains('invalid')).toBe(true);
+    expect(errorDiv.textContent).toBe('');
+  });
+
+  test('clearValidation removes class and message', () => {
+    const { input, errorDiv } = createMockInput('test');
+    input.classList.add('invalid');
+    errorDiv.textContent = 'Error';
+    clearValidation('test');
+    expect(input.classList.contains('invalid')).toBe(false);
+    expect(errorDiv.textContent).toBe('');
+  });
+});
+
+describe('renderValidation', () => {
+  beforeEach(cleanup);
+
+  test('marks errors invalid with their message', () => {
+    const { input, errorDiv } = createMockInput('test');
+    renderValidation('test', { value: null, code: 'too_low', message: 'Too low', severity: 'error' });
+    expect(input.classList.contains('invalid')).toBe(true);
+    expect(errorDiv.textContent).toBe('Too low');
+    expect(errorDiv.classList.contains('warning')).toBe(false);
+  });
+
+  test('shows warnings without marking the input', () => {
+    const { input, errorDiv } = createMockInput('test');
+    input.classList.add('invalid');
+    renderValidation('test', { value: 25, code: 'high_reps', message: 'Careful', severity: 'warning' });
+    expect(input.classList.contains('invalid')).toBe(false);
+    expect(errorDiv.textContent).toBe('Careful');
+    expect(errorDiv.classList.contains('warning')).toBe(true);
+  });
+
+  test('clears a warning once the value is ok or invalid', () => {
+    const { errorDiv } = createMockInput('test');
+    renderValidation('test', { value: 25, code: 'high_reps', message: 'Careful', severity: 'warning' });
+    renderValidation('test', { value: 5, code: null, message: '', severity: 'ok' });
+    expect(errorDiv.textContent).toBe('');
+    expect(errorDiv.classList.contains('warning')).toBe(false);
+
+    renderValidation('test', { value: 25, code: 'high_reps', message: 'Careful', severity: 'warning' });
+    setInvalid('test', 'Bad');
+    expect(errorDiv.classList.contains('warning')).toBe(false);
+  });
+});
+
+describe('validateReferenceSet', () => {
+  beforeEach(cleanup);
+
+  const ids = { weight: 'w', reps: 'r', rpe: 'p' };
+
+  test('returns the values of a valid set', () => {
+    createMockInput('w', '225');
+    createMockInput('r', '5');
+    createMockInput('p', '8');
+    expect(validateReferenceSet(ids)).toEqual({ weight: 225, reps: 5, rpe: 8 });
+  });
+
+  test('keeps values with warnings and shows them', () => {
+    createMockInput('w', '100');
+    const reps = createMockInput('r', '25');
+    const rpe = createMockInput('p', '5');
+    expect(validateReferenceSet(ids)).toEqual({ weight: 100, reps: 25, rpe: 5 });
+    expect(reps.errorDiv.textContent).toBe('Estimates are unreliable above 20 reps');
+    expect(rpe.errorDiv.classList.contains('warning')).toBe(true);
+  });
+
+  test('returns null for invalid fields', () => {
+    const weight = createMockInput('w', '');
+    createMockInput('r', '25');
+    createMockInput('p', '11');
+    expect(validateReferenceSet(ids)).toEqual({ weight: null, reps: 25, rpe: null });
+    expect(weight.input.classList.contains('invalid')).toBe(true);
+  });
+});
+
+describe('validateReps', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('reps', '');
+    expect(validateReps('reps')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('reps', '5');
+    expect(validateReps('reps')).toBe(5);
+  });
+
+  test('accepts 0 reps (lower boundary)', () => {
+    createMockInput('reps', '0');
+    expect(validateReps('reps')).toBe(0);
+  });
+
+  test('accepts 50 reps (upper boundary)', () => {
+    createMockInput('reps', '50');
+    expect(validateReps('reps')).toBe(50);
+  });
+
+  test('rejects negative reps', () => {
+    const { errorDiv } = createMockInput('reps', '-1');
+    expect(validateReps('reps')).toBeNull();
+    expect(errorDiv.textContent).toBe('Reps must be ≥ 0');
+  });
+
+  test('rejects reps > 50', () => {
+    const { errorDiv } = createMockInput('reps', '51');
+    expect(validateReps('reps')).toBeNull();
+    expect(errorDiv.textContent).toBe('Reps must be ≤ 50');
+  });
+
+  test('rejects non-numeric input', () => {
+    createMockInput('reps', 'abc');
+    expect(validateReps('reps')).toBeNull();
+  });
+});
+
+describe('validateWeight', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('weight', '');
+    expect(validateWeight('weight')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('weight', '100');
+    expect(validateWeight('weight')).toBe(100);
+  });
+
+  test('rejects 0 weight', () => {
+    const { errorDiv } = createMockInput('weight', '0');
+    expect(validateWeight('weight')).toBeNull();
+    expect(errorDiv.textContent).toBe('Weight must be positive');
+  });
+
+  test('rejects negative weight', () => {
+    createMockInput('weight', '-10');
+    expect(validateWeight('weight')).toBeNull();
+  });
+
+  test('rejects non-numeric input', () => {
+    createMockInput('weight', 'xyz');
+    expect(validateWeight('weight')).toBeNull();
+  });
+});
+
+describe('validateRPE', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('rpe', '');
+    expect(validateRPE('rpe')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('rpe', '8');
+    expect(validateRPE('rpe')).toBe(8);
+  });
+
+  test('accepts RPE 10 (upper boundary)', () => {
+    createMockInput('rpe', '10');
+    expect(validateRPE('rpe')).toBe(10);
+  });
+
+  test('accepts fractional RPE', () => {
+    createMockInput('rpe', '7.5');
+    expect(validateRPE('rpe')).toBe(7.5);
+  });
+
+  test('rejects 0 RPE', () => {
+    const { errorDiv } = createMockInput('rpe', '0');
+    expect(validateRPE('rpe')).toBeNull();
+    expect(errorDiv.textContent).toBe('RPE must be positive');
+  });
+
+  test('rejects RPE > 10', () => {
+    const { errorDiv } = createMockInput('rpe', '11');
+    expect(validateRPE('rpe')).toBeNull();
+    expect(errorDiv.textContent).toBe('RPE must be ≤ 10');
+  });
+
+  test('rejects non-numeric input', () => {
+    createMockInput('rpe', 'high');
+    expect(validateRPE('rpe')).toBeNull();
+  });
+});
+
+describe('validateCustomWeight', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('custom', '');
+    expect(validateCustomWeight('custom')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('custom', '25');
+    expect(validateCustomWeight('custom')).toBe(25);
+  });
+
+  test('accepts 0 (unlike validateWeight)', () => {
+    createMockInput('custom', '0');
+    expect(validateCustomWeight('custom')).toBe(0);
+  });
+
+  test('rejects negative weight', () => {
+    const { errorDiv } = createMockInput('custom', '-5');
+    expect(validateCustomWeight('custom')).toBeNull();
+    expect(errorDiv.textContent).toBe('Base weight must be ≥ 0');
+  });
+
+  test('rejects non-numeric input', () => {
+    createMockInput('custom', 'custom');
+    expect(validateCustomWeight('custom')).toBeNull();
+  });
+});
+
+describe('validateIncrement', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('increment', '');
+    expect(validateIncrement('increment')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('increment', '5');
+    expect(validateIncrement('increment')).toBe(5);
+  });
+
+  test('accepts fractional increment', () => {
+    createMockInput('increment', '2.5');
+    expect(validateIncrement('increment')).toBe(2.5);
+  });
+
+  test('rejects 0 increment', () => {
+    const { errorDiv } = createMockInput('increment', '0');
+    expect(validateIncrement('increment')).toBeNull();
+    expect(errorDiv.textContent).toBe('Increment must be positive');
+  });
+
+  test('rejects negative increment', () => {
+    const { errorDiv } = createMockInput('increment', '-5');
+    expect(validateIncrement('increment')).toBeNull();
+    expect(errorDiv.textContent).toBe('Increment must be positive');
+  });
+
+  test('rejects non-numeric input', () => {
+    createMockInput('increment', 'abc');
+    expect(validateIncrement('increment')).toBeNull();
+  });
+});
+
+describe('validateSetCount', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('sets', '');
+    expect(validateSetCount('sets')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('sets', '4');
+    expect(validateSetCount('sets')).toBe(4);
+  });
+
+  test('rejects zero and fractional sets', () => {
+    const { errorDiv } = createMockInput('sets', '0');
+    expect(validateSetCount('sets')).toBeNull();
+    expect(errorDiv.textContent).toBe('Sets must be a whole number ≥ 1');
+
+    cleanup();
+    createMockInput('sets', '2.5');
+    expect(validateSetCount('sets')).toBeNull();
+  });
+
+  test('rejects more than 20 sets', () => {
+    const { errorDiv } = createMockInput('sets', '21');
+    expect(validateSetCount('sets')).toBeNull();
+    expect(errorDiv.textContent).toBe('Sets must be ≤ 20');
+  });
+});
+
+describe('validateRest', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('rest', '');
+    expect(validateRest('rest')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('rest', '2.5');
+    expect(validateRest('rest')).toBe(2.5);
+  });
+
+  test('rejects 0 rest', () => {
+    const { errorDiv } = createMockInput('rest', '0');
+    expect(validateRest('rest')).toBeNull();
+    expect(errorDiv.textContent).toBe('Rest must be positive');
+  });
+});
+
+describe('validateFatigueRate', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('fatigue', '');
+    expect(validateFatigueRate('fatigue')).toBeNull();
+  });
+
+  test('accepts 0 (no fatigue)', () => {
+    createMockInput('fatigue', '0');
+    expect(validateFatigueRate('fatigue')).toBe(0);
+  });
+
+  test('rejects negative fatigue', () => {
+    const { errorDiv } = createMockInput('fatigue', '-1');
+    expect(validateFatigueRate('fatigue')).toBeNull();
+    expect(errorDiv.textContent).toBe('Fatigue must be ≥ 0');
+  });
+
+  test('rejects fatigue above 30%', () => {
+    const { errorDiv } = createMockInput('fatigue', '35');
+    expect(validateFatigueRate('fatigue')).toBeNull();
+    expect(errorDiv.textContent).toBe('Fatigue must be ≤ 30%');
+  });
+});
+
+describe('validateDropPercent', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('drop', '');
+    expect(validateDropPercent('drop')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('drop', '12.5');
+    expect(validateDropPercent('drop')).toBe(12.5);
+  });
+
+  test('rejects 0 drop', () => {
+    const { errorDiv } = createMockInput('drop', '0');
+    expect(validateDropPercent('drop')).toBeNull();
+    expect(errorDiv.textContent).toBe('Drop must be positive');
+  });
+
+  test('rejects a drop of 100% or more', () => {
+    const { errorDiv } = createMockInput('drop', '100');
+    expect(validateDropPercent('drop')).toBeNull();
+    expect(errorDiv.textContent).toBe('Drop must be < 100%');
+  });
+});
+
+describe('validatePercentOf1RM', () => {
+  beforeEach(cleanup);
+
+  test('returns null for empty input', () => {
+    createMockInput('percent', '');
+    expect(validatePercentOf1RM('percent')).toBeNull();
+  });
+
+  test('returns value for valid input', () => {
+    createMockInput('percent', '82.5');
+    expect(validatePercentOf1RM('percent')).toBe(82.5);
+    createMockInput('max', '100');
+    expect(validatePercentOf1RM('max')).toBe(100);
+  });
+
+  test('rejects 0 percent', () => {
+    const { errorDiv } = createMockInput('percent', '0');
+    expect(validatePercentOf1RM('percent')).toBeNull();
+    expect(errorDiv.textContent).toBe('Percent must be positive');
+  });
+
+  test('rejects more than 100%', () => {
+    const { errorDiv } = createMockInput('percent', '100.5');
+    expect(validatePercentOf1RM('percent')).toBeNull();
+    expect(errorDiv.textContent).toBe('Percent must be ≤ 100%');
+  });
+});
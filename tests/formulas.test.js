@@ -0,0 +1,132 @@
+import { describe, test, expect } from 'vitest';
+import { FORMULAS, DEFAULT_FORMULA, BERGER_COEFFICIENT, createBergerFormula, getFormula, getFormulaDomain, isInFormulaDomain, MAX_EFFECTIVE_REPS } from '../src/formulas.js';
+import { LINEAR } from './helpers/curves.js';
+
+describe('FORMULAS', () => {
+  test('includes Berger and the common alternatives', () => {
+    expect(Object.keys(FORMULAS)).toEqual([
+      'berger', 'epley', 'brzycki', 'lombardi', 'mayhew', 'oconner', 'wathan', 'lander'
+    ]);
+  });
+
+  test('every formula has a label, forward/inverse functions and a domain', () => {
+    Object.values(FORMULAS).forEach(formula => {
+      expect(typeof formula.label).toBe('string');
+      expect(typeof formula.pct).toBe('function');
+      expect(typeof formula.reps).toBe('function');
+      expect(formula.domain.min).toBeLessThan(formula.domain.max);
+    });
+  });
+
+  test('every formula gives a finite estimate above the lifted weight across its domain', () => {
+    Object.entries(FORMULAS).forEach(([id, formula]) => {
+      for (let effectiveReps = formula.domain.min; effectiveReps <= formula.domain.max; effectiveReps += 0.5) {
+        const pct = formula.pct(effectiveReps);
+        expect(Number.isFinite(pct), id + ' at ' + effectiveReps).toBe(true);
+        expect(pct, id + ' at ' + effectiveReps).toBeGreaterThanOrEqual(90);
+        expect(pct, id + ' at ' + effectiveReps).toBeLessThan(600);
+      }
+    });
+  });
+
+  test('forward and inverse are true inverses for every formula', () => {
+    Object.entries(FORMULAS).forEach(([id, formula]) => {
+      [1, 3, 5, 8, 12, 20].forEach(effectiveReps => {
+        const pct = formula.pct(effectiveReps);
+        expect(formula.reps(pct), id).toBeCloseTo(effectiveReps, 8);
+      });
+    });
+  });
+
+  test('every formula increases with effective reps', () => {
+    Object.entries(FORMULAS).forEach(([id, formula]) => {
+      expect(formula.pct(10), id).toBeGreaterThan(formula.pct(5));
+    });
+  });
+
+  test('matches published equations', () => {
+    expect(FORMULAS.berger.pct(7)).toBeCloseTo(100 * Math.exp(0.0262 * 6), 10);
+    expect(FORMULAS.epley.pct(10)).toBeCloseTo(100 * (1 + 10 / 30), 10);
+    expect(FORMULAS.brzycki.pct(10)).toBeCloseTo(100 * 36 / 27, 10);
+    expect(FORMULAS.lombardi.pct(10)).toBeCloseTo(100 * Math.pow(10, 0.1), 10);
+    expect(FORMULAS.mayhew.pct(10)).toBeCloseTo(10000 / (52.2 + 41.9 * Math.exp(-0.55)), 10);
+    expect(FORMULAS.oconner.pct(10)).toBeCloseTo(125, 10);
+    expect(FORMULAS.wathan.pct(10)).toBeCloseTo(10000 / (48.8 + 53.8 * Math.exp(-0.75)), 10);
+    expect(FORMULAS.lander.pct(10)).toBeCloseTo(10000 / (101.3 - 26.7123), 10);
+  });
+
+  test('saturating inverses return Infinity past the asymptote', () => {
+    expect(FORMULAS.mayhew.reps(250)).toBe(Infinity);
+    expect(FORMULAS.wathan.reps(250)).toBe(Infinity);
+  });
+});
+
+describe('createBergerFormula', () => {
+  test('uses the given coefficient', () => {
+    const formula = createBergerFormula(0.03);
+    expect(formula.pct(7)).toBeCloseTo(100 * Math.exp(0.03 * 6), 10);
+    expect(formula.reps(formula.pct(7))).toBeCloseTo(7, 10);
+  });
+
+  test('defaults label to Berger and accepts a custom label', () => {
+    expect(createBergerFormula(0.03).label).toBe('Berger');
+    expect(createBergerFormula(0.03, 'Personal').label).toBe('Personal');
+  });
+
+  test('population coefficient matches the registry entry', () => {
+    expect(BERGER_COEFFICIENT).toBe(0.0262);
+    expect(createBergerFormula(BERGER_COEFFICIENT).pct(10)).toBeCloseTo(FORMULAS.berger.pct(10), 10);
+  });
+});
+
+describe('getFormula', () => {
+  test('defaults to Berger', () => {
+    expect(DEFAULT_FORMULA).toBe('berger');
+    expect(getFormula()).toBe(FORMULAS.berger);
+  });
+
+  test('resolves formula ids', () => {
+    expect(getFormula('epley')).toBe(FORMULAS.epley);
+  });
+
+  test('falls back to Berger for unknown ids', () => {
+    expect(getFormula('unknown')).toBe(FORMULAS.berger);
+  });
+
+  test('passes formula objects through', () => {
+    const formula = createBergerFormula(0.03);
+    expect(getFormula(formula)).toBe(formula);
+  });
+});
+
+describe('isInFormulaDomain', () => {
+  test('excludes effective reps where Brzycki and Lander run away', () => {
+    expect(isInFormulaDomain(30, 'brzycki')).toBe(true);
+    expect(isInFormulaDomain(37, 'brzycki')).toBe(false);
+    expect(isInFormulaDomain(40, 'brzycki')).toBe(false);
+    expect(isInFormulaDomain(37, 'lander')).toBe(false);
+  });
+
+  test('excludes effective reps where Lombardi collapses to zero', () => {
+    expect(isInFormulaDomain(0, 'lombardi')).toBe(false);
+    expect(isInFormulaDomain(1, 'lombardi')).toBe(true);
+  });
+
+  test('Berger covers every rep count the inputs allow', () => {
+    expect(isInFormulaDomain(0)).toBe(true);
+    expect(isInFormulaDomain(MAX_EFFECTIVE_REPS)).toBe(true);
+    expect(isInFormulaDomain(MAX_EFFECTIVE_REPS, createBergerFormula(0.03))).toBe(true);
+    expect(isInFormulaDomain(MAX_EFFECTIVE_REPS + 1)).toBe(false);
+  });
+
+  test('excludes predictions past a saturating formula\'s asymptote', () => {
+    expect(isInFormulaDomain(FORMULAS.mayhew.reps(250), 'mayhew')).toBe(false);
+    expect(isInFormulaDomain(NaN)).toBe(false);
+  });
+
+  test('treats formula objects without a domain as unbounded', () => {
+    expect(getFormulaDomain(LINEAR)).toEqual({ min: 0, max: Infinity });
+    expect(isInFormulaDomain(100, LINEAR)).toBe(true);
+    expect(isInFormulaDomain(Infinity, LINEAR)).toBe(false);
+  });
+});
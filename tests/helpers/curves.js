@@ -0,0 +1,6 @@
+/**
+ * Linear test curve: effective reps = (pct - 100) / 10
+ * With e1RM 200 and RPE 10, reps at weight w are 2000 / w - 10.
+ * It has no domain, so every input is in range.
+ */
+export const LINEAR = { label: 'Linear', pct: r => 100 + 10 * r, reps: pct => (pct - 100) / 10 };
@@ -0,0 +1,14 @@
+/**
+ * In-memory stand-in for localStorage
+ * @param {Object<string, string>} [initial] - Stored values by key
+ * @returns {{getItem: function(string): string|null, setItem: function(string, *): void, data: Object}}
+ *   data exposes the stored strings for assertions
+ */
+export function createStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data
+  };
+}
@@ -0,0 +1,208 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  HISTORY_STORE,
+  openHistoryDB,
+  addHistoryEntry,
+  addHistoryEntries,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  getHistoryEntries,
+  createHistoryEntry,
+  sortHistory,
+  filterHistory,
+  getHistoryExercises,
+  getReferenceEntry,
+  getLocalDate
+} from '../src/history.js';
+import { estimateE1RM } from '../src/engine.js';
+
+const squat = { exercise: 'Squat', equipment: '0', equipmentName: 'None', date: '2026-10-01', weight: 225, reps: 5, rpe: 8, unit: 'lb' };
+
+describe('createHistoryEntry', () => {
+  test('estimates e1RM for the set', () => {
+    const entry = createHistoryEntry(squat);
+    expect(entry).toEqual({ ...squat, baseWeight: 0, e1RM: Math.round(estimateE1RM(squat) * 10) / 10 });
+  });
+
+  test('includes the base weight and formula in the e1RM', () => {
+    const entry = createHistoryEntry({ ...squat, baseWeight: 167 }, 'epley');
+    expect(entry.e1RM).toBeCloseTo(estimateE1RM(squat, 167, 'epley'), 1);
+  });
+
+  test('trims the exercise and defaults the unit to pounds', () => {
+    const entry = createHistoryEntry({ ...squat, exercise: ' Bench ', unit: undefined });
+    expect(entry.exercise).toBe('Bench');
+    expect(entry.unit).toBe('lb');
+    expect(createHistoryEntry({ ...squat, exercise: undefined }).exercise).toBe('');
+  });
+});
+
+describe('sortHistory', () => {
+  test('sorts by date then id without changing the input', () => {
+    const entries = [
+      { id: 3, date: '2026-10-02' },
+      { id: 2, date: '2026-10-01' },
+      { id: 1, date: '2026-10-02' }
+    ];
+    expect(sortHistory(entries).map(entry => entry.id)).toEqual([2, 1, 3]);
+    expect(entries[0].id).toBe(3);
+  });
+});
+
+describe('filterHistory', () => {
+  const entries = [
+    { exercise: 'Squat', date: '2026-09-30' },
+    { exercise: 'Bench', date: '2026-10-01' },
+    { exercise: 'Squat', date: '2026-10-02' }
+  ];
+
+  test('keeps everything without a filter', () => {
+    expect(filterHistory(entries)).toEqual(entries);
+    expect(filterHistory(entries, { exercise: '', from: '', to: '' })).toEqual(entries);
+  });
+
+  test('filters by exercise', () => {
+    expect(filterHistory(entries, { exercise: 'Squat' })).toEqual([entries[0], entries[2]]);
+  });
+
+  test('filters by inclusive date range', () => {
+    expect(filterHistory(entries, { from: '2026-10-01' })).toEqual([entries[1], entries[2]]);
+    expect(filterHistory(entries, { to: '2026-10-01' })).toEqual([entries[0], entries[1]]);
+    expect(filterHistory(entries, { exercise: 'Squat', from: '2026-10-01', to: '2026-10-01' })).toEqual([]);
+  });
+});
+
+describe('getHistoryExercises', () => {
+  test('returns sorted distinct names without blanks', () => {
+    const entries = [{ exercise: 'Squat' }, { exercise: 'Bench' }, { exercise: 'Squat' }, { exercise: '' }];
+    expect(getHistoryExercises(entries)).toEqual(['Bench', 'Squat']);
+  });
+});
+
+describe('getReferenceEntry', () => {
+  const entries = [
+    { id: 1, exercise: 'Squat', date: '2026-10-02', e1RM: 300, unit: 'lb' },
+    { id: 2, exercise: 'Squat', date: '2026-09-30', e1RM: 140, unit: 'kg' },
+    { id: 3, exercise: 'Bench', date: '2026-10-03', e1RM: 250 },
+    { id: 4, exercise: 'Squat', date: '2026-10-02', e1RM: 280, unit: 'lb' }
+  ];
+
+  test('picks the most recent set of the exercise', () => {
+    expect(getReferenceEntry(entries, 'Squat')).toBe(entries[3]);
+    expect(getReferenceEntry(entries, 'Squat', 'recent')).toBe(entries[3]);
+  });
+
+  test('picks the best e1RM across units', () => {
+    // 140 kg ≈ 308.6 lb
+    expect(getReferenceEntry(entries, 'Squat', 'best')).toBe(entries[1]);
+    expect(getReferenceEntry(entries, 'Bench', 'best')).toBe(entries[2]);
+  });
+
+  test('treats sets without a unit as pounds when comparing', () => {
+    const bench = [
+      { id: 1, exercise: 'Bench', date: '2026-10-01', e1RM: 240 },
+      { id: 2, exercise: 'Bench', date: '2026-10-02', e1RM: 110, unit: 'kg' },
+      { id: 3, exercise: 'Bench', date: '2026-10-03', e1RM: 245 },
+      { id: 4, exercise: 'Bench', date: '2026-10-04', e1RM: 242 }
+    ];
+    // 110 kg ≈ 242.5 lb
+    expect(getReferenceEntry(bench, 'Bench', 'best')).toBe(bench[2]);
+    expect(getReferenceEntry(bench.slice(0, 2), 'Bench', 'best')).toBe(bench[1]);
+  });
+
+  test('returns null for an exercise without sets', () => {
+    expect(getReferenceEntry(entries, 'Deadlift')).toBeNull();
+  });
+});
+
+describe('getLocalDate', () => {
+  test('formats the local calendar date', () => {
+    expect(getLocalDate(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+  });
+
+  test('defaults to today', () => {
+    expect(getLocalDate()).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+});
+
+describe('history database', () => {
+  let factory;
+  beforeEach(() => {
+    factory = new IDBFactory();
+  });
+
+  test('creates the store on first open', async () => {
+    const db = await openHistoryDB(factory);
+    expect([...db.objectStoreNames]).toEqual([HISTORY_STORE]);
+    expect(await getHistoryEntries(db)).toEqual([]);
+    db.close();
+  });
+
+  test('adds, updates and deletes entries', async () => {
+    const db = await openHistoryDB(factory);
+    const id = await addHistoryEntry(db, createHistoryEntry(squat));
+    const later = await addHistoryEntry(db, createHistoryEntry({ ...squat, date: '2026-10-03' }));
+    const earlier = await addHistoryEntry(db, createHistoryEntry({ ...squat, date: '2026-09-28' }));
+    expect((await getHistoryEntries(db)).map(entry => entry.id)).toEqual([earlier, id, later]);
+
+    const [entry] = (await getHistoryEntries(db)).filter(existing => existing.id === id);
+    await updateHistoryEntry(db, { ...entry, reps: 6 });
+    const updated = (await getHistoryEntries(db)).find(existing => existing.id === id);
+    expect(updated.reps).toBe(6);
+
+    await deleteHistoryEntry(db, id);
+    expect((await getHistoryEntries(db)).map(existing => existing.id)).toEqual([earlier, later]);
+    db.close();
+  });
+
+  test('adds several entries at once', async () => {
+    const db = await openHistoryDB(factory);
+    const entries = [createHistoryEntry(squat), createHistoryEntry({ ...squat, date: '2026-10-02' })];
+    expect(await addHistoryEntries(db, entries)).toBe(2);
+    expect((await getHistoryEntries(db)).map(entry => entry.date)).toEqual(['2026-10-01', '2026-10-02']);
+    db.close();
+  });
+
+  test('adds none of the entries when one fails', async () => {
+    const db = await openHistoryDB(factory);
+    const entry = { ...createHistoryEntry(squat), id: 1 };
+    await expect(addHistoryEntries(db, [entry, entry])).rejects.toBeDefined();
+    expect(await getHistoryEntries(db)).toEqual([]);
+    db.close();
+  });
+
+  test('rejects when the transaction aborts without a request error', async () => {
+    const db = await openHistoryDB(factory);
+    const aborting = {
+      transaction: (...args) => {
+        const transaction = db.transaction(...args);
+        queueMicrotask(() => transaction.abort());
+        return transaction;
+      }
+    };
+    await expect(addHistoryEntries(aborting, [])).rejects.toBeDefined();
+    db.close();
+  });
+
+  test('keeps entries between connections', async () => {
+    const first = await openHistoryDB(factory);
+    await addHistoryEntry(first, createHistoryEntry(squat));
+    first.close();
+
+    const second = await openHistoryDB(factory);
+    expect(await getHistoryEntries(second)).toHaveLength(1);
+    second.close();
+  });
+
+  test('rejects failed requests', async () => {
+    const db = await openHistoryDB(factory);
+    const id = await addHistoryEntry(db, createHistoryEntry(squat));
+    await expect(addHistoryEntry(db, { ...createHistoryEntry(squat), id })).rejects.toBeDefined();
+    db.close();
+  });
+
+  test('rejects when IndexedDB is unavailable', async () => {
+    await expect(openHistoryDB(null)).rejects.toThrow('IndexedDB is not available');
+  });
+});
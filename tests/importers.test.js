@@ -0,0 +1,262 @@
+import { describe, test, expect } from 'vitest';
+import {
+  EXPORT_COLUMNS,
+  parseImportDate,
+  parseImportNumber,
+  parseImportUnit,
+  detectImportFormat,
+  guessColumnMapping,
+  importSets,
+  exportHistoryCSV
+} from '../src/importers.js';
+import { parseCSV } from '../src/csv.js';
+
+const STRONG_HEADER = 'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE';
+const HEVY_HEADER = 'title,start_time,end_time,description,exercise_title,superset_id,exercise_notes,set_index,set_type,weight_kg,reps,distance_km,duration_seconds,rpe';
+
+describe('parseImportDate', () => {
+  test('reads ISO dates and timestamps', () => {
+    expect(parseImportDate('2026-10-05')).toBe('2026-10-05');
+    expect(parseImportDate('2026-10-05 18:30:00')).toBe('2026-10-05');
+    expect(parseImportDate('2026-1-5T07:00:00Z')).toBe('2026-01-05');
+  });
+
+  test('reads day-month-year and month-day-year names', () => {
+    expect(parseImportDate('5 Oct 2026, 18:30')).toBe('2026-10-05');
+    expect(parseImportDate('5 October 2026')).toBe('2026-10-05');
+    expect(parseImportDate('Oct 5, 2026')).toBe('2026-10-05');
+    expect(parseImportDate('Sept. 5 2026')).toBe('2026-09-05');
+  });
+
+  test('reads US-style dates', () => {
+    expect(parseImportDate('10/5/2026')).toBe('2026-10-05');
+  });
+
+  test('rejects unknown formats and impossible dates', () => {
+    expect(parseImportDate('yesterday')).toBeNull();
+    expect(parseImportDate('2026-02-30')).toBeNull();
+    expect(parseImportDate('5 Foo 2026')).toBeNull();
+    expect(parseImportDate('13/1/2026')).toBeNull();
+  });
+});
+
+describe('parseImportNumber', () => {
+  test('parses numbers with a decimal point or comma', () => {
+    expect(parseImportNumber('102.5')).toBe(102.5);
+    expect(parseImportNumber(' 102,5 ')).toBe(102.5);
+    expect(parseImportNumber('8')).toBe(8);
+  });
+
+  test('returns null for blanks and NaN for text', () => {
+    expect(parseImportNumber('')).toBeNull();
+    expect(parseImportNumber(undefined)).toBeNull();
+    expect(parseImportNumber('abc')).toBeNaN();
+  });
+});
+
+describe('parseImportUnit', () => {
+  test('normalizes unit names', () => {
+    expect(parseImportUnit('KG')).toBe('kg');
+    expect(parseImportUnit('kgs')).toBe('kg');
+    expect(parseImportUnit('lbs')).toBe('lb');
+    expect(parseImportUnit(' lb ')).toBe('lb');
+    expect(parseImportUnit('stone')).toBeNull();
+  });
+});
+
+describe('detectImportFormat', () => {
+  test('recognizes Strong and Hevy headers', () => {
+    expect(detectImportFormat(STRONG_HEADER.split(','))).toBe('strong');
+    expect(detectImportFormat(HEVY_HEADER.split(','))).toBe('hevy');
+    expect(detectImportFormat(['Date', 'Exercise'])).toBe('generic');
+  });
+});
+
+describe('guessColumnMapping', () => {
+  test('maps exported history columns', () => {
+    expect(guessColumnMapping(EXPORT_COLUMNS)).toEqual({
+      date: 'Date',
+      exercise: 'Exercise',
+      weight: 'Weight',
+      reps: 'Reps',
+      rpe: 'RPE',
+      baseWeight: 'Base Weight',
+      unit: 'Unit',
+      equipment: 'Equipment'
+    });
+  });
+
+  test('falls back to looser matches', () => {
+    expect(guessColumnMapping(['Workout time', 'Lift', 'Load (kg)', 'Repetitions', 'Reps in reserve'])).toEqual({
+      date: 'Workout time',
+      exercise: 'Lift',
+      weight: 'Load (kg)',
+      reps: 'Repetitions',
+      rir: 'Reps in reserve'
+    });
+  });
+});
+
+describe('importSets', () => {
+  test('reads a Strong export, skipping warm-ups and timed sets', () => {
+    const text = [
+      STRONG_HEADER,
+      '2026-10-05 18:30:00,Legs,1h,Squat (Barbell),W,135,5,,,,,',
+      '2026-10-05 18:30:00,Legs,1h,Squat (Barbell),1,225,5,,,,,8',
+      '2026-10-05 18:30:00,Legs,1h,Squat (Barbell),2,225,5,,,,,',
+      '2026-10-05 18:30:00,Legs,1h,Plank,1,,,,60,,,'
+    ].join('\n');
+    const result = importSets(text);
+    expect(result.format).toBe('strong');
+    expect(result.error).toBeNull();
+    expect(result.rows.map(row => row.row)).toEqual([2, 3, 4, 5]);
+    expect(result.rows[0].skipped).toBe('Warm-up set');
+    expect(result.rows[1].set).toEqual({
+      exercise: 'Squat (Barbell)',
+      equipment: '',
+      equipmentName: 'Strong',
+      date: '2026-10-05',
+      weight: 225,
+      baseWeight: 0,
+      reps: 5,
+      rpe: 8,
+      unit: 'lb'
+    });
+    expect(result.rows[2].error).toBe('Missing RPE (set a default RPE)');
+    expect(result.rows[3].skipped).toBe('No weight or reps');
+    expect(result.sets).toEqual([result.rows[1].set]);
+  });
+
+  test('uses the default RPE for rows without one', () => {
+    const text = `${STRONG_HEADER}\n2026-10-05,Legs,1h,Squat,1,225,5,,,,,`;
+    expect(importSets(text, { defaultRPE: 9 }).sets[0].rpe).toBe(9);
+  });
+
+  test('uses the Strong weight unit column when present', () => {
+    const text = `${STRONG_HEADER},Weight Unit\n2026-10-05,Legs,1h,Squat,1,100,5,,,,,8,kg`;
+    const [set] = importSets(text, { unit: 'lb' }).sets;
+    expect(set.weight).toBe(220.5);
+    expect(set.unit).toBe('lb');
+  });
+
+  test('reads a Hevy export in kilograms and converts to pounds', () => {
+    const text = [
+      HEVY_HEADER,
+      '"Push","5 Oct 2026, 18:30","5 Oct 2026, 19:30","",Bench Press (Barbell),,,0,warmup,60,8,,,',
+      '"Push","5 Oct 2026, 18:30","5 Oct 2026, 19:30","",Bench Press (Barbell),,,1,normal,100,5,,,8.5'
+    ].join('\n');
+    const result = importSets(text, { targetUnit: 'lb' });
+    expect(result.format).toBe('hevy');
+    expect(result.rows[0].skipped).toBe('Warm-up set');
+    expect(result.sets).toEqual([expect.objectContaining({
+      exercise: 'Bench Press (Barbell)',
+      equipmentName: 'Hevy',
+      date: '2026-10-05',
+      weight: 220.5,
+      reps: 5,
+      rpe: 8.5,
+      unit: 'lb'
+    })]);
+  });
+
+  test('reads Hevy exports in pounds', () => {
+    const text = `${HEVY_HEADER.replace('weight_kg', 'weight_lbs')}\nPush,2026-10-05 18:30,,,Bench,,,1,normal,225,5,,,8`;
+    const [set] = importSets(text, { unit: 'kg' }).sets;
+    expect(set.weight).toBe(102.1);
+    expect(set.unit).toBe('kg');
+  });
+
+  test('maps RIR to RPE in generic files', () => {
+    const text = 'Date,Exercise,Weight,Reps,RIR\n2026-10-05,Squat,225,5,2\n2026-10-05,Squat,225,5,12';
+    const result = importSets(text);
+    expect(result.format).toBe('generic');
+    expect(result.rows[0].set.rpe).toBe(8);
+    expect(result.rows[1].error).toBe('RIR must be between 0 and 10');
+  });
+
+  test('prefers RPE over RIR when both are given', () => {
+    const text = 'Date,Exercise,Weight,Reps,RPE,RIR\n2026-10-05,Squat,225,5,7,2';
+    expect(importSets(text).sets[0].rpe).toBe(7);
+  });
+
+  test('uses an explicit column mapping', () => {
+    const text = 'When,What,Kilos,Count,Effort\n2026-10-05,Deadlift,180,3,9';
+    const mapping = { date: 'When', exercise: 'What', weight: 'Kilos', reps: 'Count', rpe: 'Effort' };
+    const [set] = importSets(text, { format: 'generic', mapping, unit: 'kg' }).sets;
+    expect(set).toMatchObject({ exercise: 'Deadlift', weight: 180, reps: 3, rpe: 9, unit: 'kg', equipmentName: 'Imported' });
+  });
+
+  test('reports missing required columns', () => {
+    const result = importSets('Date,Exercise\n2026-10-05,Squat', { format: 'generic' });
+    expect(result.error).toBe('Missing columns: Weight, Reps');
+    expect(result.rows).toEqual([]);
+    expect(result.sets).toEqual([]);
+  });
+
+  test('reports an error for an empty file', () => {
+    expect(importSets('').error).toBe('Missing columns: Date, Exercise, Weight, Reps');
+  });
+
+  test('reports per-row errors', () => {
+    const text = [
+      'Date,Exercise,Weight,Reps,RPE,Unit,Base Weight',
+      '2026-10-05,,225,5,8,,',
+      'someday,Squat,225,5,8,,',
+      '2026-10-05,Squat,0,5,8,,',
+      '2026-10-05,Squat,225,0,8,,',
+      '2026-10-05,Squat,225,60,8,,',
+      '2026-10-05,Squat,225,5,11,,',
+      '2026-10-05,Squat,225,5,8,stone,',
+      '2026-10-05,Squat,225,5,8,,-45',
+      '2026-10-05,Squat,abc,5,8,,'
+    ].join('\n');
+    expect(importSets(text).rows.map(row => row.error)).toEqual([
+      'Missing exercise',
+      'Invalid date "someday"',
+      'Weight must be positive',
+      'Reps must be positive and ≤ 50',
+      'Reps must be positive and ≤ 50',
+      'RPE must be between 0 and 10',
+      'Unknown unit "stone"',
+      'Base weight must be ≥ 0',
+      'Weight must be positive'
+    ]);
+  });
+
+  test('tolerates short rows', () => {
+    const result = importSets('Date,Exercise,Weight,Reps,RPE\n2026-10-05,Squat,225,5', { defaultRPE: 8 });
+    expect(result.sets[0].rpe).toBe(8);
+  });
+});
+
+describe('exportHistoryCSV', () => {
+  const entries = [
+    { date: '2026-10-05', exercise: 'Squat, high bar', equipmentName: 'Barbell', weight: 180, baseWeight: 45, unit: 'lb', reps: 5, rpe: 8, e1RM: 263.1 },
+    { date: '2026-10-06', exercise: 'Bench', equipmentName: 'Hevy', weight: 100, baseWeight: 0, unit: 'kg', reps: 3, rpe: 9, e1RM: 110.2 }
+  ];
+
+  test('writes a header and one row per entry', () => {
+    expect(parseCSV(exportHistoryCSV(entries))).toEqual([
+      EXPORT_COLUMNS,
+      ['2026-10-05', 'Squat, high bar', 'Barbell', '180', '45', 'lb', '5', '8', '263.1'],
+      ['2026-10-06', 'Bench', 'Hevy', '100', '0', 'kg', '3', '9', '110.2']
+    ]);
+  });
+
+  test('re-imports with the generic format', () => {
+    const { format, sets } = importSets(exportHistoryCSV(entries), { unit: 'lb' });
+    expect(format).toBe('generic');
+    expect(sets[0]).toEqual({
+      exercise: 'Squat, high bar',
+      equipment: '',
+      equipmentName: 'Barbell',
+      date: '2026-10-05',
+      weight: 180,
+      baseWeight: 45,
+      reps: 5,
+      rpe: 8,
+      unit: 'lb'
+    });
+    expect(sets[1]).toMatchObject({ weight: 220.5, unit: 'lb' });
+  });
+});
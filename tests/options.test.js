@@ -0,0 +1,102 @@
+import { describe, test, expect } from 'vitest';
+import { NEARBY_STEPS, listNearbyWeights, rankSetOptions } from '../src/options.js';
+import { calculateSet } from '../src/engine.js';
+import { LINEAR } from './helpers/curves.js';
+
+const DUMBBELLS = { baseWeight: 0, weights: [10, 20, 30, 40, 50, 60] };
+
+describe('listNearbyWeights', () => {
+  test('steps each way from the rounded-down and rounded-up weights', () => {
+    expect(listNearbyWeights(102, { increment: 5 }, 2)).toEqual([95, 100, 105, 110]);
+    expect(listNearbyWeights(102, { increment: 5 })).toHaveLength(2 * NEARBY_STEPS);
+  });
+
+  test('lists an achievable weight once', () => {
+    expect(listNearbyWeights(100, { increment: 5 }, 2)).toEqual([95, 100, 105]);
+  });
+
+  test('never goes below 0', () => {
+    expect(listNearbyWeights(3, { increment: 2.5 })).toEqual([0, 2.5, 5, 7.5, 10]);
+  });
+
+  test('stays inside increment bounds', () => {
+    expect(listNearbyWeights(102, { increment: 5, maxWeight: 110 })).toEqual([90, 95, 100, 105, 110]);
+  });
+
+  test('steps through add-on combinations', () => {
+    const stack = { increment: 10, addOns: [{ weight: 2.5, count: 1 }, { weight: 5, count: 1 }] };
+    expect(listNearbyWeights(104, stack)).toEqual([97.5, 100, 102.5, 105, 107.5, 110]);
+    expect(listNearbyWeights(100, stack, 2)).toEqual([97.5, 100, 102.5]);
+    expect(listNearbyWeights(1, stack)).toEqual([0, 2.5, 5, 7.5]);
+  });
+
+  test('stops stepping through add-ons at the heaviest combination', () => {
+    const stack = { increment: 10, maxWeight: 100, addOns: [{ weight: 2.5, count: 1 }, { weight: 5, count: 1 }] };
+    expect(listNearbyWeights(106, stack)).toEqual([100, 102.5, 105, 107.5]);
+  });
+
+  test('uses neighbouring enumerated weights', () => {
+    expect(listNearbyWeights(33, DUMBBELLS, 2)).toEqual([20, 30, 40, 50]);
+    expect(listNearbyWeights(33, DUMBBELLS)).toEqual([10, 20, 30, 40, 50, 60]);
+  });
+
+  test('stays inside the enumerated weights', () => {
+    expect(listNearbyWeights(5, DUMBBELLS)).toEqual([10, 20, 30]);
+    expect(listNearbyWeights(70, DUMBBELLS)).toEqual([40, 50, 60]);
+  });
+
+  test('returns the weight without an increment or weight list', () => {
+    expect(listNearbyWeights(101.3, {})).toEqual([101.3]);
+  });
+});
+
+describe('rankSetOptions', () => {
+  test('ranks by reps, then RPE, then weight', () => {
+    const options = rankSetOptions({
+      e1RM: 200,
+      exact: { weight: 100, reps: 10, rpe: 10 },
+      equipment: { baseWeight: 0, increment: 5 },
+      formula: LINEAR,
+      steps: 2
+    });
+
+    // 95 and 105 are both a rep off; 105 lands closer to RPE 10
+    expect(options.map(option => option.weight)).toEqual([100, 105, 95]);
+    expect(options[0]).toEqual({ weight: 100, reps: 10, rpe: 10, difference: 0 });
+    expect(options[1]).toEqual({ weight: 105, reps: 9, rpe: 10, difference: 5 });
+    expect(options[2]).toEqual({ weight: 95, reps: 11, rpe: 9.9, difference: -5 });
+  });
+
+  test('puts the closest-rounded set first', () => {
+    const input = {
+      mode: 'weight',
+      reference: { weight: 30, reps: 10, rpe: 9 },
+      target: { reps: 5, rpe: 9 },
+      equipment: DUMBBELLS
+    };
+    const result = calculateSet(input);
+    const options = rankSetOptions({ e1RM: result.e1RM, exact: result.exact, equipment: DUMBBELLS });
+    expect(options[0].weight).toBe(result.rounded.weight);
+    expect(options[0].reps).toBe(result.rounded.reps);
+    expect(options).toHaveLength(6);
+  });
+
+  test('breaks full ties toward the lighter weight', () => {
+    // Flat curve: every weight gives the same reps and RPE
+    const flat = { label: 'Flat', pct: () => 100, reps: () => 5 };
+    const options = rankSetOptions({ e1RM: 200, exact: { weight: 100, reps: 5, rpe: 10 }, equipment: { increment: 10 }, formula: flat, steps: 2 });
+    expect(options.map(option => option.weight)).toEqual([100, 90, 110]);
+  });
+
+  test('rounds reps like the rounding mode', () => {
+    // reps at 97: 10.62 -> 10 reps @ 9.4 when rounding down to keep the RPE
+    const input = { e1RM: 200, exact: { weight: 97, reps: 10.6, rpe: 10 }, formula: LINEAR };
+    expect(rankSetOptions({ ...input, roundingMode: 'max-rpe' })).toEqual([{ weight: 97, reps: 10, rpe: 9.4, difference: 0 }]);
+    expect(rankSetOptions(input)[0].reps).toBe(11);
+  });
+
+  test('defaults to no equipment', () => {
+    const options = rankSetOptions({ e1RM: 200, exact: { weight: 101.3, reps: 9.7, rpe: 10 }, formula: LINEAR });
+    expect(options).toEqual([{ weight: 101.3, reps: 10, rpe: 10.3, difference: 0 }]);
+  });
+});
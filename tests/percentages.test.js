@@ -0,0 +1,85 @@
+import { describe, test, expect } from 'vitest';
+import { CHART_REPS, CHART_RPES, getPercentOf1RM, buildPercentageChart, findChartCell } from '../src/percentages.js';
+import { getPct } from '../src/calc.js';
+import { calculateSet } from '../src/engine.js';
+
+describe('chart axes', () => {
+  test('covers reps 1–20 and RPE 6–10 in half steps', () => {
+    expect(CHART_REPS).toHaveLength(20);
+    expect(CHART_REPS[0]).toBe(1);
+    expect(CHART_REPS[19]).toBe(20);
+    expect(CHART_RPES).toEqual([6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10]);
+  });
+});
+
+describe('getPercentOf1RM', () => {
+  test('is 100% for a single at RPE 10', () => {
+    expect(getPercentOf1RM(1, 10)).toBeCloseTo(100, 10);
+  });
+
+  test('inverts getPct', () => {
+    expect(getPercentOf1RM(5, 8, 'epley') * getPct(5, 8, 'epley')).toBeCloseTo(10000, 8);
+  });
+
+  test('falls with reps and rises with RPE', () => {
+    expect(getPercentOf1RM(6, 9)).toBeLessThan(getPercentOf1RM(5, 9));
+    expect(getPercentOf1RM(5, 9.5)).toBeGreaterThan(getPercentOf1RM(5, 9));
+  });
+});
+
+describe('buildPercentageChart', () => {
+  test('has a row per reps and a cell per RPE', () => {
+    const chart = buildPercentageChart();
+    expect(chart.rpes).toBe(CHART_RPES);
+    expect(chart.rows.map(row => row.reps)).toEqual(CHART_REPS);
+    expect(chart.rows[0].cells.map(cell => cell.rpe)).toEqual(CHART_RPES);
+  });
+
+  test('gives percentages at 0.1 without weights when there is no e1RM', () => {
+    const cell = buildPercentageChart({ formula: 'epley' }).rows[4].cells[4];
+    expect(cell).toEqual({ rpe: 8, pct: Math.round(getPercentOf1RM(5, 8, 'epley') * 10) / 10, weight: null });
+    expect(buildPercentageChart().rows[0].cells[8].pct).toBe(100);
+  });
+
+  test('rounds weights like the calculator', () => {
+    const equipment = { baseWeight: 45, increment: 5 };
+    const reference = { weight: 180, reps: 5, rpe: 8 };
+    const result = calculateSet({ mode: 'weight', reference, target: { reps: 3, rpe: 9 }, equipment, roundingMode: 'up' });
+    const chart = buildPercentageChart({ e1RM: result.e1RM, equipment, roundingMode: 'up' });
+    const { row, column } = findChartCell(chart, 3, 9);
+    expect(chart.rows[row].cells[column].weight).toBe(result.rounded.weight);
+  });
+
+  test('rounds to enumerated weights', () => {
+    const equipment = { baseWeight: 0, weights: [20, 25, 30] };
+    const chart = buildPercentageChart({ e1RM: 38, equipment, roundingMode: 'down', reps: [10], rpes: [8] });
+    expect(chart.rows[0].cells[0].weight).toBe(25);
+  });
+
+  test('never asks for less than the empty bar', () => {
+    const chart = buildPercentageChart({ e1RM: 50, equipment: { baseWeight: 45, increment: 5 }, roundingMode: 'down', reps: [20], rpes: [6] });
+    expect(chart.rows[0].cells[0].weight).toBe(0);
+  });
+
+  test('accepts custom axes', () => {
+    const chart = buildPercentageChart({ reps: [3, 5], rpes: [7, 9] });
+    expect(chart.rows).toHaveLength(2);
+    expect(chart.rows[1].cells.map(cell => cell.rpe)).toEqual([7, 9]);
+  });
+});
+
+describe('findChartCell', () => {
+  const chart = buildPercentageChart();
+
+  test('finds reps and RPE on the chart', () => {
+    expect(findChartCell(chart, 1, 6)).toEqual({ row: 0, column: 0 });
+    expect(findChartCell(chart, 5, 8.5)).toEqual({ row: 4, column: 5 });
+  });
+
+  test('returns null off the chart', () => {
+    expect(findChartCell(chart, 21, 8)).toBeNull();
+    expect(findChartCell(chart, 5.5, 8)).toBeNull();
+    expect(findChartCell(chart, 5, 8.25)).toBeNull();
+    expect(findChartCell(chart, 5, 5)).toBeNull();
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, test, expect } from 'vitest';
+import {
+  PLATE_INVENTORY_KEY,
+  DEFAULT_PLATE_INVENTORY,
+  DEFAULT_PLATE_INVENTORY_KG,
+  calculatePlates,
+  formatPlates,
+  parsePlateInventory,
+  formatPlateInventory,
+  loadPlateInventory,
+  savePlateInventory
+} from '../src/plates.js';
+import { createStorage } from './helpers/storage.js';
+
+describe('calculatePlates', () => {
+  test('loads an exact total', () => {
+    expect(calculatePlates(225, 45)).toEqual({
+      target: 225,
+      total: 225,
+      exact: true,
+      perSide: [{ weight: 45, count: 2 }]
+    });
+  });
+
+  test('uses the fewest plates', () => {
+    // 70 per side: 45 + 25 rather than 35 + 35 or smaller plates
+    const result = calculatePlates(185, 45);
+    expect(result.perSide).toEqual([{ weight: 45, count: 1 }, { weight: 25, count: 1 }]);
+  });
+
+  test('handles fractional plates', () => {
+    const result = calculatePlates(140, 45);
+    expect(result.exact).toBe(true);
+    expect(result.perSide).toEqual([
+      { weight: 45, count: 1 },
+      { weight: 2.5, count: 1 }
+    ]);
+  });
+
+  test('respects plate counts', () => {
+    // One 45 and one 10 per side: 80 per side is 45 + 25 + 10
+    const inventory = [{ weight: 45, count: 2 }, { weight: 25, count: 4 }, { weight: 10, count: 2 }];
+    const result = calculatePlates(205, 45, inventory);
+    expect(result.exact).toBe(true);
+    expect(result.perSide).toEqual([
+      { weight: 45, count: 1 },
+      { weight: 25, count: 1 },
+      { weight: 10, count: 1 }
+    ]);
+  });
+
+  test('uses only pairs of plates', () => {
+    const result = calculatePlates(135, 45, [{ weight: 45, count: 3 }]);
+    expect(result.perSide).toEqual([{ weight: 45, count: 1 }]);
+  });
+
+  test('falls back to the nearest loadable total', () => {
+    const result = calculatePlates(227, 45);
+    expect(result.exact).toBe(false);
+    expect(result.target).toBe(227);
+    expect(result.total).toBe(225);
+  });
+
+  test('picks the lighter total on ties', () => {
+    const result = calculatePlates(140, 45, [{ weight: 45, count: 2 }, { weight: 5, count: 2 }]);
+    // 135 and 145 are both 5 away
+    expect(result.total).toBe(135);
+  });
+
+  test('caps at the heaviest loadable total', () => {
+    const inventory = [{ weight: 45, count: 4 }];
+    const result = calculatePlates(500, 45, inventory);
+    expect(result.total).toBe(225);
+    expect(result.perSide).toEqual([{ weight: 45, count: 2 }]);
+  });
+
+  test('returns an empty bar when total is below the bar weight', () => {
+    const result = calculatePlates(30, 45);
+    expect(result.total).toBe(45);
+    expect(result.perSide).toEqual([]);
+    expect(result.exact).toBe(false);
+  });
+
+  test('returns an empty bar without plates', () => {
+    const result = calculatePlates(100, 45, []);
+    expect(result.total).toBe(45);
+    expect(result.perSide).toEqual([]);
+  });
+
+  test('works with a plate-loaded sled base', () => {
+    const result = calculatePlates(257, 167);
+    expect(result.exact).toBe(true);
+    expect(result.perSide).toEqual([{ weight: 45, count: 1 }]);
+  });
+
+  test('works with kilogram plates', () => {
+    const inventory = [{ weight: 20, count: 4 }, { weight: 1.25, count: 2 }];
+    const result = calculatePlates(62.5, 20, inventory);
+    expect(result.exact).toBe(true);
+    expect(result.perSide).toEqual([{ weight: 20, count: 1 }, { weight: 1.25, count: 1 }]);
+  });
+
+  test('defaults to the default inventory', () => {
+    expect(calculatePlates(135, 45)).toEqual(calculatePlates(135, 45, DEFAULT_PLATE_INVENTORY));
+  });
+});
+
+describe('formatPlates', () => {
+  test('lists plates heaviest first with counts', () => {
+    expect(formatPlates([{ weight: 45, count: 2 }, { weight: 2.5, count: 1 }])).toBe('45 × 2, 2.5');
+  });
+
+  test('returns em dash for an empty bar', () => {
+    expect(formatPlates([])).toBe('—');
+  });
+});
+
+describe('parsePlateInventory', () => {
+  test('parses weights with counts', () => {
+    expect(parsePlateInventory('25x4, 45x8')).toEqual([
+      { weight: 45, count: 8 },
+      { weight: 25, count: 4 }
+    ]);
+  });
+
+  test('accepts ×, * and spaces', () => {
+    expect(parsePlateInventory('45 × 2, 10*4, 2.5 X 2')).toEqual([
+      { weight: 45, count: 2 },
+      { weight: 10, count: 4 },
+      { weight: 2.5, count: 2 }
+    ]);
+  });
+
+  test('assumes a pair without a count', () => {
+    expect(parsePlateInventory('5')).toEqual([{ weight: 5, count: 2 }]);
+  });
+
+  test('returns null for invalid entries', () => {
+    expect(parsePlateInventory('45x8, abc')).toBe(null);
+    expect(parsePlateInventory('0x2')).toBe(null);
+    expect(parsePlateInventory('')).toBe(null);
+  });
+});
+
+describe('formatPlateInventory', () => {
+  test('round-trips through parsePlateInventory', () => {
+    const text = formatPlateInventory(DEFAULT_PLATE_INVENTORY);
+    expect(text).toBe('45x8, 35x2, 25x4, 10x4, 5x4, 2.5x4');
+    expect(parsePlateInventory(text)).toEqual(DEFAULT_PLATE_INVENTORY);
+  });
+});
+
+describe('loadPlateInventory / savePlateInventory', () => {
+  test('round-trips through storage', () => {
+    const storage = createStorage();
+    const inventory = [{ weight: 20, count: 6 }];
+    expect(savePlateInventory(inventory, 'lb', storage)).toBe(true);
+    expect(storage.data[PLATE_INVENTORY_KEY]).toBe(JSON.stringify(inventory));
+    expect(loadPlateInventory('lb', storage)).toEqual(inventory);
+  });
+
+  test('defaults when nothing is stored', () => {
+    expect(loadPlateInventory('lb', createStorage())).toBe(DEFAULT_PLATE_INVENTORY);
+    expect(loadPlateInventory('kg', createStorage())).toBe(DEFAULT_PLATE_INVENTORY_KG);
+  });
+
+  test('keeps a separate inventory per unit', () => {
+    const storage = createStorage();
+    savePlateInventory([{ weight: 20, count: 2 }], 'kg', storage);
+    expect(loadPlateInventory('kg', storage)).toEqual([{ weight: 20, count: 2 }]);
+    expect(loadPlateInventory('lb', storage)).toBe(DEFAULT_PLATE_INVENTORY);
+  });
+
+  test('defaults to pounds and localStorage', () => {
+    savePlateInventory([{ weight: 45, count: 2 }]);
+    expect(loadPlateInventory()).toEqual([{ weight: 45, count: 2 }]);
+    localStorage.removeItem(PLATE_INVENTORY_KEY);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, test, expect } from 'vitest';
+import { MAX_RANGE_WEIGHTS, getWeightInterval, listAchievableWeights, predictRangeSet, calculateRange } from '../src/ranges.js';
+import { getWeightForReps } from '../src/engine.js';
+import { LINEAR } from './helpers/curves.js';
+
+const REPS = { min: 8, max: 12 };
+const RPE = { min: 7, max: 9 };
+
+describe('getWeightInterval', () => {
+  test('runs from most reps at the lowest RPE to fewest reps at the highest', () => {
+    // 12 reps @ 7 is 15 effective reps (250%); 8 reps @ 9 is 9 (190%)
+    const interval = getWeightInterval(200, REPS, RPE, 0, LINEAR);
+    expect(interval.min).toBeCloseTo(80, 10);
+    expect(interval.max).toBeCloseTo(200 * 100 / 190, 10);
+  });
+
+  test('is a point for single values', () => {
+    const interval = getWeightInterval(300, { min: 5, max: 5 }, { min: 8, max: 8 }, 45);
+    expect(interval.min).toBe(interval.max);
+    expect(interval.min).toBeCloseTo(getWeightForReps(300, 5, 8, 45), 10);
+  });
+
+  test('never goes below the empty bar', () => {
+    expect(getWeightInterval(50, REPS, RPE, 45)).toEqual({ min: 0, max: 0 });
+  });
+});
+
+describe('listAchievableWeights', () => {
+  test('steps through increments inside the interval', () => {
+    expect(listAchievableWeights({ min: 80, max: 105.3 }, { increment: 5 })).toEqual({ weights: [80, 85, 90, 95, 100, 105], more: 0 });
+    expect(listAchievableWeights({ min: 81, max: 84 }, { increment: 5 })).toEqual({ weights: [], more: 0 });
+  });
+
+  test('keeps increments within the equipment bounds', () => {
+    const stack = { increment: 5, minWeight: 85, maxWeight: 97 };
+    expect(listAchievableWeights({ min: 80, max: 105.3 }, stack)).toEqual({ weights: [85, 90, 95], more: 0 });
+  });
+
+  test('lists add-on combinations inside the interval', () => {
+    const micro = { weights: [10, 15, 20], addOns: [{ weight: 1.25, count: 2 }] };
+    expect(listAchievableWeights({ min: 11, max: 16.5 }, micro)).toEqual({ weights: [11.25, 12.5, 15, 16.25], more: 0 });
+    expect(listAchievableWeights({ min: 11, max: 16.5 }, micro, 2)).toEqual({ weights: [11.25, 12.5], more: 2 });
+    expect(listAchievableWeights({ min: 30, max: 40 }, micro)).toEqual({ weights: [], more: 0 });
+  });
+
+  test('filters enumerated weights', () => {
+    expect(listAchievableWeights({ min: 20, max: 40 }, { weights: [15, 20, 25, 35, 45] })).toEqual({ weights: [20, 25, 35], more: 0 });
+  });
+
+  test('caps the list', () => {
+    expect(listAchievableWeights({ min: 0, max: 10 }, { increment: 0.5 }, 4)).toEqual({ weights: [0, 0.5, 1, 1.5], more: 17 });
+    expect(listAchievableWeights({ min: 0, max: 100 }, { weights: [10, 20, 30] }, 2)).toEqual({ weights: [10, 20], more: 1 });
+    expect(listAchievableWeights({ min: 0, max: 1000 }, { increment: 1 }).weights).toHaveLength(MAX_RANGE_WEIGHTS);
+  });
+
+  test('lists nothing without an increment or weight list', () => {
+    expect(listAchievableWeights({ min: 80, max: 100 }, {})).toEqual({ weights: [], more: 0 });
+  });
+});
+
+describe('predictRangeSet', () => {
+  test('aims for the middle of the RPE range', () => {
+    // 90 of 200 is 12.2 effective reps: 10 reps @ 7.8
+    const set = predictRangeSet(200, 90, REPS, RPE, 0, LINEAR);
+    expect(set.reps).toBe(10);
+    expect(set.rpe).toBeCloseTo(10 - (200 / 90 * 10 - 10 - 10), 10);
+  });
+
+  test('keeps reps inside the rep range', () => {
+    expect(predictRangeSet(200, 80, REPS, RPE, 0, LINEAR)).toEqual({ weight: 80, reps: 12, rpe: 7 });
+    expect(predictRangeSet(200, 105, REPS, RPE, 0, LINEAR).reps).toBe(8);
+  });
+});
+
+describe('calculateRange', () => {
+  test('returns the interval and every achievable set in it', () => {
+    const result = calculateRange({ e1RM: 200, reps: REPS, rpe: RPE, equipment: { baseWeight: 0, increment: 5 }, formula: LINEAR });
+    expect(result.interval).toEqual({ min: 80, max: 105.3 });
+    expect(result.sets.map(set => set.weight)).toEqual([80, 85, 90, 95, 100, 105]);
+    expect(result.sets[2]).toEqual({ weight: 90, reps: 10, rpe: 7.8 });
+    expect(result.more).toBe(0);
+  });
+
+  test('works on total weight with a base weight', () => {
+    const result = calculateRange({ e1RM: 245, reps: REPS, rpe: RPE, equipment: { baseWeight: 45, weights: [25, 35, 45, 55] }, formula: LINEAR });
+    expect(result.interval).toEqual({ min: 53, max: 83.9 });
+    expect(result.sets.map(set => set.weight)).toEqual([55]);
+  });
+
+  test('defaults to no equipment', () => {
+    const result = calculateRange({ e1RM: 200, reps: REPS, rpe: RPE, formula: LINEAR });
+    expect(result.interval.min).toBe(80);
+    expect(result.sets).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test, expect } from 'vitest';
+import { encodeShareState, decodeShareState } from '../src/share.js';
+
+const state = {
+  mode: 'reps',
+  roundingMode: 'up',
+  unit: 'kg',
+  equipment: 'custom',
+  baseWeight: '20',
+  increment: '1.25',
+  formula: 'epley',
+  combineStrategy: 'median',
+  references: [{ weight: '100', reps: '5', rpe: '8' }, { weight: '95', reps: '6', rpe: '7.5' }],
+  targetWeight: '110',
+  targetRPE: '9'
+};
+
+describe('encodeShareState', () => {
+  test('writes every given input in a fixed order', () => {
+    expect(encodeShareState(state)).toBe(
+      '#mode=reps&round=up&unit=kg&eq=custom&base=20&inc=1.25&formula=epley&combine=median' +
+      '&ref=100_5_8&ref=95_6_7.5&weight=110&rpe=9'
+    );
+  });
+
+  test('keeps blank inputs and leaves out missing ones', () => {
+    expect(encodeShareState({ mode: 'weight', targetReps: '', references: [] })).toBe('#mode=weight&reps=');
+    expect(encodeShareState({})).toBe('#');
+  });
+
+  test('escapes values', () => {
+    expect(encodeShareState({ equipment: 'profile 1&2' })).toBe('#eq=profile+1%262');
+  });
+});
+
+describe('decodeShareState', () => {
+  test('round-trips encoded state', () => {
+    expect(decodeShareState(encodeShareState(state))).toEqual(state);
+    expect(decodeShareState(encodeShareState({ equipment: 'dumbbells_kg_x2' }))).toEqual({ equipment: 'dumbbells_kg_x2' });
+  });
+
+  test('accepts a hash without the leading #', () => {
+    expect(decodeShareState('mode=weight&reps=5')).toEqual({ mode: 'weight', targetReps: '5' });
+  });
+
+  test('accepts the RPE mode', () => {
+    expect(decodeShareState('#mode=rpe&reps=5&weight=225')).toEqual({ mode: 'rpe', targetReps: '5', targetWeight: '225' });
+  });
+
+  test('reads rep and RPE ranges', () => {
+    expect(decodeShareState('#mode=weight&reps=8&rpe=7&repsmax=12&rpemax=9')).toEqual({
+      mode: 'weight', targetReps: '8', targetRPE: '7', targetRepsMax: '12', targetRPEMax: '9'
+    });
+  });
+
+  test('accepts every rounding mode', () => {
+    expect(decodeShareState('#round=max-rpe')).toEqual({ roundingMode: 'max-rpe' });
+    expect(decodeShareState('#round=min-reps')).toEqual({ roundingMode: 'min-reps' });
+  });
+
+  test('accepts the percentage mode', () => {
+    expect(decodeShareState('#mode=percent&reps=5&pct=80')).toEqual({ mode: 'percent', targetReps: '5', targetPercent: '80' });
+    expect(encodeShareState({ mode: 'percent', targetReps: '5', targetPercent: '80' })).toBe('#mode=percent&reps=5&pct=80');
+  });
+
+  test('returns nothing for an empty hash', () => {
+    expect(decodeShareState('')).toEqual({});
+    expect(decodeShareState('#')).toEqual({});
+  });
+
+  test('keeps blank number inputs', () => {
+    expect(decodeShareState('#reps=&ref=__9')).toEqual({ targetReps: '', references: [{ weight: '', reps: '', rpe: '9' }] });
+  });
+
+  test('drops unknown choices and keys', () => {
+    expect(decodeShareState('#mode=sideways&round=nearest&unit=stone&formula=magic&combine=max&eq=&foo=1')).toEqual({});
+  });
+
+  test('drops equipment from My Equipment', () => {
+    expect(decodeShareState('#eq=user_1&unit=kg')).toEqual({ unit: 'kg' });
+  });
+
+  test('drops malformed numbers and reference sets', () => {
+    expect(decodeShareState('#reps=five&rpe=-1&base=1e3&inc=.5&weight=2.')).toEqual({ increment: '.5', targetWeight: '2.' });
+    expect(decodeShareState('#ref=100_5&ref=100_5_8_1&ref=a_5_8&ref=100_5_8')).toEqual({
+      references: [{ weight: '100', reps: '5', rpe: '8' }]
+    });
+    expect(decodeShareState('#ref=100_5')).toEqual({});
+  });
+});
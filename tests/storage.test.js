@@ -0,0 +1,48 @@
+import { describe, test, expect } from 'vitest';
+import { loadJSON, saveJSON } from '../src/storage.js';
+import { createStorage } from './helpers/storage.js';
+
+describe('loadJSON', () => {
+  test('parses stored JSON', () => {
+    const storage = createStorage({ key: '{"a":1}' });
+    expect(loadJSON('key', null, storage)).toEqual({ a: 1 });
+  });
+
+  test('returns fallback when missing', () => {
+    expect(loadJSON('key', [], createStorage())).toEqual([]);
+  });
+
+  test('returns fallback for corrupt JSON', () => {
+    expect(loadJSON('key', 'fallback', createStorage({ key: '{oops' }))).toBe('fallback');
+  });
+
+  test('returns fallback when storage throws', () => {
+    const storage = { getItem: () => { throw new Error('denied'); } };
+    expect(loadJSON('key', 'fallback', storage)).toBe('fallback');
+  });
+
+  test('defaults to localStorage', () => {
+    localStorage.setItem('setcalc.test', '[1,2]');
+    expect(loadJSON('setcalc.test', null)).toEqual([1, 2]);
+    localStorage.removeItem('setcalc.test');
+  });
+});
+
+describe('saveJSON', () => {
+  test('stores JSON', () => {
+    const storage = createStorage();
+    expect(saveJSON('key', { a: 1 }, storage)).toBe(true);
+    expect(storage.data.key).toBe('{"a":1}');
+  });
+
+  test('returns false when storage throws', () => {
+    const storage = { setItem: () => { throw new Error('quota'); } };
+    expect(saveJSON('key', 1, storage)).toBe(false);
+  });
+
+  test('defaults to localStorage', () => {
+    saveJSON('setcalc.test', { b: 2 });
+    expect(localStorage.getItem('setcalc.test')).toBe('{"b":2}');
+    localStorage.removeItem('setcalc.test');
+  });
+});
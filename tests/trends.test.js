@@ -0,0 +1,106 @@
+import { describe, test, expect } from 'vitest';
+import {
+  TREND_WINDOW_DAYS,
+  getDayNumber,
+  getDailyE1RMs,
+  getRollingBest,
+  getRollingAverage,
+  layoutTrendChart
+} from '../src/trends.js';
+import { getPct } from '../src/calc.js';
+
+const entry = (date, weight, reps = 5, rpe = 8, extra = {}) => ({ exercise: 'Squat', date, weight, reps, rpe, baseWeight: 0, unit: 'lb', ...extra });
+const point = (date, e1RM) => ({ date, day: getDayNumber(date), e1RM });
+const size = { width: 300, height: 150, padding: 10 };
+
+describe('getDayNumber', () => {
+  test('counts days since the epoch', () => {
+    expect(getDayNumber('1970-01-01')).toBe(0);
+    expect(getDayNumber('1970-01-31')).toBe(30);
+  });
+
+  test('is unaffected by daylight saving changes', () => {
+    expect(getDayNumber('2026-03-09') - getDayNumber('2026-03-08')).toBe(1);
+  });
+});
+
+describe('getDailyE1RMs', () => {
+  test('estimates e1RM with getPct', () => {
+    const [daily] = getDailyE1RMs([entry('2026-10-01', 200, 5, 8, { baseWeight: 25 })]);
+    expect(daily.e1RM).toBeCloseTo(225 * getPct(5, 8) / 100, 10);
+    expect(daily.day).toBe(getDayNumber('2026-10-01'));
+  });
+
+  test('keeps the best set per day, sorted by date', () => {
+    const entries = [entry('2026-10-03', 200), entry('2026-10-01', 200), entry('2026-10-01', 220), entry('2026-10-01', 210)];
+    const points = getDailyE1RMs(entries);
+    expect(points.map(p => p.date)).toEqual(['2026-10-01', '2026-10-03']);
+    expect(points[0].entry.weight).toBe(220);
+  });
+
+  test('converts to the selected unit and uses the formula', () => {
+    const [kg] = getDailyE1RMs([entry('2026-10-01', 100, 5, 8, { unit: 'kg' })], 'lb', 'epley');
+    expect(kg.e1RM).toBeCloseTo(220.462 * getPct(5, 8, 'epley') / 100, 2);
+
+    const [legacy] = getDailyE1RMs([{ date: '2026-10-01', weight: 220.462262185, reps: 1, rpe: 10 }], 'kg');
+    expect(legacy.e1RM).toBeCloseTo(100, 6);
+  });
+});
+
+describe('getRollingBest / getRollingAverage', () => {
+  const points = [point('2026-09-01', 100), point('2026-09-10', 110), point('2026-09-20', 105), point('2026-10-15', 90)];
+
+  test('rolling best takes the maximum within the window', () => {
+    expect(getRollingBest(points).map(p => p.value)).toEqual([100, 110, 110, 105]);
+  });
+
+  test('rolling average takes the mean within the window', () => {
+    expect(getRollingAverage(points).map(p => p.value)).toEqual([100, 105, 105, 97.5]);
+  });
+
+  test('respects the window length', () => {
+    expect(getRollingBest(points, 10).map(p => p.value)).toEqual([100, 110, 105, 90]);
+    expect(getRollingAverage(points, 60).map(p => p.value)).toEqual([100, 105, 105, 101.25]);
+  });
+
+  test('keeps each point date', () => {
+    expect(getRollingBest(points)[1]).toEqual({ date: '2026-09-10', day: points[1].day, value: 110 });
+    expect(TREND_WINDOW_DAYS).toBe(28);
+  });
+});
+
+describe('layoutTrendChart', () => {
+  test('returns null without points', () => {
+    expect(layoutTrendChart([], {}, size)).toBeNull();
+  });
+
+  test('scales points into the padded area', () => {
+    const points = [point('2026-10-01', 200), point('2026-10-11', 300)];
+    const chart = layoutTrendChart(points, {}, size);
+    expect(chart.points[0]).toMatchObject({ x: 10, y: 140 });
+    expect(chart.points[1]).toMatchObject({ x: 290, y: 10 });
+    expect(chart.yTicks.map(tick => tick.value)).toEqual([200, 225, 250, 275, 300]);
+    expect(chart.xTicks).toEqual([{ x: 10, date: '2026-10-01' }, { x: 290, date: '2026-10-11' }]);
+  });
+
+  test('builds path data for each line', () => {
+    const points = [point('2026-10-01', 200), point('2026-10-11', 300)];
+    const chart = layoutTrendChart(points, { best: getRollingBest(points) }, size);
+    expect(chart.lines.best).toBe('M10,140 L290,10');
+  });
+
+  test('includes line values in the vertical range', () => {
+    const points = [point('2026-10-01', 200), point('2026-10-11', 300)];
+    const chart = layoutTrendChart(points, { low: [{ day: points[0].day, value: 100 }] }, size);
+    expect(chart.yTicks[0].value).toBe(100);
+  });
+
+  test('handles a single point', () => {
+    const chart = layoutTrendChart([point('2026-10-01', 250)], {}, size);
+    expect(chart.points[0].x).toBe(10);
+    expect(chart.points[0].y).toBeGreaterThanOrEqual(10);
+    expect(chart.points[0].y).toBeLessThanOrEqual(140);
+    expect(chart.xTicks).toEqual([{ x: 10, date: '2026-10-01' }]);
+    expect(chart.yTicks.length).toBeGreaterThanOrEqual(2);
+  });
+});
@@ -457,6 +457,1072 @@ test.describe('SetCalc UI Tests', () => {
     });
   });
 
+  test.describe('Formula Selection', () => {
+    test('defaults to the Berger equation', async ({ page }) => {
+      await expect(page.locator('#formula')).toHaveValue('berger');
+    });
+
+    test('updates calculation when formula changes', async ({ page }) => {
+      const bergerOutput = await page.locator('#outputWeight').textContent();
+
+      await page.locator('#formula').selectOption('brzycki');
+      const brzyckiOutput = await page.locator('#outputWeight').textContent();
+
+      expect(brzyckiOutput).not.toBe('—');
+      expect(parseFloat(brzyckiOutput)).not.toBe(parseFloat(bergerOutput));
+    });
+
+    test('handles every formula option', async ({ page }) => {
+      const options = ['berger', 'epley', 'brzycki', 'lombardi', 'mayhew', 'oconner', 'wathan', 'lander'];
+
+      for (const value of options) {
+        await page.locator('#formula').selectOption(value);
+        await expect(page.locator('#outputWeight')).not.toHaveText('—');
+        await expect(page.locator('#roundedRPE')).not.toHaveText('—');
+      }
+    });
+
+    test('rejects reference sets outside the formula range', async ({ page }) => {
+      await page.locator('#formula').selectOption('brzycki');
+      await page.locator('#refReps').fill('40');
+      await page.locator('#refRPE').fill('10');
+
+      await expect(page.locator('#refReps')).toHaveClass(/invalid/);
+      await expect(page.locator('#refRepsError')).toContainText('Brzycki only works up to 30 reps to failure');
+      await expect(page.locator('#outputWeight')).toHaveText('—');
+
+      await page.locator('#formula').selectOption('berger');
+      await expect(page.locator('#refRepsError')).toHaveText('');
+      await expect(page.locator('#outputWeight')).not.toHaveText('—');
+    });
+  });
+
+  test.describe('Personal Curve', () => {
+    test('prompts for more sets before fitting', async ({ page }) => {
+      await expect(page.locator('#fitSummary')).toContainText('Log at least 3 sets');
+    });
+
+    test('fits a personal coefficient from logged sets', async ({ page }) => {
+      const sets = [['150', '3', '9'], ['130', '8', '9'], ['110', '14', '10']];
+      for (const [weight, reps, rpe] of sets) {
+        await page.locator('#logWeight').fill(weight);
+        await page.locator('#logReps').fill(reps);
+        await page.locator('#logRPE').fill(rpe);
+        await page.locator('#logSetBtn').click();
+      }
+
+      await expect(page.locator('#historyList li')).toHaveCount(3);
+      await expect(page.locator('#fitSummary')).toContainText('k = ');
+      await expect(page.locator('#fitSummary')).toContainText('n = 3');
+    });
+
+    test('rejects invalid logged sets', async ({ page }) => {
+      await page.locator('#logWeight').fill('100');
+      await page.locator('#logReps').fill('-1');
+      await page.locator('#logRPE').fill('9');
+      await page.locator('#logSetBtn').click();
+
+      await expect(page.locator('#logReps')).toHaveClass(/invalid/);
+      await expect(page.locator('#historyList li')).toHaveCount(0);
+    });
+
+    test('fits from sets logged to history', async ({ page }) => {
+      await page.locator('#historyExercise').fill('Squat');
+      const sets = [['150', '3', '9'], ['130', '8', '9'], ['110', '14', '10']];
+      for (const [weight, reps, rpe] of sets) {
+        await page.locator('#refWeight').fill(weight);
+        await page.locator('#refReps').fill(reps);
+        await page.locator('#refRPE').fill(rpe);
+        await page.locator('#targetReps').fill(reps);
+        await page.locator('#targetRPE').fill(rpe);
+        await page.locator('#logHistoryBtn').click();
+      }
+
+      await expect(page.locator('#fitScope option[value="Squat"]')).toHaveCount(1);
+      await expect(page.locator('#fitSummary')).toContainText('n = 3');
+    });
+  });
+
+  test.describe('Multiple Reference Sets', () => {
+    test('hides combination controls for a single set', async ({ page }) => {
+      await expect(page.locator('#combineStrategyGroup')).toHaveClass(/hidden/);
+      await expect(page.locator('#refEstimates')).toHaveClass(/hidden/);
+    });
+
+    test('adds a reference set prefilled from the last set', async ({ page }) => {
+      await page.locator('#addRefSetBtn').click();
+
+      await expect(page.locator('#refWeight2')).toHaveValue('100');
+      await expect(page.locator('#combineStrategyGroup')).not.toHaveClass(/hidden/);
+      await expect(page.locator('#refEstimates li')).toHaveCount(2);
+    });
+
+    test('combines sets with the selected strategy', async ({ page }) => {
+      await page.locator('#addRefSetBtn').click();
+      await page.locator('#refWeight2').fill('120');
+
+      const recent = parseFloat(await page.locator('#outputWeight').textContent());
+      await page.locator('#combineStrategy').selectOption('mean');
+      const mean = parseFloat(await page.locator('#outputWeight').textContent());
+
+      expect(mean).toBeLessThan(recent);
+    });
+
+    test('flags outlier sets', async ({ page }) => {
+      for (let i = 0; i < 3; i++) {
+        await page.locator('#addRefSetBtn').click();
+      }
+      await page.locator('#refRPE4').fill('6');
+
+      await expect(page.locator('#refEstimates li.outlier')).toHaveCount(1);
+      await expect(page.locator('#refEstimates li.outlier')).toContainText('outlier');
+    });
+
+    test('removes an added set', async ({ page }) => {
+      await page.locator('#addRefSetBtn').click();
+      await page.locator('#refSet2 button').click();
+
+      await expect(page.locator('#refWeight2')).toHaveCount(0);
+      await expect(page.locator('#combineStrategyGroup')).toHaveClass(/hidden/);
+    });
+  });
+
+  test.describe('Plate Loading', () => {
+    test('shows the per-side plate stack for the rounded weight', async ({ page }) => {
+      await page.locator('#equipment').selectOption('25'); // Smith Machine
+      await page.locator('#refWeight').fill('200');
+
+      await expect(page.locator('#barWeight')).toHaveValue('25');
+      await expect(page.locator('#platesPerSide')).not.toHaveText('—');
+    });
+
+    test('reports the nearest loadable total', async ({ page }) => {
+      await page.locator('#plateInventory').fill('45x2');
+      await page.locator('#refWeight').fill('200');
+
+      await expect(page.locator('#platesNote')).toContainText('nearest is 135');
+    });
+
+    test('validates the plate inventory', async ({ page }) => {
+      await page.locator('#plateInventory').fill('plates');
+
+      await expect(page.locator('#plateInventory')).toHaveClass(/invalid/);
+      await expect(page.locator('#platesPerSide')).toHaveText('—');
+    });
+
+    test('is hidden for enumerated equipment', async ({ page }) => {
+      await page.locator('#equipment').selectOption('dumbbells');
+      await expect(page.locator('#plateSection')).toHaveClass(/hidden/);
+    });
+  });
+
+  test.describe('My Equipment', () => {
+    test('adds a profile to the equipment select', async ({ page }) => {
+      await page.locator('#profileName').fill('Hack Squat');
+      await page.locator('#profileBaseWeight').fill('90');
+      await page.locator('#profileIncrement').fill('10');
+      await page.locator('#saveProfileBtn').click();
+
+      await expect(page.locator('#equipmentProfiles li')).toHaveCount(1);
+      await page.locator('#equipment').selectOption({ label: 'Hack Squat' });
+      await expect(page.locator('#customWeight')).toHaveValue('90');
+      await expect(page.locator('#weightIncrement')).toHaveValue('10');
+    });
+
+    test('sorts and de-duplicates weight lists', async ({ page }) => {
+      await page.locator('#profileName').fill('Kettlebells');
+      await page.locator('#profileType').selectOption('weights');
+      await page.locator('#profileWeights').fill('24, 8, 16, 8');
+      await page.locator('#saveProfileBtn').click();
+
+      await expect(page.locator('#equipmentProfiles li')).toContainText('8, 16, 24');
+    });
+
+    test('requires a name', async ({ page }) => {
+      await page.locator('#saveProfileBtn').click();
+      await expect(page.locator('#profileError')).toHaveText('Name is required');
+    });
+
+    test('persists profiles across reloads', async ({ page }) => {
+      await page.locator('#profileName').fill('Belt Squat');
+      await page.locator('#saveProfileBtn').click();
+      await page.reload();
+
+      await expect(page.locator('#equipmentProfiles li')).toContainText('Belt Squat');
+    });
+
+    test('remembers custom base weight and increment', async ({ page }) => {
+      await page.locator('#equipment').selectOption('custom');
+      await page.locator('#customWeight').fill('35');
+      await page.locator('#weightIncrement').fill('2.5');
+      await page.reload();
+
+      await page.locator('#equipment').selectOption('custom');
+      await expect(page.locator('#customWeight')).toHaveValue('35');
+      await expect(page.locator('#weightIncrement')).toHaveValue('2.5');
+    });
+  });
+
+  test.describe('Units', () => {
+    test('converts entered weights and switches equipment when changing units', async ({ page }) => {
+      await page.locator('#equipment').selectOption('dumbbells');
+      await page.locator('#refWeight').fill('50');
+      await page.locator('#weightUnit').selectOption('kg');
+
+      await expect(page.locator('#refWeight')).toHaveValue('22.7');
+      await expect(page.locator('#equipment')).toHaveValue('dumbbells_kg');
+      await expect(page.locator('.unit-label').first()).toHaveText('kg');
+    });
+
+    test('switches machines to their kilogram preset and keeps the total weight', async ({ page }) => {
+      await page.locator('#equipment').selectOption('167');
+      await page.locator('#refWeight').fill('100');
+      await page.locator('#weightUnit').selectOption('kg');
+
+      await expect(page.locator('#equipment')).toHaveValue('leg_press_kg');
+      await expect(page.locator('#customWeight')).toHaveValue('75.7');
+      await expect(page.locator('#refWeight')).toHaveValue('45.4');
+    });
+
+    test('keeps the total weight when the base weight has no counterpart', async ({ page }) => {
+      await page.locator('#weightUnit').selectOption('kg');
+      await page.locator('#equipment').selectOption('barbell_kg');
+      await page.locator('#refWeight').fill('60');
+      await page.locator('#weightUnit').selectOption('lb');
+
+      await expect(page.locator('#equipment')).toHaveValue('0');
+      await expect(page.locator('#refWeight')).toHaveValue('176.4');
+    });
+
+    test('rounds to kilogram equipment', async ({ page }) => {
+      await page.locator('#weightUnit').selectOption('kg');
+      await page.locator('#equipment').selectOption('barbell_kg');
+      await page.locator('#refWeight').fill('60');
+
+      await expect(page.locator('#customWeight')).toHaveValue('20');
+      await expect(page.locator('#barWeight')).toHaveValue('20');
+      await expect(page.locator('#roundedWeight')).toHaveText('72.5');
+    });
+
+    test('remembers the unit after reload', async ({ page }) => {
+      await page.locator('#weightUnit').selectOption('kg');
+      await page.reload();
+
+      await expect(page.locator('#weightUnit')).toHaveValue('kg');
+      await expect(page.locator('#equipment')).toHaveValue('none_kg');
+    });
+  });
+
+  test.describe('Warm-up', () => {
+    test('ramps toward the rounded working weight', async ({ page }) => {
+      await page.locator('#refWeight').fill('200');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#targetReps').fill('5');
+      await page.locator('#targetRPE').fill('9');
+
+      await expect(page.locator('#warmupSets li')).toHaveCount(5);
+      await expect(page.locator('#warmupSets li').first()).toHaveText('45 × 10 (bar)');
+    });
+
+    test('switches templates by lift type', async ({ page }) => {
+      await page.locator('#warmupTemplate').selectOption('accessory');
+
+      await expect(page.locator('#warmupSteps')).toHaveValue('50% x8, 75% x4');
+      await expect(page.locator('#warmupSets li')).toHaveCount(2);
+    });
+
+    test('remembers edited steps and resets them', async ({ page }) => {
+      await page.locator('#warmupSteps').fill('bar x5, 60% x3');
+      await page.reload();
+      await expect(page.locator('#warmupSteps')).toHaveValue('bar x5, 60% x3');
+
+      await page.locator('#resetWarmupBtn').click();
+      await expect(page.locator('#warmupSteps')).toHaveValue('bar x10, 40% x5, 60% x3, 75% x2, 85% x1');
+    });
+
+    test('validates the steps', async ({ page }) => {
+      await page.locator('#warmupSteps').fill('warm up');
+
+      await expect(page.locator('#warmupSteps')).toHaveClass(/invalid/);
+      await expect(page.locator('#warmupSets li')).toHaveCount(0);
+    });
+  });
+
+  test.describe('Multiple Sets', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#refWeight').fill('200');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#targetReps').fill('5');
+      await page.locator('#targetRPE').fill('9');
+    });
+
+    test('projects reps for each set with total volume', async ({ page }) => {
+      await expect(page.locator('#projectedSets li')).toHaveCount(4);
+      await expect(page.locator('#projectedSets li').first()).toContainText('× 5 @ 9');
+      await expect(page.locator('#projectionSummary')).toContainText('volume');
+    });
+
+    test('shorter rest lowers later sets', async ({ page }) => {
+      const lastSet = page.locator('#projectedSets li').last();
+      await expect(lastSet).toContainText('× 1 @');
+      await page.locator('#projectionRest').fill('1');
+      await expect(lastSet).toHaveClass(/warning/);
+    });
+
+    test('projects RPE at fixed reps', async ({ page }) => {
+      await page.locator('#projectionMode').selectOption('rpe');
+      await expect(page.locator('#projectedSets li').nth(1)).toContainText('× 5 @');
+      await expect(page.locator('#projectionSummary')).toContainText('past failure');
+    });
+
+    test('validates the number of sets', async ({ page }) => {
+      await page.locator('#projectionSets').fill('0');
+      await expect(page.locator('#projectionSets')).toHaveClass(/invalid/);
+      await expect(page.locator('#projectedSets li')).toHaveCount(0);
+    });
+  });
+
+  test.describe('Back-off Sets', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#equipment').selectOption('25'); // Smith Machine
+      await page.locator('#refWeight').fill('200');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#targetReps').fill('3');
+      await page.locator('#targetRPE').fill('9');
+    });
+
+    test('drops the top set by a percentage', async ({ page }) => {
+      await expect(page.locator('#roundedWeight')).toHaveText('220');
+      await expect(page.locator('#backoffSets li')).toHaveText(['195 × 6 @ 8.1 (−10.2%)']);
+    });
+
+    test('finds the weight for reps at an RPE', async ({ page }) => {
+      await page.locator('#backoffType').selectOption('rpe');
+      await expect(page.locator('#backoffDropGroup')).toHaveClass(/hidden/);
+      await expect(page.locator('#backoffSets li')).toHaveText(['200 × 5 @ 8 (−8.2%)']);
+    });
+
+    test('builds a drop-set chain to the rep total', async ({ page }) => {
+      await page.locator('#backoffType').selectOption('dropset');
+      await page.locator('#backoffRPE').fill('10');
+
+      await expect(page.locator('#backoffSets li').first()).toContainText('(top set)');
+      await expect(page.locator('#backoffSummary')).toHaveText('20 of 20 reps in 4 drops');
+    });
+
+    test('validates the drop', async ({ page }) => {
+      await page.locator('#backoffDrop').fill('100');
+      await expect(page.locator('#backoffDrop')).toHaveClass(/invalid/);
+      await expect(page.locator('#backoffSets li')).toHaveCount(0);
+    });
+  });
+
+  test.describe('History', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#refWeight').fill('200');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#targetReps').fill('5');
+      await page.locator('#targetRPE').fill('9');
+      await page.locator('#historyExercise').fill('Squat');
+      await page.locator('#logHistoryBtn').click();
+    });
+
+    test('logs the current set with its e1RM', async ({ page }) => {
+      const entry = page.locator('#historyList li').first();
+      await expect(entry).toContainText('Squat');
+      await expect(entry).toContainText('205.5 lbs × 5 @ 9');
+      await expect(entry).toContainText('e1RM');
+    });
+
+    test('refuses a set past failure', async ({ page }) => {
+      await page.locator('#togglePercent').click();
+      await page.locator('#targetPercent').fill('100');
+      await page.locator('#logHistoryBtn').click();
+
+      await expect(page.locator('#historyStatus')).toHaveText("Can't log this set: RPE must be ≤ 10");
+      await expect(page.locator('#historyList li')).toHaveCount(1);
+    });
+
+    test('keeps history after reload', async ({ page }) => {
+      await page.reload();
+      await expect(page.locator('#historyList li')).toHaveCount(1);
+    });
+
+    test('filters by exercise and date', async ({ page }) => {
+      await page.locator('#historyExercise').fill('Bench');
+      await page.locator('#historyDate').fill('2026-01-02');
+      await page.locator('#logHistoryBtn').click();
+      await expect(page.locator('#historyList li')).toHaveCount(2);
+
+      await page.locator('#historyFilterExercise').selectOption('Bench');
+      await expect(page.locator('#historyList li')).toHaveCount(1);
+
+      await page.locator('#historyFilterExercise').selectOption('');
+      await page.locator('#historyTo').fill('2026-06-01');
+      await expect(page.locator('#historyList li')).toHaveCount(1);
+      await expect(page.locator('#historyList li')).toContainText('Bench');
+    });
+
+    test('edits and deletes entries', async ({ page }) => {
+      await page.locator('#historyList li button').first().click();
+      await expect(page.locator('#historyEditRow')).not.toHaveClass(/hidden/);
+      await page.locator('#historyReps').fill('3');
+      await page.locator('#logHistoryBtn').click();
+      await expect(page.locator('#historyList li')).toContainText('× 3 @');
+
+      await page.locator('#historyList li button').last().click();
+      await expect(page.locator('#historyList li')).toHaveCount(0);
+    });
+  });
+
+  test.describe('Trends', () => {
+    test('prompts to log sets when there is no history', async ({ page }) => {
+      await expect(page.locator('#trendSummary')).toHaveText('Log sets in History to see e1RM trends');
+      await expect(page.locator('#trendChart circle')).toHaveCount(0);
+    });
+
+    test('charts the best e1RM per day with rolling lines', async ({ page }) => {
+      await page.locator('#historyExercise').fill('Squat');
+      for (const [date, weight] of [['2026-09-01', '200'], ['2026-09-15', '210'], ['2026-10-01', '205']]) {
+        await page.locator('#refWeight').fill(weight);
+        await page.locator('#historyDate').fill(date);
+        await page.locator('#logHistoryBtn').click();
+      }
+
+      await expect(page.locator('#trendChart circle')).toHaveCount(3);
+      await expect(page.locator('#trendChart path.trend-best')).toHaveCount(1);
+      await expect(page.locator('#trendChart path.trend-average')).toHaveCount(1);
+      await expect(page.locator('#trendChart circle title').first()).toContainText('2026-09-01 · Squat');
+      await expect(page.locator('#trendSummary')).toContainText('28-day best');
+    });
+
+    test('charts one exercise at a time', async ({ page }) => {
+      for (const exercise of ['Squat', 'Bench']) {
+        await page.locator('#historyExercise').fill(exercise);
+        await page.locator('#logHistoryBtn').click();
+      }
+
+      await expect(page.locator('#trendExercise option')).toHaveText(['Bench', 'Squat']);
+      await expect(page.locator('#trendExercise')).toHaveValue('Squat');
+      await expect(page.locator('#trendChart circle')).toHaveCount(1);
+
+      await page.locator('#trendExercise').selectOption('Bench');
+      await expect(page.locator('#trendChart circle title')).toContainText('Bench');
+    });
+
+    test('shows point details on tap', async ({ page }) => {
+      await page.locator('#historyExercise').fill('Bench');
+      await page.locator('#logHistoryBtn').click();
+      await page.locator('#trendChart circle').click();
+
+      await expect(page.locator('#trendSummary')).toContainText('Bench');
+      await expect(page.locator('#trendSummary')).toContainText('→ e1RM');
+    });
+  });
+
+  test.describe('Import / Export', () => {
+    const strongCSV = [
+      'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+      '2026-10-05 18:00:00,Legs,1h,Squat,W,135,5,,,,,',
+      '2026-10-05 18:00:00,Legs,1h,Squat,1,225,5,,,,,8',
+      '2026-10-06 18:00:00,Legs,1h,Squat,1,235,3,,,,,',
+      '2026-10-07 18:00:00,Legs,1h,Squat,1,245,1,,,,,9.5'
+    ].join('\n');
+
+    async function chooseCSV(page, text) {
+      await page.locator('#importFile').setInputFiles({ name: 'export.csv', mimeType: 'text/csv', buffer: Buffer.from(text) });
+    }
+
+    test('previews a Strong export with per-row errors', async ({ page }) => {
+      await chooseCSV(page, strongCSV);
+      await expect(page.locator('#importFormat')).toHaveValue('strong');
+      await expect(page.locator('#importMapping')).toHaveClass(/hidden/);
+      await expect(page.locator('#importPreview li')).toHaveCount(4);
+      await expect(page.locator('#importPreview li.warning')).toContainText('Row 4: Missing RPE');
+      await expect(page.locator('#importSummary')).toHaveText('2 sets ready · 1 with errors · 1 skipped');
+
+      await page.locator('#importDefaultRPE').fill('8');
+      await expect(page.locator('#importSummary')).toHaveText('3 sets ready · 0 with errors · 1 skipped');
+    });
+
+    test('maps columns for other files', async ({ page }) => {
+      await chooseCSV(page, 'When,Lift,Kilos,Count,RIR\n2026-10-05,Deadlift,180,3,1\n');
+      await expect(page.locator('#importFormat')).toHaveValue('generic');
+      await expect(page.locator('#importMapping')).not.toHaveClass(/hidden/);
+      await expect(page.locator('#importSummary')).toHaveText('Missing columns: Date, Weight, Reps');
+
+      await page.locator('#importMapping select[data-field="date"]').selectOption('When');
+      await page.locator('#importMapping select[data-field="weight"]').selectOption('Kilos');
+      await page.locator('#importMapping select[data-field="reps"]').selectOption('Count');
+      await page.locator('#importUnit').selectOption('kg');
+      await expect(page.locator('#importPreview li').first()).toContainText('Deadlift · 396.8 lbs × 3 @ 9');
+    });
+
+    test('imports sets into the history and seeds the reference set', async ({ page }) => {
+      await chooseCSV(page, strongCSV);
+      await page.locator('#importHistoryBtn').click();
+      await expect(page.locator('#importSummary')).toHaveText('Imported 2 sets');
+      await expect(page.locator('#historyList li')).toHaveCount(2);
+      await expect(page.locator('#importPreview li')).toHaveCount(0);
+
+      await page.locator('#seedExercise').selectOption('Squat');
+      await page.locator('#seedStrategy').selectOption('best');
+      await page.locator('#seedReferenceBtn').click();
+      await expect(page.locator('#refWeight')).toHaveValue('225');
+      await expect(page.locator('#refReps')).toHaveValue('5');
+      await expect(page.locator('#refRPE')).toHaveValue('8');
+
+      await page.locator('#seedStrategy').selectOption('recent');
+      await page.locator('#seedReferenceBtn').click();
+      await expect(page.locator('#refWeight')).toHaveValue('245');
+      await expect(page.locator('#refRPE')).toHaveValue('9.5');
+    });
+
+    test('exports the history as CSV', async ({ page }) => {
+      await page.locator('#historyExercise').fill('Squat');
+      await page.locator('#logHistoryBtn').click();
+      const downloadPromise = page.waitForEvent('download');
+      await page.locator('#exportHistoryBtn').click();
+      const download = await downloadPromise;
+      expect(download.suggestedFilename()).toMatch(/^setcalc-history-\d{4}-\d{2}-\d{2}\.csv$/);
+      const text = await (await download.createReadStream()).toArray();
+      expect(Buffer.concat(text).toString()).toContain('Date,Exercise,Equipment,Weight,Base Weight,Unit,Reps,RPE,e1RM');
+    });
+  });
+
+  test.describe('Sharing', () => {
+    test('keeps the URL updated as inputs change', async ({ page }) => {
+      await page.locator('#refWeight').fill('225');
+      await page.locator('#targetRPE').fill('8');
+      await page.locator('#roundUp').click();
+      await expect(page).toHaveURL(/round=up/);
+      await expect(page).toHaveURL(/ref=225_10_9/);
+      await expect(page).toHaveURL(/rpe=8/);
+    });
+
+    test('restores inputs from a shared link', async ({ page }) => {
+      await page.goto('/#mode=reps&round=up&unit=kg&eq=custom&base=20&inc=1.25&formula=epley&combine=median&ref=100_5_8&ref=95_6_7.5&weight=110&rpe=9');
+      await expect(page.locator('#toggleReps')).toHaveClass(/active/);
+      await expect(page.locator('#roundUp')).toHaveClass(/active/);
+      await expect(page.locator('#weightUnit')).toHaveValue('kg');
+      await expect(page.locator('#equipment')).toHaveValue('custom');
+      await expect(page.locator('#customWeight')).toHaveValue('20');
+      await expect(page.locator('#weightIncrement')).toHaveValue('1.25');
+      await expect(page.locator('#formula')).toHaveValue('epley');
+      await expect(page.locator('#refWeight2')).toHaveValue('95');
+      await expect(page.locator('#combineStrategy')).toHaveValue('median');
+      await expect(page.locator('#targetWeight')).toHaveValue('110');
+      await expect(page.locator('#outputReps')).toHaveText('3.1');
+    });
+
+    test('keeps shared Custom equipment out of the saved Custom values', async ({ page }) => {
+      await page.goto('/#eq=custom&base=33&inc=2.5');
+      await expect(page.locator('#customWeight')).toHaveValue('33');
+      await expect(page.locator('#weightIncrement')).toHaveValue('2.5');
+
+      await page.goto('/');
+      await page.locator('#equipment').selectOption('custom');
+      await expect(page.locator('#customWeight')).toHaveValue('0');
+      await expect(page.locator('#weightIncrement')).toHaveValue('0.5');
+    });
+
+    test('leaves My Equipment out of the link', async ({ page }) => {
+      await page.locator('#profileName').fill('Hack Squat');
+      await page.locator('#profileBaseWeight').fill('90');
+      await page.locator('#profileIncrement').fill('10');
+      await page.locator('#saveProfileBtn').click();
+      await page.locator('#equipment').selectOption({ label: 'Hack Squat' });
+      await expect(page).not.toHaveURL(/eq=/);
+
+      await page.goto('/#eq=user_1');
+      await expect(page.locator('#equipment')).toHaveValue('0');
+    });
+
+    test('ignores unknown values in the link', async ({ page }) => {
+      await page.goto('/#mode=sideways&eq=missing&reps=five&rpe=8');
+      await expect(page.locator('#toggleWeight')).toHaveClass(/active/);
+      await expect(page.locator('#equipment')).toHaveValue('0');
+      await expect(page.locator('#targetReps')).toHaveValue('5');
+      await expect(page.locator('#targetRPE')).toHaveValue('8');
+    });
+  });
+
+  test.describe('Exercise Library', () => {
+    test('picks the default equipment for an exercise', async ({ page }) => {
+      await page.locator('#exercise').selectOption('Leg Press');
+      await expect(page.locator('#equipment')).toHaveValue('167');
+      await expect(page.locator('#customWeight')).toHaveValue('167');
+      await expect(page.locator('#removeExerciseBtn')).not.toHaveClass(/hidden/);
+    });
+
+    test('remembers each exercise\'s last set and rounding mode', async ({ page }) => {
+      await page.locator('#exercise').selectOption('Leg Press');
+      await page.locator('#refWeight').fill('270');
+      await page.locator('#refReps').fill('10');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#roundDown').click();
+      await expect(page.locator('#exerciseSummary')).toHaveText('Current e1RM 583 lbs · last set 270 × 10 @ 8');
+
+      await page.locator('#exercise').selectOption('Squat');
+      await expect(page.locator('#equipment')).toHaveValue('0');
+      await expect(page.locator('#refWeight')).toHaveValue('');
+      await expect(page.locator('#roundClosest')).toHaveClass(/active/);
+
+      await page.reload();
+      await page.locator('#exercise').selectOption('Leg Press');
+      await expect(page.locator('#refWeight')).toHaveValue('270');
+      await expect(page.locator('#refReps')).toHaveValue('10');
+      await expect(page.locator('#refRPE')).toHaveValue('8');
+      await expect(page.locator('#roundDown')).toHaveClass(/active/);
+      await expect(page.locator('#historyExercise')).toHaveValue('Leg Press');
+    });
+
+    test('keeps the saved equipment when switching units back and forth', async ({ page }) => {
+      await page.locator('#weightUnit').selectOption('kg');
+      await page.locator('#equipment').selectOption('barbell_kg');
+      await page.locator('#newExerciseName').fill('Floor Press');
+      await page.locator('#addExerciseBtn').click();
+      await page.locator('#refWeight').fill('80');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+
+      await page.locator('#weightUnit').selectOption('lb');
+      await expect(page.locator('#equipment')).toHaveValue('0');
+      await page.locator('#weightUnit').selectOption('kg');
+      await page.locator('#exercise').selectOption('Squat');
+      await page.locator('#exercise').selectOption('Floor Press');
+
+      await expect(page.locator('#equipment')).toHaveValue('barbell_kg');
+      await expect(page.locator('#refWeight')).toHaveValue('80');
+    });
+
+    test('remembers the latest of several reference sets', async ({ page }) => {
+      await page.locator('#exercise').selectOption('Squat');
+      await page.locator('#refWeight').fill('200');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#addRefSetBtn').click();
+      await page.locator('#refWeight2').fill('210');
+      await page.locator('#refReps2').fill('4');
+
+      await expect(page.locator('#exerciseSummary')).toContainText('last set 210 × 4 @ 8');
+    });
+
+    test('adds and removes exercises', async ({ page }) => {
+      await page.locator('#addExerciseBtn').click();
+      await expect(page.locator('#newExerciseNameError')).toHaveText('Name is required');
+      await page.locator('#newExerciseName').fill('leg press');
+      await page.locator('#addExerciseBtn').click();
+      await expect(page.locator('#newExerciseNameError')).toHaveText('Already in the library');
+
+      await page.locator('#equipment').selectOption('25');
+      await page.locator('#newExerciseName').fill('Hack Squat');
+      await page.locator('#addExerciseBtn').click();
+      await expect(page.locator('#exercise')).toHaveValue('Hack Squat');
+      await expect(page.locator('#exerciseSummary')).toContainText('last set 100 × 10 @ 9');
+
+      await page.locator('#removeExerciseBtn').click();
+      await expect(page.locator('#exercise')).toHaveValue('');
+      await expect(page.locator('#exercise option', { hasText: 'Hack Squat' })).toHaveCount(0);
+    });
+  });
+
+  test.describe('RPE Chart', () => {
+    test('shows reps 1–20 by RPE 6–10', async ({ page }) => {
+      await expect(page.locator('#rpeChart thead th')).toHaveCount(10);
+      await expect(page.locator('#rpeChart tbody tr')).toHaveCount(20);
+      await expect(page.locator('#rpeChart tbody tr').first().locator('td').last()).toContainText('100%');
+    });
+
+    test('highlights the target set with the rounded weight', async ({ page }) => {
+      const target = page.locator('#rpeChart td.target');
+      await expect(target).toHaveCount(1);
+      await expect(target.locator('.rpe-chart-weight')).toHaveText(await page.locator('#roundedWeight').textContent());
+
+      await page.locator('#targetReps').fill('3');
+      await page.locator('#targetRPE').fill('8');
+      await expect(page.locator('#rpeChart tbody tr').nth(2).locator('td').nth(4)).toHaveClass(/target/);
+    });
+
+    test('shows only percentages without a valid reference set', async ({ page }) => {
+      await page.locator('#refWeight').fill('');
+      await expect(page.locator('#rpeChart .rpe-chart-weight')).toHaveCount(0);
+      await expect(page.locator('#rpeChart td.target')).toHaveCount(0);
+      await expect(page.locator('#rpeChartSummary')).toHaveText('Percent of 1RM; enter a reference set to see weights');
+    });
+
+    test('prints only the chart', async ({ page }) => {
+      await page.evaluate(() => { window.print = () => {}; });
+      await page.locator('#printChartBtn').click();
+      await expect(page.locator('body')).toHaveClass(/print-chart/);
+    });
+  });
+
+  test.describe('Calculate RPE Mode', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#refWeight').fill('225');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#toggleRPE').click();
+    });
+
+    test('takes weight and reps instead of RPE', async ({ page }) => {
+      await expect(page.locator('#toggleRPE')).toHaveClass(/active/);
+      await expect(page.locator('#targetRepsGroup')).not.toHaveClass(/hidden/);
+      await expect(page.locator('#targetWeightGroup')).not.toHaveClass(/hidden/);
+      await expect(page.locator('#targetRPEGroup')).toHaveClass(/hidden/);
+    });
+
+    test('predicts RPE and RIR', async ({ page }) => {
+      await page.locator('#targetWeight').fill('225');
+      await page.locator('#targetReps').fill('5');
+
+      await expect(page.locator('#outputRPE')).toHaveText('8');
+      await expect(page.locator('#roundedRPE')).toHaveText('8');
+      await expect(page.locator('#rpeNote')).toHaveText('2 RIR · 2 RIR rounded');
+      await expect(page.locator('#rpeNote')).not.toHaveClass(/warning/);
+    });
+
+    test('flags sets beyond failure', async ({ page }) => {
+      await page.locator('#targetWeight').fill('225');
+      await page.locator('#targetReps').fill('9');
+
+      await expect(page.locator('#outputRPE')).toHaveText('>10');
+      await expect(page.locator('#rpeNote')).toHaveText('Beyond failure: about 2 reps short of 9');
+      await expect(page.locator('#rpeNote')).toHaveClass(/warning/);
+    });
+
+    test('flags sets easier than the scale', async ({ page }) => {
+      await page.locator('#targetWeight').fill('100');
+      await page.locator('#targetReps').fill('3');
+
+      await expect(page.locator('#outputRPE')).toHaveText('<0');
+      await expect(page.locator('#rpeNote')).toHaveText('More than 10 reps in reserve');
+    });
+
+    test('hands the predicted RPE to the other modes', async ({ page }) => {
+      await page.locator('#targetWeight').fill('225');
+      await page.locator('#targetReps').fill('5');
+      await page.locator('#toggleWeight').click();
+
+      await expect(page.locator('#targetRPE')).toHaveValue('8');
+      await expect(page.locator('#rpeNote')).toBeEmpty();
+    });
+  });
+
+  test.describe('Percent of e1RM Mode', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#refWeight').fill('225');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#togglePercent').click();
+    });
+
+    test('takes reps and a percentage', async ({ page }) => {
+      await expect(page.locator('#togglePercent')).toHaveClass(/active/);
+      await expect(page.locator('#targetPercentGroup')).not.toHaveClass(/hidden/);
+      await expect(page.locator('#targetRepsGroup')).not.toHaveClass(/hidden/);
+      await expect(page.locator('#targetWeightGroup')).toHaveClass(/hidden/);
+      await expect(page.locator('#targetRPEGroup')).toHaveClass(/hidden/);
+    });
+
+    test('calculates weight and implied RPE', async ({ page }) => {
+      await page.locator('#targetPercent').fill('80');
+      await page.locator('#targetReps').fill('5');
+
+      await expect(page.locator('#outputWeight')).toHaveText('210.6');
+      await expect(page.locator('#outputRPE')).toHaveText('5.5');
+      await expect(page.locator('#roundedWeight')).toHaveText('210.5');
+      await expect(page.locator('#rpeNote')).toContainText('4.5 RIR');
+    });
+
+    test('warns when the prescription is beyond failure', async ({ page }) => {
+      await page.locator('#targetPercent').fill('95');
+      await page.locator('#targetReps').fill('5');
+
+      await expect(page.locator('#outputRPE')).toHaveText('>10');
+      await expect(page.locator('#rpeNote')).toHaveText('Beyond failure: about 2 reps short of 5');
+    });
+
+    test('rejects percentages over 100', async ({ page }) => {
+      await page.locator('#targetPercent').fill('120');
+      await expect(page.locator('#targetPercentError')).toHaveText('Percent must be ≤ 100%');
+      await expect(page.locator('#outputWeight')).toHaveText('—');
+    });
+  });
+
+  test.describe('Rep and RPE Ranges', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#refWeight').fill('225');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#targetReps').fill('8');
+      await page.locator('#targetRPE').fill('7');
+    });
+
+    test('shows nothing for single values', async ({ page }) => {
+      await expect(page.locator('#rangeSummary')).toBeEmpty();
+      await expect(page.locator('#rangeSets li')).toHaveCount(0);
+    });
+
+    test('lists the weight interval and achievable sets', async ({ page }) => {
+      await page.locator('#equipment').selectOption('25');
+      await page.locator('#targetRepsMax').fill('12');
+      await page.locator('#targetRPEMax').fill('9');
+
+      await expect(page.locator('#rangeSummary')).toHaveText('177.7–212.2 lbs for 8–12 reps @ 7–9');
+      await expect(page.locator('#rangeSets li')).toHaveCount(7);
+      await expect(page.locator('#rangeSets li').first()).toHaveText('180 × 12 @ 7.4');
+      await expect(page.locator('#rangeSets li').last()).toHaveText('210 × 8 @ 8.6');
+    });
+
+    test('rejects a range that runs backwards', async ({ page }) => {
+      await page.locator('#targetRPEMax').fill('6');
+      await expect(page.locator('#targetRPEMaxError')).toHaveText('Must be ≥ 7');
+      await expect(page.locator('#rangeSets li')).toHaveCount(0);
+    });
+
+    test('only applies when calculating weight', async ({ page }) => {
+      await page.locator('#targetRepsMax').fill('12');
+      await page.locator('#toggleReps').click();
+      await expect(page.locator('#targetRepsMaxGroup')).toHaveClass(/hidden/);
+      await expect(page.locator('#rangeSummary')).toBeEmpty();
+    });
+  });
+
+  test.describe('Set Options', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#refWeight').fill('225');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#targetReps').fill('3');
+      await page.locator('#targetRPE').fill('9');
+    });
+
+    test('ranks nearby weights with reps and RPE', async ({ page }) => {
+      await page.locator('#equipment').selectOption('25');
+
+      await expect(page.locator('#setOptions li')).toHaveCount(6);
+      await expect(page.locator('#setOptions li').first()).toContainText('245 × 3 @ 8.9');
+      await expect(page.locator('#setOptions li').first()).toHaveClass(/selected/);
+      await expect(page.locator('#setOptions li').nth(1)).toContainText('240 × 4 @ 9.2');
+      await expect(page.locator('#setOptions li').nth(1)).toContainText('-5.4');
+    });
+
+    test('uses neighbouring dumbbells', async ({ page }) => {
+      await page.locator('#refWeight').fill('50');
+      await page.locator('#equipment').selectOption('dumbbells_x2');
+
+      await expect(page.locator('#setOptions li')).toHaveCount(6);
+      await expect(page.locator('#setOptions li.selected')).toContainText(await page.locator('#roundedWeight').textContent());
+    });
+
+    test('clears without a result', async ({ page }) => {
+      await page.locator('#refWeight').fill('');
+      await expect(page.locator('#setOptions li')).toHaveCount(0);
+    });
+  });
+
+  test.describe('Prediction Ranges', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#refWeight').fill('225');
+      await page.locator('#refReps').fill('5');
+      await page.locator('#refRPE').fill('8');
+      await page.locator('#targetReps').fill('3');
+      await page.locator('#targetRPE').fill('9');
+      await page.locator('#equipment').selectOption('25');
+    });
+
+    test('shows weight ranges when calculating weight', async ({ page }) => {
+      await expect(page.locator('#outputWeightRange')).toHaveText('238.6–252.4');
+      await expect(page.locator('#roundedWeightRange')).toHaveText('240–250');
+      await expect(page.locator('#roundedRepsRange')).toHaveText('2–4');
+      await expect(page.locator('#outputRepsRange')).toBeEmpty();
+    });
+
+    test('shows reps ranges when calculating reps', async ({ page }) => {
+      await page.locator('#toggleReps').click();
+      await expect(page.locator('#outputRepsRange')).toHaveText('2–4');
+      await expect(page.locator('#outputWeightRange')).toBeEmpty();
+    });
+
+    test('shows RPE ranges when calculating RPE', async ({ page }) => {
+      await page.locator('#toggleRPE').click();
+      await expect(page.locator('#outputRPERange')).toHaveText('8–10');
+      await expect(page.locator('#roundedRPERange')).toHaveText('8–9.9');
+    });
+
+    test('clears without a result', async ({ page }) => {
+      await page.locator('#refWeight').fill('');
+      await expect(page.locator('#outputWeightRange')).toBeEmpty();
+      await expect(page.locator('#roundedRepsRange')).toBeEmpty();
+    });
+  });
+
+  test.describe('Reference Set Warnings', () => {
+    test('warns above 20 reps but still calculates', async ({ page }) => {
+      await page.locator('#refReps').fill('25');
+      await expect(page.locator('#refRepsError')).toHaveText('Estimates are unreliable above 20 reps');
+      await expect(page.locator('#refRepsError')).toHaveClass(/warning/);
+      await expect(page.locator('#refReps')).not.toHaveClass(/invalid/);
+      await expect(page.locator('#outputWeight')).not.toHaveText('—');
+    });
+
+    test('warns below RPE 6', async ({ page }) => {
+      await page.locator('#refRPE').fill('5');
+      await expect(page.locator('#refRPEError')).toHaveText('Estimates are unreliable below RPE 6');
+    });
+
+    test('errors replace warnings', async ({ page }) => {
+      await page.locator('#refReps').fill('25');
+      await page.locator('#refReps').fill('60');
+      await expect(page.locator('#refRepsError')).toHaveText('Reps must be ≤ 50');
+      await expect(page.locator('#refRepsError')).not.toHaveClass(/warning/);
+      await expect(page.locator('#refReps')).toHaveClass(/invalid/);
+    });
+  });
+
+  test.describe('Target RPE Rounding', () => {
+    test.beforeEach(async ({ page }) => {
+      await page.locator('#equipment').selectOption('25');
+      await page.locator('#refWeight').fill('100');
+      await page.locator('#refReps').fill('10');
+      await page.locator('#refRPE').fill('9');
+      await page.locator('#targetReps').fill('5');
+      await page.locator('#targetRPE').fill('9');
+    });
+
+    test('shows the target RPE rounding modes', async ({ page }) => {
+      await expect(page.locator('#roundMaxRPE')).toHaveText('≤ RPE');
+      await expect(page.locator('#roundMinReps')).toHaveText('≥ Reps');
+    });
+
+    test('closest rounding can go past the target RPE', async ({ page }) => {
+      await expect(page.locator('#roundedWeight')).toHaveText('115');
+      await expect(page.locator('#roundedReps')).toHaveText('6');
+      await expect(page.locator('#roundedRPE')).toHaveText('9.3');
+    });
+
+    test('≤ RPE takes the heavier weight without passing the target RPE', async ({ page }) => {
+      await page.locator('#roundMaxRPE').click();
+
+      await expect(page.locator('#roundMaxRPE')).toHaveClass(/active/);
+      await expect(page.locator('#roundingToggle')).toHaveClass(/mode-max-rpe/);
+      await expect(page.locator('#roundedWeight')).toHaveText('120');
+      await expect(page.locator('#roundedReps')).toHaveText('4');
+      await expect(page.locator('#roundedRPE')).toHaveText('8.7');
+      await expect(page).toHaveURL(/round=max-rpe/);
+    });
+
+    test('≥ Reps keeps the target reps without passing the target RPE', async ({ page }) => {
+      await page.locator('#roundMinReps').click();
+
+      await expect(page.locator('#roundingToggle')).toHaveClass(/mode-min-reps/);
+      await expect(page.locator('#roundedWeight')).toHaveText('115');
+      await expect(page.locator('#roundedReps')).toHaveText('5');
+      await expect(page.locator('#roundedRPE')).toHaveText('8.3');
+      await expect(page.locator('#setOptions li.selected')).toContainText('115 × 5 @ 8.3');
+    });
+
+    test('names the rounding mode in the RPE chart', async ({ page }) => {
+      await page.locator('#roundMinReps').click();
+      await expect(page.locator('#rpeChartSummary')).toContainText('≥ Reps rounding');
+    });
+  });
+
+  test.describe('Equipment Bounds', () => {
+    test('warns when the weight is past the heaviest dumbbell', async ({ page }) => {
+      await page.locator('#equipment').selectOption('dumbbells');
+      await page.locator('#refWeight').fill('100');
+      await page.locator('#refReps').fill('10');
+      await page.locator('#refRPE').fill('9');
+      await page.locator('#targetReps').fill('5');
+      await page.locator('#targetRPE').fill('9');
+
+      await expect(page.locator('#roundedWeight')).toHaveText('70');
+      await expect(page.locator('#reachNote')).toHaveText('⚠ 114 lbs is above the heaviest weight (70 lbs); at 70 lbs: 24 reps @ 9.4');
+    });
+
+    test('clears the warning when the weight is reachable', async ({ page }) => {
+      await page.locator('#equipment').selectOption('dumbbells');
+      await page.locator('#targetReps').fill('25');
+      await expect(page.locator('#reachNote')).toBeEmpty();
+      await expect(page.locator('#reachNote')).toBeHidden();
+    });
+
+    test('applies the max weight of my equipment', async ({ page }) => {
+      await page.locator('#profileName').fill('Cable');
+      await page.locator('#profileIncrement').fill('2.5');
+      await page.locator('#profileMaxWeight').fill('50');
+      await page.locator('#saveProfileBtn').click();
+      await expect(page.locator('#equipmentProfiles')).toContainText('Cable (base 0 lbs; +2.5, max 50)');
+
+      await page.locator('#equipment').selectOption({ label: 'Cable' });
+      await page.locator('#refWeight').fill('100');
+      await page.locator('#refReps').fill('10');
+      await page.locator('#targetReps').fill('5');
+      await expect(page.locator('#roundedWeight')).toHaveText('50');
+      await expect(page.locator('#reachNote')).toContainText('above the heaviest weight (50 lbs)');
+    });
+
+    test('hides min and max weight for a weight list', async ({ page }) => {
+      await page.locator('#profileType').selectOption('weights');
+      await expect(page.locator('#profileBoundsRow')).toBeHidden();
+    });
+  });
+
+  test.describe('Equipment Add-ons', () => {
+    test('rounds a weight stack with magnets', async ({ page }) => {
+      await page.locator('#equipment').selectOption('stack_magnets');
+      await page.locator('#refWeight').fill('100');
+      await page.locator('#refReps').fill('10');
+      await page.locator('#refRPE').fill('9');
+      await page.locator('#targetReps').fill('5');
+      await page.locator('#targetRPE').fill('9');
+
+      await expect(page.locator('#outputWeight')).toHaveText('114');
+      await expect(page.locator('#roundedWeight')).toHaveText('115');
+      await page.locator('#roundDown').click();
+      await expect(page.locator('#roundedWeight')).toHaveText('112.5');
+    });
+
+    test('lists dumbbell and microplate combinations as set options', async ({ page }) => {
+      await page.locator('#equipment').selectOption('dumbbells_micro');
+      await page.locator('#refWeight').fill('50');
+      await page.locator('#refReps').fill('10');
+      await page.locator('#targetReps').fill('7');
+
+      await expect(page.locator('#roundedWeight')).toHaveText('52.5');
+      await expect(page.locator('#setOptions')).toContainText('51.3 × 9');
+      await expect(page.locator('#setOptions')).toContainText('56.3 × 6');
+    });
+
+    test('saves add-ons with my equipment', async ({ page }) => {
+      await page.locator('#profileName').fill('Hack Stack');
+      await page.locator('#profileIncrement').fill('10');
+      await page.locator('#profileAddOns').fill('2.5, 5');
+      await page.locator('#saveProfileBtn').click();
+      await expect(page.locator('#equipmentProfiles')).toContainText('Hack Stack (base 0 lbs; +10; add-ons 5, 2.5)');
+
+      await page.locator('#equipment').selectOption({ label: 'Hack Stack' });
+      await page.locator('#refWeight').fill('100');
+      await page.locator('#refReps').fill('10');
+      await page.locator('#targetReps').fill('5');
+      await expect(page.locator('#roundedWeight')).toHaveText('115');
+    });
+
+    test('rejects malformed add-ons', async ({ page }) => {
+      await page.locator('#profileName').fill('Bad');
+      await page.locator('#profileAddOns').fill('five');
+      await page.locator('#saveProfileBtn').click();
+      await expect(page.locator('#profileError')).toHaveText('Add-ons must be weights with optional counts, e.g. 2.5, 5x2');
+    });
+  });
+
   test.describe('Edge Cases', () => {
     test('handles very high reference weight', async ({ page }) => {
       await page.locator('#refWeight').fill('1000');
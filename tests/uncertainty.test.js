@@ -0,0 +1,79 @@
+import { describe, test, expect } from 'vitest';
+import { RPE_RATING_ERROR, CURVE_ERROR, getEffectiveRepsError, getPredictionRanges } from '../src/uncertainty.js';
+import { calculateSet, roundToTenth } from '../src/engine.js';
+import { LINEAR } from './helpers/curves.js';
+
+// The reference set (100 × 10 @ 10) gives an e1RM of 200 on the linear curve
+const REFERENCE = { weight: 100, reps: 10, rpe: 10 };
+
+function calculate(mode, target, equipment = { baseWeight: 0, increment: 5 }) {
+  const result = calculateSet({ mode, reference: REFERENCE, target, equipment, formula: LINEAR });
+  return getPredictionRanges({ mode, result, equipment, formula: LINEAR });
+}
+
+describe('getEffectiveRepsError', () => {
+  test('is the rating error alone for singles', () => {
+    expect(getEffectiveRepsError(1, 1)).toBeCloseTo(Math.sqrt(2) * RPE_RATING_ERROR, 10);
+    expect(getEffectiveRepsError(0, 0)).toBeCloseTo(Math.sqrt(2) * RPE_RATING_ERROR, 10);
+  });
+
+  test('grows with reps', () => {
+    expect(getEffectiveRepsError(10, 5)).toBeCloseTo(Math.sqrt(0.5 + (9 * CURVE_ERROR) ** 2 + (4 * CURVE_ERROR) ** 2), 10);
+    expect(getEffectiveRepsError(10, 20)).toBeGreaterThan(getEffectiveRepsError(10, 5));
+  });
+});
+
+describe('getPredictionRanges', () => {
+  const error = getEffectiveRepsError(10, 5);
+
+  test('gives a weight range when calculating weight', () => {
+    const ranges = calculate('weight', { reps: 5, rpe: 10 });
+    expect(ranges.error).toBeCloseTo(error, 10);
+    expect(ranges.exact).toEqual({
+      weight: { min: roundToTenth(20000 / (150 + 10 * error)), max: roundToTenth(20000 / (150 - 10 * error)) }
+    });
+    expect(ranges.rounded.weight).toEqual({ min: 125, max: 145 });
+    // 135 allows 4.8 reps
+    expect(ranges.rounded.reps).toEqual({ min: Math.round(2000 / 135 - 10 - error), max: Math.round(2000 / 135 - 10 + error) });
+  });
+
+  test('gives a reps range when calculating reps', () => {
+    const ranges = calculate('reps', { weight: 125, rpe: 10 });
+    const reps = 2000 / 125 - 10;
+    const repsError = getEffectiveRepsError(10, reps);
+    expect(ranges.exact.weight).toBeUndefined();
+    expect(ranges.exact.reps).toEqual({ min: roundToTenth(reps - repsError), max: roundToTenth(reps + repsError) });
+    expect(ranges.rounded.reps).toEqual({ min: 5, max: 7 });
+  });
+
+  test('keeps reps at 0 or more', () => {
+    const ranges = calculate('reps', { weight: 195, rpe: 10 });
+    expect(ranges.exact.reps.min).toBe(0);
+    expect(ranges.rounded.reps.min).toBe(0);
+  });
+
+  test('gives RPE ranges on the 0–10 scale when predicting RPE', () => {
+    const ranges = calculate('rpe', { weight: 125, reps: 5 });
+    expect(ranges.exact.rpe.min).toBeCloseTo(roundToTenth(9 - getEffectiveRepsError(10, 6)), 10);
+    expect(ranges.exact.rpe.max).toBe(10);
+    expect(ranges.rounded.rpe).toEqual(ranges.exact.rpe);
+    expect(ranges.exact.weight).toBeUndefined();
+
+    const percent = calculate('percent', { percent: 30, reps: 5 });
+    expect(percent.exact.rpe.min).toBe(0);
+    expect(percent.rounded.rpe).toEqual({ min: 0, max: 0 });
+  });
+
+  test('averages the effective reps of several reference sets', () => {
+    const references = [REFERENCE, { weight: 150, reps: 3, rpe: 8 }];
+    const result = calculateSet({ mode: 'reps', references, target: { weight: 125, rpe: 10 }, formula: LINEAR });
+    const ranges = getPredictionRanges({ mode: 'reps', result, formula: LINEAR });
+    expect(ranges.error).toBeCloseTo(getEffectiveRepsError(7.5, result.exact.reps), 10);
+  });
+
+  test('leaves the weight range unrounded without equipment', () => {
+    const result = calculateSet({ mode: 'weight', reference: REFERENCE, target: { reps: 5, rpe: 10 }, formula: LINEAR });
+    const ranges = getPredictionRanges({ mode: 'weight', result, formula: LINEAR });
+    expect(ranges.rounded.weight).toEqual(ranges.exact.weight);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, test, expect } from 'vitest';
+import {
+  WEIGHT_UNIT_KEY,
+  LB_PER_KG,
+  WEIGHT_UNITS,
+  DEFAULT_WEIGHT_UNIT,
+  convertWeight,
+  getEquipmentUnit,
+  loadWeightUnit,
+  saveWeightUnit
+} from '../src/units.js';
+import { EQUIPMENT_CONFIG } from '../src/utils.js';
+import { createStorage } from './helpers/storage.js';
+
+describe('WEIGHT_UNITS', () => {
+  test('defaults to pounds', () => {
+    expect(DEFAULT_WEIGHT_UNIT).toBe('lb');
+  });
+
+  test('default equipment is a preset in the same unit', () => {
+    Object.entries(WEIGHT_UNITS).forEach(([unit, { defaultEquipment }]) => {
+      expect(getEquipmentUnit(EQUIPMENT_CONFIG[defaultEquipment])).toBe(unit);
+    });
+  });
+});
+
+describe('convertWeight', () => {
+  test('converts kilograms to pounds', () => {
+    expect(convertWeight(100, 'kg', 'lb')).toBeCloseTo(220.462, 3);
+    expect(convertWeight(1, 'kg', 'lb')).toBe(LB_PER_KG);
+    expect(convertWeight(LB_PER_KG, 'lb', 'kg')).toBeCloseTo(1, 12);
+    expect(convertWeight(1, 'lb', 'kg')).toBeCloseTo(0.45359237, 12);
+  });
+
+  test('converts pounds to kilograms', () => {
+    expect(convertWeight(45, 'lb', 'kg')).toBeCloseTo(20.412, 3);
+  });
+
+  test('returns the weight unchanged for the same unit', () => {
+    expect(convertWeight(135, 'lb', 'lb')).toBe(135);
+    expect(convertWeight(60, 'kg', 'kg')).toBe(60);
+  });
+
+  test('round trip returns the original weight', () => {
+    expect(convertWeight(convertWeight(102.5, 'kg', 'lb'), 'lb', 'kg')).toBeCloseTo(102.5, 10);
+  });
+});
+
+describe('getEquipmentUnit', () => {
+  test('reads the unit of kilogram equipment', () => {
+    expect(getEquipmentUnit(EQUIPMENT_CONFIG['barbell_kg'])).toBe('kg');
+  });
+
+  test('treats equipment without a unit as pounds', () => {
+    expect(getEquipmentUnit(EQUIPMENT_CONFIG['25'])).toBe('lb');
+  });
+});
+
+describe('loadWeightUnit / saveWeightUnit', () => {
+  test('round trips through storage', () => {
+    const storage = createStorage();
+    expect(saveWeightUnit('kg', storage)).toBe(true);
+    expect(storage.data[WEIGHT_UNIT_KEY]).toBe('"kg"');
+    expect(loadWeightUnit(storage)).toBe('kg');
+  });
+
+  test('defaults to pounds when nothing is saved', () => {
+    expect(loadWeightUnit(createStorage())).toBe('lb');
+  });
+
+  test('ignores an unknown unit', () => {
+    expect(loadWeightUnit(createStorage({ [WEIGHT_UNIT_KEY]: '"stone"' }))).toBe('lb');
+  });
+});
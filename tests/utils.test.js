@@ -14,7 +14,16 @@ import {
   roundWeight,
   roundWeightDown,
   roundWeightUp,
-  EQUIPMENT_CONFIG
+  roundToEquipment,
+  hasAddOns,
+  getAddOnTotals,
+  getAdjacentWeight,
+  getEquipmentBounds,
+  getEquipment,
+  getEquipmentConfig,
+  setUserEquipment,
+  EQUIPMENT_CONFIG,
+  EQUIPMENT_UNIT_COUNTERPARTS
 } from '../src/utils.js';
 
 function cleanup() {
@@ -520,10 +529,243 @@ describe('EQUIPMENT_CONFIG', () => {
     });
   });
 
+  test('kilogram presets are tagged with their unit', () => {
+    expect(EQUIPMENT_CONFIG['barbell_kg']).toEqual({ baseWeight: 20, increment: 2.5, unit: 'kg' });
+    expect(EQUIPMENT_CONFIG['none_kg'].unit).toBe('kg');
+    expect(EQUIPMENT_CONFIG['dumbbells_kg'].unit).toBe('kg');
+    expect(EQUIPMENT_CONFIG['dumbbells_kg_x2'].unit).toBe('kg');
+  });
+
+  test('every machine has a kilogram preset with the same base and stack', () => {
+    expect(EQUIPMENT_CONFIG['smith_kg'].baseWeight).toBeCloseTo(25 * 0.45359237, 1);
+    expect(EQUIPMENT_CONFIG['leg_press_kg'].baseWeight).toBeCloseTo(167 * 0.45359237, 1);
+    expect(EQUIPMENT_CONFIG['cable_purple_kg'].increment).toBeCloseTo(2.5 * 0.45359237, 3);
+    expect(EQUIPMENT_CONFIG['stack_magnets_kg'].increment).toBeCloseTo(10 * 0.45359237, 3);
+    expect(EQUIPMENT_CONFIG['stack_magnets_kg'].addOns.map(addOn => addOn.weight / 0.45359237))
+      .toEqual([expect.closeTo(2.5, 2), expect.closeTo(5, 2)]);
+    Object.entries(EQUIPMENT_CONFIG)
+      .filter(([key, config]) => !config.unit && key !== 'custom' && key !== 'dumbbells' && key !== 'dumbbells_x2')
+      .forEach(([key]) => expect(EQUIPMENT_UNIT_COUNTERPARTS[key], key).toBeDefined());
+  });
+
+  test('unit counterparts exist and point back', () => {
+    Object.entries(EQUIPMENT_UNIT_COUNTERPARTS).forEach(([key, counterpart]) => {
+      expect(EQUIPMENT_CONFIG).toHaveProperty(key);
+      expect(EQUIPMENT_UNIT_COUNTERPARTS[counterpart]).toBe(key);
+    });
+  });
+
   test('cable_purple has correct increment', () => {
     expect(EQUIPMENT_CONFIG['cable_purple']).toEqual({
       baseWeight: 0,
       increment: 2.5
     });
   });
+
+  test('add-on presets stack on a weight stack and the dumbbells', () => {
+    expect(EQUIPMENT_CONFIG['stack_magnets']).toEqual({
+      baseWeight: 0,
+      increment: 10,
+      addOns: [{ weight: 2.5, count: 1 }, { weight: 5, count: 1 }]
+    });
+    expect(EQUIPMENT_CONFIG['dumbbells_micro'].weights).toEqual(EQUIPMENT_CONFIG['dumbbells'].weights);
+    expect(EQUIPMENT_CONFIG['dumbbells_micro'].addOns).toEqual([{ weight: 1.25, count: 2 }]);
+  });
+});
+
+describe('hasAddOns / getAddOnTotals', () => {
+  test('detects add-ons', () => {
+    expect(hasAddOns({ increment: 10, addOns: [{ weight: 5, count: 1 }] })).toBe(true);
+    expect(hasAddOns({ increment: 10, addOns: [] })).toBe(false);
+    expect(hasAddOns({ increment: 10 })).toBe(false);
+    expect(hasAddOns(null)).toBe(false);
+  });
+
+  test('lists every combination total once', () => {
+    expect(getAddOnTotals([{ weight: 2.5, count: 1 }, { weight: 5, count: 1 }])).toEqual([0, 2.5, 5, 7.5]);
+    expect(getAddOnTotals([{ weight: 2.5, count: 2 }, { weight: 5, count: 1 }])).toEqual([0, 2.5, 5, 7.5, 10]);
+    expect(getAddOnTotals([])).toEqual([0]);
+  });
+
+  test('drops floating-point noise', () => {
+    expect(getAddOnTotals([{ weight: 0.1, count: 3 }])).toEqual([0, 0.1, 0.2, 0.3]);
+  });
+});
+
+describe('roundToEquipment', () => {
+  const dumbbells = { baseWeight: 0, weights: [10, 15, 20, 25] };
+  const plates = { baseWeight: 45, increment: 5 };
+
+  test('rounds enumerated weights in each direction', () => {
+    expect(roundToEquipment(17, dumbbells, 'down')).toBe(15);
+    expect(roundToEquipment(17, dumbbells, 'closest')).toBe(15);
+    expect(roundToEquipment(17, dumbbells, 'up')).toBe(20);
+  });
+
+  test('rounds increments in each direction', () => {
+    expect(roundToEquipment(112, plates, 'down')).toBe(110);
+    expect(roundToEquipment(112, plates, 'closest')).toBe(110);
+    expect(roundToEquipment(112, plates, 'up')).toBe(115);
+  });
+
+  test('defaults to closest', () => {
+    expect(roundToEquipment(113, plates)).toBe(115);
+  });
+
+  test('keeps increments within the equipment bounds', () => {
+    const stack = { baseWeight: 0, increment: 5, minWeight: 10, maxWeight: 100 };
+    expect(roundToEquipment(112, stack, 'up')).toBe(100);
+    expect(roundToEquipment(3, stack, 'down')).toBe(10);
+    expect(roundToEquipment(-3, { increment: 5 }, 'down')).toBe(0);
+  });
+
+  test('clamps enumerated weights to the lightest and heaviest', () => {
+    expect(roundToEquipment(40, dumbbells, 'up')).toBe(25);
+    expect(roundToEquipment(5, dumbbells, 'down')).toBe(10);
+  });
+
+  test('combines a stack increment with add-ons', () => {
+    const stack = { baseWeight: 0, increment: 10, addOns: [{ weight: 2.5, count: 1 }, { weight: 5, count: 1 }] };
+    expect(roundToEquipment(104, stack, 'down')).toBe(102.5);
+    expect(roundToEquipment(104, stack, 'closest')).toBe(105);
+    expect(roundToEquipment(104, stack, 'up')).toBe(105);
+    expect(roundToEquipment(108.9, stack, 'up')).toBe(110);
+    expect(roundToEquipment(-3, stack, 'down')).toBe(0);
+  });
+
+  test('combines enumerated weights with add-ons', () => {
+    const micro = { baseWeight: 0, weights: [10, 15, 20], addOns: [{ weight: 1.25, count: 2 }] };
+    expect(roundToEquipment(13, micro, 'down')).toBe(12.5);
+    expect(roundToEquipment(13, micro, 'closest')).toBe(12.5);
+    expect(roundToEquipment(13, micro, 'up')).toBe(15);
+    expect(roundToEquipment(30, micro, 'up')).toBe(22.5);
+    expect(roundToEquipment(5, micro, 'down')).toBe(10);
+  });
+
+  test('keeps add-on totals within the stack bounds', () => {
+    const stack = { increment: 10, maxWeight: 100, addOns: [{ weight: 5, count: 1 }] };
+    expect(roundToEquipment(120, stack, 'down')).toBe(105);
+    expect(roundToEquipment(102, stack, 'closest')).toBe(100);
+  });
+
+  test('returns weight unchanged without weights or increment', () => {
+    expect(roundToEquipment(112.3, { baseWeight: 0 })).toBe(112.3);
+    expect(roundToEquipment(112.3, { increment: 0 })).toBe(112.3);
+    expect(roundToEquipment(112.3, null)).toBe(112.3);
+  });
+});
+
+describe('getEquipmentBounds', () => {
+  test('bounds enumerated weights by the list', () => {
+    expect(getEquipmentBounds({ weights: [10, 15, 20] })).toEqual({ min: 10, max: 20 });
+  });
+
+  test('moves increment bounds inward to whole increments', () => {
+    expect(getEquipmentBounds({ increment: 5, minWeight: 12, maxWeight: 98 })).toEqual({ min: 15, max: 95 });
+  });
+
+  test('adds every add-on to the heaviest weight', () => {
+    const addOns = [{ weight: 2.5, count: 2 }];
+    expect(getEquipmentBounds({ weights: [10, 20], addOns })).toEqual({ min: 10, max: 25 });
+    expect(getEquipmentBounds({ increment: 10, maxWeight: 100, addOns })).toEqual({ min: 0, max: 105 });
+    expect(getEquipmentBounds({ increment: 10, addOns })).toEqual({ min: 0, max: Infinity });
+  });
+
+  test('defaults to 0 and no maximum', () => {
+    expect(getEquipmentBounds({ increment: 5 })).toEqual({ min: 0, max: Infinity });
+    expect(getEquipmentBounds({ weights: [] })).toEqual({ min: 0, max: Infinity });
+    expect(getEquipmentBounds({ maxWeight: 50 })).toEqual({ min: 0, max: 50 });
+    expect(getEquipmentBounds(null)).toEqual({ min: 0, max: Infinity });
+  });
+});
+
+describe('getAdjacentWeight', () => {
+  const stack = { increment: 10, maxWeight: 20, addOns: [{ weight: 2.5, count: 1 }] };
+
+  test('steps to the next lighter or heavier weight', () => {
+    expect(getAdjacentWeight(10, stack, 'up')).toBe(12.5);
+    expect(getAdjacentWeight(10, stack, 'down')).toBe(2.5);
+    expect(getAdjacentWeight(15, { weights: [10, 15, 20] }, 'down')).toBe(10);
+    expect(getAdjacentWeight(15, { increment: 5 }, 'up')).toBe(20);
+  });
+
+  test('returns null past the bounds', () => {
+    expect(getAdjacentWeight(22.5, stack, 'up')).toBe(null);
+    expect(getAdjacentWeight(0, stack, 'down')).toBe(null);
+    expect(getAdjacentWeight(15, {}, 'up')).toBe(null);
+  });
+});
+
+describe('getEquipment', () => {
+  beforeEach(cleanup);
+
+  function setup(equipment, baseWeight, increment) {
+    document.body.innerHTML = `
+      <select id="equipment"><option value="${equipment}" selected></option></select>
+      <input id="customWeight" value="${baseWeight}">
+      <input id="weightIncrement" value="${increment}">
+    `;
+  }
+
+  test('reads base weight and increment', () => {
+    setup('167', '167', '5');
+    expect(getEquipment()).toEqual({ baseWeight: 167, increment: 5, weights: null });
+  });
+
+  test('reads enumerated weights without increment', () => {
+    setup('dumbbells', '0', '');
+    expect(getEquipment()).toEqual({ baseWeight: 0, increment: null, weights: EQUIPMENT_CONFIG.dumbbells.weights });
+  });
+
+  test('reads the bounds of user equipment', () => {
+    setUserEquipment([
+      { id: 'user_1', name: 'Cable', baseWeight: 0, increment: 2.5, minWeight: 5, maxWeight: 100 },
+      { id: 'user_2', name: 'Hack', baseWeight: 90, increment: 5 }
+    ]);
+    setup('user_1', '0', '2.5');
+    expect(getEquipment()).toEqual({ baseWeight: 0, increment: 2.5, weights: null, minWeight: 5, maxWeight: 100 });
+    setup('user_2', '90', '5');
+    expect(getEquipment()).not.toHaveProperty('maxWeight');
+    setUserEquipment([]);
+  });
+
+  test('reads add-ons', () => {
+    setup('dumbbells_micro', '0', '');
+    expect(getEquipment().addOns).toEqual([{ weight: 1.25, count: 2 }]);
+    setup('stack_magnets', '0', '10');
+    expect(getEquipment()).toEqual({ baseWeight: 0, increment: 10, weights: null, addOns: EQUIPMENT_CONFIG.stack_magnets.addOns });
+    setup('167', '167', '5');
+    expect(getEquipment()).not.toHaveProperty('addOns');
+  });
+});
+
+describe('getEquipmentConfig / setUserEquipment', () => {
+  beforeEach(() => {
+    cleanup();
+    setUserEquipment([]);
+  });
+
+  test('returns preset configuration', () => {
+    expect(getEquipmentConfig('25')).toBe(EQUIPMENT_CONFIG['25']);
+  });
+
+  test('returns registered user profiles', () => {
+    const profile = { id: 'user_1', name: 'KB', baseWeight: 0, weights: [8, 16, 24] };
+    setUserEquipment([profile]);
+    expect(getEquipmentConfig('user_1')).toBe(profile);
+  });
+
+  test('replaces previously registered profiles', () => {
+    setUserEquipment([{ id: 'user_1', name: 'A', baseWeight: 0, increment: 5 }]);
+    setUserEquipment([]);
+    expect(getEquipmentConfig('user_1')).toBeUndefined();
+  });
+
+  test('enumerated user profiles are used for rounding', () => {
+    setUserEquipment([{ id: 'user_1', name: 'KB', baseWeight: 0, weights: [8, 16, 24] }]);
+    document.body.innerHTML = '<select id="equipment"><option value="user_1" selected></option></select>';
+    expect(hasEnumeratedWeights()).toBe(true);
+    expect(getEnumeratedWeights()).toEqual([8, 16, 24]);
+    expect(roundWeightDown(20)).toBe(16);
+  });
 });
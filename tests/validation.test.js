@@ -1,234 +1,70 @@
-import { describe, test, expect, beforeEach } from 'vitest';
-import {
-  setInvalid,
-  setEmpty,
-  clearValidation,
-  validateReps,
-  validateWeight,
-  validateRPE,
-  validateCustomWeight,
-  validateIncrement
-} from '../src/validation.js';
+import { describe, test, expect } from 'vitest';
+import { SCHEMAS, REFERENCE_SET_RULES, checkValue, checkReferenceSet } from '../src/validation.js';
 
-function createMockInput(id, value = '') {
-  const input = document.createElement('input');
-  input.id = id;
-  input.value = value;
+const ok = value => ({ value, code: null, message: '', severity: 'ok' });
+const error = (code, message) => ({ value: null, code, message, severity: 'error' });
 
-  const errorDiv = document.createElement('div');
-  errorDiv.id = `${id}Error`;
-
-  document.body.appendChild(input);
-  document.body.appendChild(errorDiv);
-
-  return { input, errorDiv };
-}
-
-function cleanup() {
-  document.body.innerHTML = '';
-}
-
-describe('validation helpers', () => {
-  beforeEach(cleanup);
-
-  test('setInvalid adds class and message', () => {
-    const { input, errorDiv } = createMockInput('test');
-    setInvalid('test', 'Error message');
-    expect(input.classList.contains('invalid')).toBe(true);
-    expect(errorDiv.textContent).toBe('Error message');
-  });
-
-  test('setEmpty adds class without message', () => {
-    const { input, errorDiv } = createMockInput('test');
-    setEmpty('test');
-    expect(input.classList.contains('invalid')).toBe(true);
-    expect(errorDiv.textContent).toBe('');
-  });
-
-  test('clearValidation removes class and message', () => {
-    const { input, errorDiv } = createMockInput('test');
-    input.classList.add('invalid');
-    errorDiv.textContent = 'Error';
-    clearValidation('test');
-    expect(input.classList.contains('invalid')).toBe(false);
-    expect(errorDiv.textContent).toBe('');
-  });
-});
-
-describe('validateReps', () => {
-  beforeEach(cleanup);
-
-  test('returns null for empty input', () => {
-    createMockInput('reps', '');
-    expect(validateReps('reps')).toBeNull();
-  });
-
-  test('returns value for valid input', () => {
-    createMockInput('reps', '5');
-    expect(validateReps('reps')).toBe(5);
-  });
-
-  test('accepts 0 reps (lower boundary)', () => {
-    createMockInput('reps', '0');
-    expect(validateReps('reps')).toBe(0);
-  });
-
-  test('accepts 50 reps (upper boundary)', () => {
-    createMockInput('reps', '50');
-    expect(validateReps('reps')).toBe(50);
-  });
-
-  test('rejects negative reps', () => {
-    const { errorDiv } = createMockInput('reps', '-1');
-    expect(validateReps('reps')).toBeNull();
-    expect(errorDiv.textContent).toBe('Reps must be ≥ 0');
-  });
-
-  test('rejects reps > 50', () => {
-    const { errorDiv } = createMockInput('reps', '51');
-    expect(validateReps('reps')).toBeNull();
-    expect(errorDiv.textContent).toBe('Reps must be ≤ 50');
-  });
-
-  test('rejects non-numeric input', () => {
-    createMockInput('reps', 'abc');
-    expect(validateReps('reps')).toBeNull();
-  });
-});
-
-describe('validateWeight', () => {
-  beforeEach(cleanup);
-
-  test('returns null for empty input', () => {
-    createMockInput('weight', '');
-    expect(validateWeight('weight')).toBeNull();
-  });
-
-  test('returns value for valid input', () => {
-    createMockInput('weight', '100');
-    expect(validateWeight('weight')).toBe(100);
-  });
-
-  test('rejects 0 weight', () => {
-    const { errorDiv } = createMockInput('weight', '0');
-    expect(validateWeight('weight')).toBeNull();
-    expect(errorDiv.textContent).toBe('Weight must be positive');
-  });
-
-  test('rejects negative weight', () => {
-    createMockInput('weight', '-10');
-    expect(validateWeight('weight')).toBeNull();
-  });
-
-  test('rejects non-numeric input', () => {
-    createMockInput('weight', 'xyz');
-    expect(validateWeight('weight')).toBeNull();
-  });
-});
-
-describe('validateRPE', () => {
-  beforeEach(cleanup);
-
-  test('returns null for empty input', () => {
-    createMockInput('rpe', '');
-    expect(validateRPE('rpe')).toBeNull();
-  });
-
-  test('returns value for valid input', () => {
-    createMockInput('rpe', '8');
-    expect(validateRPE('rpe')).toBe(8);
-  });
-
-  test('accepts RPE 10 (upper boundary)', () => {
-    createMockInput('rpe', '10');
-    expect(validateRPE('rpe')).toBe(10);
+describe('checkValue', () => {
+  test('parses strings and accepts numbers', () => {
+    expect(checkValue('5', SCHEMAS.reps)).toEqual(ok(5));
+    expect(checkValue(7.5, SCHEMAS.rpe)).toEqual(ok(7.5));
   });
 
-  test('accepts fractional RPE', () => {
-    createMockInput('rpe', '7.5');
-    expect(validateRPE('rpe')).toBe(7.5);
+  test('reports empty values without a message', () => {
+    expect(checkValue('', SCHEMAS.weight)).toEqual(error('empty', ''));
+    expect(checkValue(null, SCHEMAS.weight)).toEqual(error('empty', ''));
+    expect(checkValue(undefined, SCHEMAS.weight)).toEqual(error('empty', ''));
   });
 
-  test('rejects 0 RPE', () => {
-    const { errorDiv } = createMockInput('rpe', '0');
-    expect(validateRPE('rpe')).toBeNull();
-    expect(errorDiv.textContent).toBe('RPE must be positive');
+  test('gives values that are not numbers the low message', () => {
+    expect(checkValue('abc', SCHEMAS.reps)).toEqual(error('invalid', 'Reps must be ≥ 0'));
   });
 
-  test('rejects RPE > 10', () => {
-    const { errorDiv } = createMockInput('rpe', '11');
-    expect(validateRPE('rpe')).toBeNull();
-    expect(errorDiv.textContent).toBe('RPE must be ≤ 10');
+  test('applies inclusive and exclusive bounds', () => {
+    expect(checkValue('0', SCHEMAS.reps)).toEqual(ok(0));
+    expect(checkValue(0, SCHEMAS.loggedReps)).toEqual(error('too_low', 'A logged set needs at least 1 rep'));
+    expect(checkValue('0', SCHEMAS.weight)).toEqual(error('too_low', 'Weight must be positive'));
+    expect(checkValue('10', SCHEMAS.rpe)).toEqual(ok(10));
+    expect(checkValue('10.5', SCHEMAS.rpe)).toEqual(error('too_high', 'RPE must be ≤ 10'));
+    expect(checkValue('100', SCHEMAS.dropPercent)).toEqual(error('too_high', 'Drop must be < 100%'));
+    expect(checkValue('100', SCHEMAS.percentOf1RM)).toEqual(ok(100));
   });
 
-  test('rejects non-numeric input', () => {
-    createMockInput('rpe', 'high');
-    expect(validateRPE('rpe')).toBeNull();
-  });
-});
-
-describe('validateCustomWeight', () => {
-  beforeEach(cleanup);
-
-  test('returns null for empty input', () => {
-    createMockInput('custom', '');
-    expect(validateCustomWeight('custom')).toBeNull();
-  });
-
-  test('returns value for valid input', () => {
-    createMockInput('custom', '25');
-    expect(validateCustomWeight('custom')).toBe(25);
-  });
-
-  test('accepts 0 (unlike validateWeight)', () => {
-    createMockInput('custom', '0');
-    expect(validateCustomWeight('custom')).toBe(0);
+  test('leaves out bounds a schema does not have', () => {
+    expect(checkValue('100000', SCHEMAS.weight)).toEqual(ok(100000));
+    expect(checkValue('-5', { max: 10, messages: { high: 'Too high' } })).toEqual(ok(-5));
   });
 
-  test('rejects negative weight', () => {
-    const { errorDiv } = createMockInput('custom', '-5');
-    expect(validateCustomWeight('custom')).toBeNull();
-    expect(errorDiv.textContent).toBe('Base weight must be ≥ 0');
-  });
-
-  test('rejects non-numeric input', () => {
-    createMockInput('custom', 'custom');
-    expect(validateCustomWeight('custom')).toBeNull();
+  test('requires whole numbers', () => {
+    expect(checkValue('2.5', SCHEMAS.setCount)).toEqual(error('not_whole', 'Sets must be a whole number ≥ 1'));
+    expect(checkValue('21', SCHEMAS.setCount)).toEqual(error('too_high', 'Sets must be ≤ 20'));
   });
 });
 
-describe('validateIncrement', () => {
-  beforeEach(cleanup);
-
-  test('returns null for empty input', () => {
-    createMockInput('increment', '');
-    expect(validateIncrement('increment')).toBeNull();
-  });
-
-  test('returns value for valid input', () => {
-    createMockInput('increment', '5');
-    expect(validateIncrement('increment')).toBe(5);
-  });
-
-  test('accepts fractional increment', () => {
-    createMockInput('increment', '2.5');
-    expect(validateIncrement('increment')).toBe(2.5);
+describe('checkReferenceSet', () => {
+  test('checks each field', () => {
+    expect(checkReferenceSet({ weight: '225', reps: '5', rpe: '8' })).toEqual({ weight: ok(225), reps: ok(5), rpe: ok(8) });
+    expect(checkReferenceSet({ weight: '', reps: '60', rpe: '8' })).toEqual({
+      weight: error('empty', ''),
+      reps: error('too_high', 'Reps must be ≤ 50'),
+      rpe: ok(8)
+    });
   });
 
-  test('rejects 0 increment', () => {
-    const { errorDiv } = createMockInput('increment', '0');
-    expect(validateIncrement('increment')).toBeNull();
-    expect(errorDiv.textContent).toBe('Increment must be positive');
+  test('warns where the curve is unreliable, keeping the values', () => {
+    const results = checkReferenceSet({ weight: 100, reps: 25, rpe: 5.5 });
+    expect(results.reps).toEqual({ value: 25, code: 'high_reps', message: 'Estimates are unreliable above 20 reps', severity: 'warning' });
+    expect(results.rpe).toEqual({ value: 5.5, code: 'low_rpe', message: 'Estimates are unreliable below RPE 6', severity: 'warning' });
+    expect(checkReferenceSet({ weight: 100, reps: 20, rpe: 6 }).reps.severity).toBe('ok');
   });
 
-  test('rejects negative increment', () => {
-    const { errorDiv } = createMockInput('increment', '-5');
-    expect(validateIncrement('increment')).toBeNull();
-    expect(errorDiv.textContent).toBe('Increment must be positive');
+  test('skips the warnings while any field is invalid', () => {
+    const results = checkReferenceSet({ weight: '', reps: '25', rpe: '5' });
+    expect(results.reps).toEqual(ok(25));
+    expect(results.rpe).toEqual(ok(5));
   });
 
-  test('rejects non-numeric input', () => {
-    createMockInput('increment', 'abc');
-    expect(validateIncrement('increment')).toBeNull();
+  test('has a rule per warning', () => {
+    expect(REFERENCE_SET_RULES.map(rule => rule.code)).toEqual(['high_reps', 'low_rpe']);
   });
 });
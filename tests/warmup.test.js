@@ -0,0 +1,146 @@
+import { describe, test, expect } from 'vitest';
+import {
+  WARMUP_SETTINGS_KEY,
+  WARMUP_TEMPLATES,
+  DEFAULT_WARMUP_TEMPLATE,
+  buildWarmupRamp,
+  parseWarmupSteps,
+  formatWarmupSteps,
+  getWarmupSteps,
+  loadWarmupSettings,
+  saveWarmupSettings
+} from '../src/warmup.js';
+import { createStorage } from './helpers/storage.js';
+
+const barbell = { baseWeight: 0, increment: 5 };
+
+describe('WARMUP_TEMPLATES', () => {
+  test('default template exists', () => {
+    expect(WARMUP_TEMPLATES).toHaveProperty(DEFAULT_WARMUP_TEMPLATE);
+  });
+
+  test('percentages increase within each template', () => {
+    Object.values(WARMUP_TEMPLATES).forEach(({ steps }) => {
+      const pcts = steps.filter(step => !step.bar).map(step => step.pct);
+      expect(pcts).toEqual([...pcts].sort((a, b) => a - b));
+    });
+  });
+});
+
+describe('buildWarmupRamp', () => {
+  test('ramps from the bar toward the working weight', () => {
+    const ramp = buildWarmupRamp(300, WARMUP_TEMPLATES.barbell.steps, barbell, 45);
+    expect(ramp).toEqual([
+      { weight: 45, reps: 10, pct: 15, bar: true },
+      { weight: 120, reps: 5, pct: 40, bar: false },
+      { weight: 180, reps: 3, pct: 60, bar: false },
+      { weight: 225, reps: 2, pct: 75, bar: false },
+      { weight: 255, reps: 1, pct: 85, bar: false }
+    ]);
+  });
+
+  test('snaps steps to the equipment increment', () => {
+    const ramp = buildWarmupRamp(205, [{ pct: 40, reps: 5 }], barbell);
+    expect(ramp[0].weight).toBe(80); // 82 -> 80
+  });
+
+  test('snaps steps to enumerated weights and skips the bar', () => {
+    const dumbbells = { baseWeight: 0, weights: [10, 20, 30, 40, 50] };
+    const ramp = buildWarmupRamp(50, [{ bar: true, reps: 10 }, { pct: 40, reps: 5 }, { pct: 60, reps: 3 }], dumbbells, 45);
+    expect(ramp.map(set => set.weight)).toEqual([20, 30]);
+  });
+
+  test('applies percentages to the total including the base weight', () => {
+    const sled = { baseWeight: 100, increment: 10 };
+    // 50% of 300 total = 150, minus the 100 sled = 50 loaded
+    const ramp = buildWarmupRamp(200, [{ bar: true, reps: 10 }, { pct: 50, reps: 5 }], sled, 100);
+    expect(ramp).toEqual([
+      { weight: 0, reps: 10, pct: 33, bar: true },
+      { weight: 50, reps: 5, pct: 50, bar: false }
+    ]);
+  });
+
+  test('drops steps that repeat or reach the working weight', () => {
+    const ramp = buildWarmupRamp(60, [{ bar: true, reps: 10 }, { pct: 70, reps: 5 }, { pct: 80, reps: 3 }, { pct: 95, reps: 1 }], barbell, 45);
+    // 70% = 42 -> 40 (below the bar), 80% = 48 -> 50, 95% = 57 -> 55
+    expect(ramp.map(set => set.weight)).toEqual([45, 50, 55]);
+
+    const top = buildWarmupRamp(50, [{ pct: 97, reps: 1 }], barbell);
+    expect(top).toEqual([]);
+  });
+
+  test('drops empty steps without a base weight', () => {
+    expect(buildWarmupRamp(20, [{ pct: 10, reps: 5 }], barbell)).toEqual([]);
+    expect(buildWarmupRamp(100, [{ bar: true, reps: 10 }], barbell)).toEqual([]);
+  });
+
+  test('works without equipment', () => {
+    expect(buildWarmupRamp(100, [{ pct: 42.5, reps: 5 }])).toEqual([{ weight: 42.5, reps: 5, pct: 43, bar: false }]);
+  });
+});
+
+describe('parseWarmupSteps', () => {
+  test('parses bar and percentage steps', () => {
+    expect(parseWarmupSteps('bar x10, 40% x5, 60x3, 72.5 % × 2')).toEqual([
+      { bar: true, reps: 10 },
+      { pct: 40, reps: 5 },
+      { pct: 60, reps: 3 },
+      { pct: 72.5, reps: 2 }
+    ]);
+  });
+
+  test('is case-insensitive for the bar', () => {
+    expect(parseWarmupSteps('Bar X10')).toEqual([{ bar: true, reps: 10 }]);
+  });
+
+  test('rejects invalid steps', () => {
+    expect(parseWarmupSteps('')).toBeNull();
+    expect(parseWarmupSteps('40%')).toBeNull();
+    expect(parseWarmupSteps('bar x0')).toBeNull();
+    expect(parseWarmupSteps('0% x5')).toBeNull();
+    expect(parseWarmupSteps('100% x1')).toBeNull();
+    expect(parseWarmupSteps('plates x5')).toBeNull();
+  });
+});
+
+describe('formatWarmupSteps', () => {
+  test('round trips through parseWarmupSteps', () => {
+    const text = formatWarmupSteps(WARMUP_TEMPLATES.barbell.steps);
+    expect(text).toBe('bar x10, 40% x5, 60% x3, 75% x2, 85% x1');
+    expect(parseWarmupSteps(text)).toEqual(WARMUP_TEMPLATES.barbell.steps);
+  });
+});
+
+describe('getWarmupSteps', () => {
+  test('returns built-in steps', () => {
+    expect(getWarmupSteps('press')).toBe(WARMUP_TEMPLATES.press.steps);
+  });
+
+  test('prefers edited steps', () => {
+    const edited = [{ pct: 50, reps: 5 }];
+    expect(getWarmupSteps('press', { press: edited })).toBe(edited);
+  });
+
+  test('falls back to the default template', () => {
+    expect(getWarmupSteps('unknown')).toBe(WARMUP_TEMPLATES[DEFAULT_WARMUP_TEMPLATE].steps);
+  });
+});
+
+describe('loadWarmupSettings / saveWarmupSettings', () => {
+  test('round trips through storage', () => {
+    const storage = createStorage();
+    const settings = { template: 'press', overrides: { press: [{ pct: 50, reps: 5 }] } };
+    expect(saveWarmupSettings(settings, storage)).toBe(true);
+    expect(JSON.parse(storage.data[WARMUP_SETTINGS_KEY])).toEqual(settings);
+    expect(loadWarmupSettings(storage)).toEqual(settings);
+  });
+
+  test('defaults when nothing is saved', () => {
+    expect(loadWarmupSettings(createStorage())).toEqual({ template: DEFAULT_WARMUP_TEMPLATE, overrides: {} });
+  });
+
+  test('ignores an unknown template and invalid overrides', () => {
+    const storage = createStorage({ [WARMUP_SETTINGS_KEY]: '{"template":"curl","overrides":5}' });
+    expect(loadWarmupSettings(storage)).toEqual({ template: DEFAULT_WARMUP_TEMPLATE, overrides: {} });
+  });
+});